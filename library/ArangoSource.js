@@ -0,0 +1,307 @@
+'use strict'
+
+/**
+ * ArangoSource.js
+ *
+ * This file contains the ArangoSource class which implements the TermsCache
+ * data source reading the data dictionary from the service database.
+ */
+
+/**
+ * Modules.
+ */
+const {db, aql} = require('@arangodb')
+const DataSource = require('./DataSource')
+
+
+/**
+ * Class: ArangoSource
+ *
+ * This class implements a data source that reads terms and edges from the
+ * collections and the view named in the service settings: `collectionTerm`,
+ * `collectionEdge` and `viewTerm`. Enumeration codes are resolved through
+ * the terms view.
+ *
+ * This is the default TermsCache data source, it can only be used in the Foxx
+ * service.
+ */
+class ArangoSource extends DataSource
+{
+    /**
+     * constructor
+     *
+     * Here we resolve the collections and the view.
+     *
+     * @param theSettings {Object}: The service settings.
+     */
+    constructor(theSettings)
+    {
+        super(theSettings)
+
+        ///
+        // Init collections and views.
+        ///
+        const view = db._view(theSettings.viewTerm)
+        this.terms = db._collection(theSettings.collectionTerm)
+        this.edges = db._collection(theSettings.collectionEdge)
+        this.view = {
+            isArangoCollection: true,
+            name: () => view.name()
+        }
+
+    } // constructor()
+
+    /**
+     * documentExists
+     *
+     * This method will return `true` if the document corresponding to the
+     * provided handle exists.
+     *
+     * @param theHandle {String}: The document handle (`_id`).
+     *
+     * @return {Boolean}: `true` if the document exists, `false` if not.
+     */
+    documentExists(theHandle)
+    {
+        return (db._exists(theHandle) !== false)                        // ==>
+
+    } // documentExists()
+
+    /**
+     * queryDocument
+     *
+     * This method will return the document corresponding to the provided
+     * handle, or `null` if missing.
+     *
+     * @param theHandle {String}: The document handle (`_id`).
+     *
+     * @return {Object|null}: The document, or `null` if missing.
+     */
+    queryDocument(theHandle)
+    {
+        if(db._exists(theHandle) === false) {
+            return null                                                 // ==>
+        }
+
+        return db._document(theHandle)                                  // ==>
+
+    } // queryDocument()
+
+    /**
+     * collectionExists
+     *
+     * This method will return `true` if the provided collection exists.
+     *
+     * @param theName {String}: The collection name.
+     *
+     * @return {Boolean}: `true` if the collection exists, `false` if not.
+     */
+    collectionExists(theName)
+    {
+        return (db._collection(theName) !== null)                       // ==>
+
+    } // collectionExists()
+
+    /**
+     * revisions
+     *
+     * This method will return the current revisions of the terms and edges
+     * collections.
+     *
+     * @return {Object}: The terms and edges collection revisions.
+     */
+    revisions()
+    {
+        return {
+            terms: this.terms.revision(),
+            edges: this.edges.revision()
+        }                                                               // ==>
+
+    } // revisions()
+
+    /**
+     * queryTerms
+     *
+     * This method will return the partial records of the provided list of
+     * terms with a single query.
+     *
+     * @param TheTermGIDList {[String]}: The term global identifiers list.
+     *
+     * @return {[Object]}: The list of found term records.
+     */
+    queryTerms(TheTermGIDList)
+    {
+        return db._query(aql`
+            FOR doc IN ${this.terms}
+              FILTER doc._key IN ${TheTermGIDList}
+              
+              LET term = KEEP(doc,
+                '_key',
+                ${this.settings.sectionData},
+                ${this.settings.sectionRule}
+              )
+              
+              LET path = (
+                FOR edge IN ${this.edges}
+                  FILTER edge._from == doc._id
+                  FILTER edge.${this.settings.predicate} == ${this.settings.predicateEnumeration}
+                  
+                  FOR item IN edge.${this.settings.sectionPath}
+                    RETURN PARSE_IDENTIFIER(item).key
+              )
+            
+            RETURN
+              (LENGTH(path) > 0) ? MERGE(term, { ${this.settings.sectionPath}: path })
+                                 : term
+        `).toArray()                                                    // ==>
+
+    } // queryTerms()
+
+    /**
+     * queryStructuralTerms
+     *
+     * This method will return the partial records of all descriptors and
+     * object kinds, that is, all terms featuring either the data or the rule
+     * section.
+     *
+     * @return {[Object]}: The list of term records.
+     */
+    queryStructuralTerms()
+    {
+        return db._query(aql`
+            FOR doc IN ${this.terms}
+              FILTER HAS(doc, ${this.settings.sectionData}) OR
+                     HAS(doc, ${this.settings.sectionRule})
+              
+              LET term = KEEP(doc,
+                '_key',
+                ${this.settings.sectionData},
+                ${this.settings.sectionRule}
+              )
+              
+              LET path = (
+                FOR edge IN ${this.edges}
+                  FILTER edge._from == doc._id
+                  FILTER edge.${this.settings.predicate} == ${this.settings.predicateEnumeration}
+                  
+                  FOR item IN edge.${this.settings.sectionPath}
+                    RETURN PARSE_IDENTIFIER(item).key
+              )
+            
+            RETURN
+              (LENGTH(path) > 0) ? MERGE(term, { ${this.settings.sectionPath}: path })
+                                 : term
+        `).toArray()                                                    // ==>
+
+    } // queryStructuralTerms()
+
+    /**
+     * queryEnumerationTerms
+     *
+     * This method will return the partial records of all enumeration
+     * elements, that is, all terms that are the origin of an enumeration edge.
+     *
+     * @return {[Object]}: The list of term records.
+     */
+    queryEnumerationTerms()
+    {
+        return db._query(aql`
+            FOR edge IN ${this.edges}
+              FILTER edge.${this.settings.predicate} == ${this.settings.predicateEnumeration}
+              COLLECT from = edge._from INTO paths = edge.${this.settings.sectionPath}
+              
+              LET doc = DOCUMENT(from)
+              FILTER doc != null
+              FILTER PARSE_IDENTIFIER(from).collection == ${this.settings.collectionTerm}
+              
+              LET term = KEEP(doc,
+                '_key',
+                ${this.settings.sectionData},
+                ${this.settings.sectionRule}
+              )
+              
+              LET path = (
+                FOR item IN FLATTEN(paths)
+                  RETURN PARSE_IDENTIFIER(item).key
+              )
+            
+            RETURN
+              (LENGTH(path) > 0) ? MERGE(term, { ${this.settings.sectionPath}: path })
+                                 : term
+        `).toArray()                                                    // ==>
+
+    } // queryEnumerationTerms()
+
+    /**
+     * queryEnumIdentifiers
+     *
+     * This method will return the global identifiers of the elements of the
+     * provided enumeration type whose code section field matches the value.
+     *
+     * @param theField {String}: Name of the code section field.
+     * @param theValue {String}: Value of the field.
+     * @param theEnum {String}: The enumeration type global identifier.
+     *
+     * @return {[String]}: The list of matching term global identifiers.
+     */
+    queryEnumIdentifiers(theField, theValue, theEnum)
+    {
+        return db._query(aql`
+            LET terms = (
+              FOR term IN ${this.view}
+                SEARCH term.${this.settings.sectionCode}.${theField} == ${theValue}
+              RETURN CONCAT_SEPARATOR('/', ${this.settings.collectionTerm}, term._key)
+            )
+            
+            FOR edge IN ${this.edges}
+              FILTER edge._from IN terms
+              FILTER edge.${this.settings.predicate} == ${this.settings.predicateEnumeration}
+              FILTER CONCAT_SEPARATOR("/", ${this.settings.collectionTerm}, ${theEnum}) IN edge.${this.settings.sectionPath}
+            RETURN PARSE_IDENTIFIER(edge._from).key
+        `).toArray()                                                    // ==>
+
+    } // queryEnumIdentifiers()
+
+    /**
+     * queryEnumTerms
+     *
+     * This method will return the full records of the elements of the
+     * provided enumeration type whose code section field matches the value,
+     * as a list of objects keyed by term global identifier.
+     *
+     * @param theField {String}: Name of the code section field.
+     * @param theValue {String}: Value of the field.
+     * @param theEnum {String}: The enumeration type global identifier.
+     *
+     * @return {[Object]}: The list of matching term records.
+     */
+    queryEnumTerms(theField, theValue, theEnum)
+    {
+        return db._query(aql`
+            LET terms = (
+              FOR term IN ${this.view}
+                SEARCH term.${this.settings.sectionCode}.${theField} == ${theValue}
+              RETURN CONCAT_SEPARATOR('/', ${this.settings.collectionTerm}, term._key)
+            )
+            
+            LET enums = (
+                FOR edge IN ${this.edges}
+                  FILTER edge._from IN terms
+                  FILTER edge.${this.settings.predicate} == ${this.settings.predicateEnumeration}
+                  FILTER CONCAT_SEPARATOR("/", ${this.settings.collectionTerm}, ${theEnum}) IN edge.${this.settings.sectionPath}
+                RETURN PARSE_IDENTIFIER(edge._from).key
+            )
+            
+            FOR enum IN enums
+              FOR term IN ${this.view}
+                SEARCH term._key == enum
+              RETURN {
+                [enum]: term
+              }
+        `).toArray()                                                    // ==>
+
+    } // queryEnumTerms()
+
+} // Class: ArangoSource
+
+module.exports = ArangoSource
@@ -0,0 +1,273 @@
+'use strict'
+
+/**
+ * CacheBackend.js
+ *
+ * This file contains the CacheBackend class which defines the interface that
+ * TermsCache storage backends must implement.
+ */
+
+
+/**
+ * Class: CacheBackend
+ *
+ * This class defines the interface of a TermsCache storage backend: each cache
+ * region is an instance of a class derived from this one. The service provides
+ * two implementations:
+ *
+ * - `MemoryCache`: An in-process store, this is the default.
+ * - `CollectionCache`: A store backed by an ArangoDB collection, which can be
+ *                      shared by several coordinators.
+ *
+ * Other implementations can be used by setting the `cacheBackend` service
+ * setting to the path of a module, relative to the service root, exporting a
+ * class derived from this one.
+ *
+ * The constructor of a backend receives the region name, the maximum number of
+ * entries, the maximum number of bytes and the default time to live in
+ * seconds, a limit of `0` means that the region is not bounded in that
+ * dimension and a time to live of `0` means that entries do not expire. The
+ * last parameter is the settings dictionary of the data source, from which
+ * backends read their own settings.
+ *
+ * Backends must respect the following contract, which is what TermsCache
+ * relies on:
+ *
+ * - `undefined` signals a missing entry, so it cannot be stored as a value;
+ *   `false`, `null`, objects and arrays are valid values.
+ * - Values must be returned as they were stored.
+ * - Expired entries must be treated as missing.
+ * - When a limit is exceeded, the least recently used entries must be evicted:
+ *   backends shared by several processes may approximate the usage order.
+ *
+ * All interface methods of this class raise an exception: derived classes
+ * must override them all. The static `SizeOf()` method is shared by all
+ * backends to estimate the size of an entry.
+ */
+class CacheBackend
+{
+    /**
+     * constructor
+     *
+     * @param theRegion {String}: The cache region name.
+     * @param theMaxEntries {Number}: Maximum number of entries, defaults to 0.
+     * @param theMaxBytes {Number}: Maximum approximate size in bytes, defaults to 0.
+     * @param theTTL {Number}: Default time to live in seconds, defaults to 0.
+     * @param theSettings {Object|null}: The data source settings, defaults to
+     *                                   null.
+     */
+    constructor(
+        theRegion,
+        theMaxEntries = 0,
+        theMaxBytes = 0,
+        theTTL = 0,
+        theSettings = null
+    )
+    {
+        this.region = theRegion
+
+    } // constructor()
+
+    /**
+     * has
+     *
+     * Return `true` if the key is stored and has not expired, without
+     * updating the usage order or the hit counters.
+     *
+     * @param theKey {String}: The entry key.
+     *
+     * @return {Boolean}: `true` if the key is stored, `false` if not.
+     */
+    has(theKey)
+    {
+        throw this.notImplemented('has')                                // ==>
+
+    } // has()
+
+    /**
+     * get
+     *
+     * Return the value stored under the key, or `undefined` if missing, and
+     * mark the entry as the most recently used one.
+     *
+     * @param theKey {String}: The entry key.
+     *
+     * @return {*}: The stored value, or `undefined` if missing.
+     */
+    get(theKey)
+    {
+        throw this.notImplemented('get')                                // ==>
+
+    } // get()
+
+    /**
+     * peek
+     *
+     * Return the entry record, with the `value`, `bytes` and `expires`
+     * members, or `undefined` if missing, without updating the usage order or
+     * the counters.
+     *
+     * @param theKey {String}: The entry key.
+     *
+     * @return {Object|undefined}: The entry record, or `undefined` if missing.
+     */
+    peek(theKey)
+    {
+        throw this.notImplemented('peek')                               // ==>
+
+    } // peek()
+
+    /**
+     * set
+     *
+     * Store the value under the key with the provided time to live, `null`
+     * meaning the default one, and enforce the limits.
+     *
+     * @param theKey {String}: The entry key.
+     * @param theValue {*}: The value to store, cannot be `undefined`.
+     * @param theTTL {Number|null}: Time to live in seconds, defaults to null.
+     *
+     * @return {Boolean}: `true` if the value was stored, `false` if not.
+     */
+    set(theKey, theValue, theTTL = null)
+    {
+        throw this.notImplemented('set')                                // ==>
+
+    } // set()
+
+    /**
+     * delete
+     *
+     * Remove the entry corresponding to the key.
+     *
+     * @param theKey {String}: The entry key.
+     *
+     * @return {Boolean}: `true` if the entry existed, `false` if not.
+     */
+    delete(theKey)
+    {
+        throw this.notImplemented('delete')                             // ==>
+
+    } // delete()
+
+    /**
+     * prune
+     *
+     * Remove all entries for which the function, called with the value and
+     * the key, returns `true`.
+     *
+     * @param theFilter {Function}: Selection function, `(value, key)`.
+     *
+     * @return {Number}: The number of removed entries.
+     */
+    prune(theFilter)
+    {
+        throw this.notImplemented('prune')                              // ==>
+
+    } // prune()
+
+    /**
+     * clear
+     *
+     * Remove all entries.
+     *
+     * @return {Number}: The number of removed entries.
+     */
+    clear()
+    {
+        throw this.notImplemented('clear')                              // ==>
+
+    } // clear()
+
+    /**
+     * keys
+     *
+     * Return the list of stored keys, from the least to the most recently
+     * used.
+     *
+     * @return {[String]}: The list of keys.
+     */
+    keys()
+    {
+        throw this.notImplemented('keys')                               // ==>
+
+    } // keys()
+
+    /**
+     * stats
+     *
+     * Return the current `entries` and `bytes`, the `maxEntries`, `maxBytes`
+     * and `ttl` limits and the `hits`, `misses`, `evictions` and
+     * `expirations` counters.
+     *
+     * @return {Object}: The store statistics.
+     */
+    stats()
+    {
+        throw this.notImplemented('stats')                              // ==>
+
+    } // stats()
+
+    /**
+     * resetStats
+     *
+     * Reset all counters.
+     */
+    resetStats()
+    {
+        throw this.notImplemented('resetStats')                         // ==>
+
+    } // resetStats()
+
+    /**
+     * notImplemented
+     *
+     * This method will return the error raised by methods that the derived
+     * class does not implement.
+     *
+     * @param theMethod {String}: The method name.
+     *
+     * @return {Error}: The error to raise.
+     */
+    notImplemented(theMethod)
+    {
+        return new Error(
+            `Cache backend ${this.constructor.name} does not implement ${theMethod}().`
+        )                                                               // ==>
+
+    } // notImplemented()
+
+
+    /**
+     * STATIC UTILITY METHODS
+     */
+
+
+    /**
+     * SizeOf
+     *
+     * This method will return the approximate number of bytes used by the
+     * provided key/value pair.
+     *
+     * The size is estimated from the JSON serialisation of the value, counting
+     * two bytes per character, which is how the engine stores most strings: it
+     * is not exact, but it is proportional to the real footprint, which is
+     * what matters when enforcing a budget.
+     *
+     * @param theKey {String}: The entry key.
+     * @param theValue {*}: The entry value.
+     *
+     * @return {Number}: The approximate size in bytes.
+     */
+    static SizeOf(theKey, theValue)
+    {
+        const json = JSON.stringify(theValue)
+        const length = (json === undefined) ? 0 : json.length
+
+        return (String(theKey).length + length) * 2                     // ==>
+
+    } // SizeOf()
+
+} // Class: CacheBackend
+
+module.exports = CacheBackend
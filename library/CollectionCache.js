@@ -0,0 +1,595 @@
+'use strict'
+
+/**
+ * CollectionCache.js
+ *
+ * This file contains the CollectionCache class which implements a TermsCache
+ * storage backend based on an ArangoDB collection.
+ */
+
+/**
+ * Modules.
+ */
+const {db, aql, errors} = require('@arangodb')
+const crypto = require('@arangodb/crypto')
+const CacheBackend = require('./CacheBackend')
+const Environment = require('./Environment')
+
+/**
+ * Constants.
+ */
+const ARANGO_NOT_FOUND = errors.ERROR_ARANGO_DOCUMENT_NOT_FOUND.code
+const ACCESS_REFRESH = 60000        // Milliseconds between access time updates.
+
+
+/**
+ * Class: CollectionCache
+ *
+ * This class implements a cache region stored in the collection named in the
+ * `collectionCache` setting, qualified with the service mount prefix like the
+ * other service collections, so that several coordinators can share
+ * the same cache. All regions share the collection, each entry is a document
+ * with the following properties:
+ *
+ * - `_key`: The MD5 hash of the region name and entry key, since entry keys,
+ *           such as document handles, are not valid document keys.
+ * - `region`: The cache region name.
+ * - `key`: The entry key.
+ * - `value`: The cached value.
+ * - `bytes`: The approximate size of the entry.
+ * - `accessed`: The time of the last read or write, in milliseconds.
+ * - `expires`: The expiration time in milliseconds, `0` if it does not expire.
+ * - `expiresAt`: The expiration time in seconds, only set if the entry
+ *                expires: it is used by the collection TTL index to remove
+ *                expired entries.
+ *
+ * The collection and its indexes are created by the setup script when the
+ * `cacheBackend` setting is `collection`.
+ *
+ * Reads update the access time of the entry, so that the least recently used
+ * entries can be evicted when the region limits are exceeded: to avoid turning
+ * every read into a write, the access time is only updated if it is older than
+ * one minute, so the eviction order is approximate.
+ *
+ * To avoid aggregating the whole region on every write, each instance keeps a
+ * running estimate of the region size: it is read from the collection once,
+ * updated with the writes of the current process, and read again only when
+ * it exceeds a limit, before evicting. Writes of other processes are thus
+ * only accounted for when the estimate is refreshed, so regions may
+ * temporarily exceed their limits. The `hits`,
+ * `misses`, `evictions` and `expirations` counters refer to the current
+ * process, while the number of entries and bytes refer to the whole region.
+ */
+class CollectionCache extends CacheBackend
+{
+    /**
+     * constructor
+     *
+     * The constructor will raise an exception if the cache collection does
+     * not exist.
+     *
+     * @param theRegion {String}: The cache region name.
+     * @param theMaxEntries {Number}: Maximum number of entries, defaults to 0.
+     * @param theMaxBytes {Number}: Maximum approximate size in bytes, defaults to 0.
+     * @param theTTL {Number}: Default time to live in seconds, defaults to 0.
+     * @param theSettings {Object|null}: The data source settings, defaults to
+     *                                   null (the current environment
+     *                                   settings).
+     */
+    constructor(
+        theRegion,
+        theMaxEntries = 0,
+        theMaxBytes = 0,
+        theTTL = 0,
+        theSettings = null
+    ){
+        super(theRegion, theMaxEntries, theMaxBytes, theTTL, theSettings)
+
+        ///
+        // Init limits.
+        ///
+        this.maxEntries = Math.max(0, Number(theMaxEntries) || 0)
+        this.maxBytes = Math.max(0, Number(theMaxBytes) || 0)
+        this.ttl = Math.max(0, Number(theTTL) || 0)
+
+        ///
+        // Init collection.
+        ///
+        const settings = theSettings || Environment.Settings()
+        const name = module.context.collectionName(settings.collectionCache)
+        this.collection = db._collection(name)
+        if(this.collection === null) {
+            throw new Error(
+                `Missing cache collection [${name}]: run the service setup script.`
+            )                                                           // ==>
+        }
+
+        ///
+        // Init counters.
+        ///
+        this.hits = 0
+        this.misses = 0
+        this.evictions = 0
+        this.expirations = 0
+
+        ///
+        // Init size estimate.
+        ///
+        this.usage = null
+
+    } // constructor()
+
+    /**
+     * has
+     *
+     * This method will return `true` if the provided key is in the region and
+     * has not expired.
+     *
+     * @param theKey {String}: The entry key.
+     *
+     * @return {Boolean}: `true` if the key is stored, `false` if not.
+     */
+    has(theKey)
+    {
+        return (this.lookup(theKey) !== undefined)                      // ==>
+
+    } // has()
+
+    /**
+     * get
+     *
+     * This method will return the value stored under the provided key, or
+     * `undefined` if the key is not in the region, and update the entry
+     * access time if it is older than one minute.
+     *
+     * Failing to update the access time does not affect the result: the entry
+     * may have been removed or updated by another process.
+     *
+     * @param theKey {String}: The entry key.
+     *
+     * @return {*}: The stored value, or `undefined` if missing.
+     */
+    get(theKey)
+    {
+        ///
+        // Handle missing entry.
+        ///
+        const doc = this.lookup(theKey)
+        if(doc === undefined) {
+            this.misses++
+            return undefined                                            // ==>
+        }
+
+        ///
+        // Update access time.
+        ///
+        const now = Date.now()
+        if(now - doc.accessed >= ACCESS_REFRESH) {
+            try {
+                this.collection.update(doc._key, { accessed: now })
+            } catch (error) {
+                // The access time is only an eviction hint.
+            }
+        }
+        this.hits++
+
+        return doc.value                                                // ==>
+
+    } // get()
+
+    /**
+     * peek
+     *
+     * This method will return the entry record, with the `value`, `bytes` and
+     * `expires` members, without updating the access time or the counters.
+     *
+     * @param theKey {String}: The entry key.
+     *
+     * @return {Object|undefined}: The entry record, or `undefined` if missing.
+     */
+    peek(theKey)
+    {
+        const doc = this.lookup(theKey)
+        if(doc === undefined) {
+            return undefined                                            // ==>
+        }
+
+        return {
+            value: doc.value,
+            bytes: doc.bytes,
+            expires: doc.expires
+        }                                                               // ==>
+
+    } // peek()
+
+    /**
+     * set
+     *
+     * This method will store the provided value under the provided key,
+     * replacing any existing entry, and will then evict the least recently
+     * used entries until the region respects its limits.
+     *
+     * If the value alone exceeds the bytes limit it will not be stored.
+     *
+     * @param theKey {String}: The entry key.
+     * @param theValue {*}: The value to store, cannot be `undefined`.
+     * @param theTTL {Number|null}: Time to live in seconds, defaults to null.
+     *
+     * @return {Boolean}: `true` if the value was stored, `false` if not.
+     */
+    set(theKey, theValue, theTTL = null)
+    {
+        ///
+        // Skip values that do not fit.
+        ///
+        const bytes = CollectionCache.SizeOf(theKey, theValue)
+        if(this.maxBytes > 0 && bytes > this.maxBytes) {
+            this.delete(theKey)
+            return false                                                // ==>
+        }
+
+        ///
+        // Build entry.
+        ///
+        const now = Date.now()
+        const ttl = (theTTL === null) ? this.ttl : Math.max(0, Number(theTTL) || 0)
+        const doc = {
+            _key: this.documentKey(theKey),
+            region: this.region,
+            key: theKey,
+            value: theValue,
+            bytes: bytes,
+            accessed: now,
+            expires: (ttl > 0) ? now + (ttl * 1000) : 0
+        }
+        if(doc.expires > 0) {
+            doc.expiresAt = doc.expires / 1000
+        }
+
+        ///
+        // Store entry.
+        ///
+        const result = this.collection.insert(
+            doc, { overwriteMode: 'replace', returnOld: true }
+        )
+        if(result.old !== undefined) {
+            this.track(0, bytes - result.old.bytes)
+        } else {
+            this.track(1, bytes)
+        }
+
+        ///
+        // Enforce limits.
+        ///
+        this.evict()
+
+        return true                                                     // ==>
+
+    } // set()
+
+    /**
+     * delete
+     *
+     * This method will remove the entry corresponding to the provided key.
+     *
+     * @param theKey {String}: The entry key.
+     *
+     * @return {Boolean}: `true` if the entry existed, `false` if not.
+     */
+    delete(theKey)
+    {
+        try {
+            const result = this.collection.remove(
+                this.documentKey(theKey), { returnOld: true }
+            )
+            this.track(-1, -result.old.bytes)
+            return true                                                 // ==>
+
+        } catch (error) {
+            if(!error.isArangoError || error.errorNum !== ARANGO_NOT_FOUND) {
+                throw error                                             // ==>
+            }
+        }
+
+        return false                                                    // ==>
+
+    } // delete()
+
+    /**
+     * prune
+     *
+     * This method will remove all entries for which the provided function
+     * returns `true`. The function receives the entry value and key.
+     *
+     * @param theFilter {Function}: Selection function, `(value, key)`.
+     *
+     * @return {Number}: The number of removed entries.
+     */
+    prune(theFilter)
+    {
+        ///
+        // Select entries.
+        ///
+        const keys = []
+        const cursor = db._query(aql`
+            FOR doc IN ${this.collection}
+              FILTER doc.region == ${this.region}
+            RETURN { _key: doc._key, key: doc.key, value: doc.value }
+        `)
+        while(cursor.hasNext()) {
+            const doc = cursor.next()
+            if(theFilter(doc.value, doc.key)) {
+                keys.push(doc._key)
+            }
+        }
+
+        ///
+        // Remove entries.
+        ///
+        this.usage = null
+
+        return this.removeKeys(keys)                                    // ==>
+
+    } // prune()
+
+    /**
+     * clear
+     *
+     * This method will remove all entries of the region, counters are not
+     * reset.
+     *
+     * @return {Number}: The number of removed entries.
+     */
+    clear()
+    {
+        this.usage = null
+
+        return db._query(aql`
+            FOR doc IN ${this.collection}
+              FILTER doc.region == ${this.region}
+              REMOVE doc IN ${this.collection} OPTIONS { ignoreErrors: true }
+              COLLECT WITH COUNT INTO count
+            RETURN count
+        `).toArray()[0] || 0                                            // ==>
+
+    } // clear()
+
+    /**
+     * keys
+     *
+     * This method will return the list of keys stored in the region, from the
+     * least to the most recently used.
+     *
+     * @return {[String]}: The list of keys.
+     */
+    keys()
+    {
+        return db._query(aql`
+            FOR doc IN ${this.collection}
+              FILTER doc.region == ${this.region}
+              SORT doc.accessed ASC
+            RETURN doc.key
+        `).toArray()                                                    // ==>
+
+    } // keys()
+
+    /**
+     * stats
+     *
+     * This method will return a dictionary with the current size of the
+     * region, its limits and the counters of the current process.
+     *
+     * @return {Object}: The region statistics.
+     */
+    stats()
+    {
+        const totals = this.totals()
+        this.usage = { ...totals }
+
+        return {
+            entries: totals.entries,
+            bytes: totals.bytes,
+            maxEntries: this.maxEntries,
+            maxBytes: this.maxBytes,
+            ttl: this.ttl,
+            hits: this.hits,
+            misses: this.misses,
+            evictions: this.evictions,
+            expirations: this.expirations
+        }                                                               // ==>
+
+    } // stats()
+
+    /**
+     * resetStats
+     *
+     * This method will reset all counters, the entries are not changed.
+     */
+    resetStats()
+    {
+        this.hits = 0
+        this.misses = 0
+        this.evictions = 0
+        this.expirations = 0
+
+    } // resetStats()
+
+    /**
+     * lookup
+     *
+     * This method will return the document corresponding to the provided key,
+     * or `undefined` if missing: if the entry has expired, it will be removed
+     * and `undefined` returned.
+     *
+     * The collection TTL index removes expired documents periodically, so
+     * expired documents may still be found.
+     *
+     * @param theKey {String}: The entry key.
+     *
+     * @return {Object|undefined}: The entry document, or `undefined`.
+     */
+    lookup(theKey)
+    {
+        ///
+        // Read document.
+        ///
+        let doc
+        try {
+            doc = this.collection.document(this.documentKey(theKey))
+        } catch (error) {
+            if(!error.isArangoError || error.errorNum !== ARANGO_NOT_FOUND) {
+                throw error                                             // ==>
+            }
+            return undefined                                            // ==>
+        }
+
+        ///
+        // Handle expired entry.
+        ///
+        if(doc.expires > 0 && doc.expires <= Date.now()) {
+            this.delete(theKey)
+            this.expirations++
+            return undefined                                            // ==>
+        }
+
+        return doc                                                      // ==>
+
+    } // lookup()
+
+    /**
+     * evict
+     *
+     * This method will remove the least recently used entries of the region
+     * until it respects both the entries and the bytes limits.
+     *
+     * The region size is only read from the collection if the running
+     * estimate exceeds a limit, or if there is no estimate.
+     */
+    evict()
+    {
+        ///
+        // Handle unbounded region.
+        ///
+        if(this.maxEntries === 0 && this.maxBytes === 0) {
+            return                                                      // ==>
+        }
+
+        ///
+        // Check limits.
+        ///
+        const over = () =>
+            (this.maxEntries > 0 && this.usage.entries > this.maxEntries) ||
+            (this.maxBytes > 0 && this.usage.bytes > this.maxBytes)
+
+        if(this.usage !== null && !over()) {
+            return                                                      // ==>
+        }
+        this.usage = this.totals()
+        if(!over()) {
+            return                                                      // ==>
+        }
+
+        ///
+        // Select least recently used entries.
+        ///
+        const keys = []
+        const cursor = db._query(aql`
+            FOR doc IN ${this.collection}
+              FILTER doc.region == ${this.region}
+              SORT doc.accessed ASC
+            RETURN { _key: doc._key, bytes: doc.bytes }
+        `)
+        while(over() && cursor.hasNext()) {
+            const doc = cursor.next()
+            keys.push(doc._key)
+            this.track(-1, -doc.bytes)
+        }
+
+        ///
+        // Remove entries.
+        ///
+        this.evictions += this.removeKeys(keys)
+
+    } // evict()
+
+    /**
+     * track
+     *
+     * This method will add the provided differences to the running estimate
+     * of the region size, if there is one.
+     *
+     * @param theEntries {Number}: The difference in entries.
+     * @param theBytes {Number}: The difference in bytes.
+     */
+    track(theEntries, theBytes)
+    {
+        if(this.usage !== null) {
+            this.usage.entries += theEntries
+            this.usage.bytes += theBytes
+        }
+
+    } // track()
+
+    /**
+     * totals
+     *
+     * This method will return the number of entries and the total bytes of
+     * the region.
+     *
+     * @return {Object}: The `entries` and `bytes` totals.
+     */
+    totals()
+    {
+        return db._query(aql`
+            FOR doc IN ${this.collection}
+              FILTER doc.region == ${this.region}
+              COLLECT AGGREGATE entries = COUNT(1), bytes = SUM(doc.bytes)
+            RETURN { entries: entries, bytes: bytes || 0 }
+        `).toArray()[0] || { entries: 0, bytes: 0 }                     // ==>
+
+    } // totals()
+
+    /**
+     * removeKeys
+     *
+     * This method will remove the documents corresponding to the provided list
+     * of document keys, ignoring those already removed.
+     *
+     * @param theKeys {[String]}: The list of document keys.
+     *
+     * @return {Number}: The number of removed documents.
+     */
+    removeKeys(theKeys)
+    {
+        if(theKeys.length === 0) {
+            return 0                                                    // ==>
+        }
+
+        return db._query(aql`
+            FOR key IN ${theKeys}
+              REMOVE key IN ${this.collection} OPTIONS { ignoreErrors: true }
+              COLLECT WITH COUNT INTO count
+            RETURN count
+        `).toArray()[0] || 0                                            // ==>
+
+    } // removeKeys()
+
+    /**
+     * documentKey
+     *
+     * This method will return the document key corresponding to the provided
+     * entry key in the current region.
+     *
+     * @param theKey {String}: The entry key.
+     *
+     * @return {String}: The document key.
+     */
+    documentKey(theKey)
+    {
+        return crypto.md5(`${this.region}\t${theKey}`)                  // ==>
+
+    } // documentKey()
+
+} // Class: CollectionCache
+
+module.exports = CollectionCache
@@ -0,0 +1,210 @@
+'use strict'
+
+/**
+ * DataSource.js
+ *
+ * This file contains the DataSource class which defines the interface that
+ * TermsCache data dictionary sources must implement.
+ */
+
+
+/**
+ * Class: DataSource
+ *
+ * This class defines the interface between TermsCache and the storage holding
+ * the data dictionary terms and edges. The service provides two
+ * implementations:
+ *
+ * - `ArangoSource`: Reads the terms and edges collections of the database the
+ *                   Foxx service runs in, this is the default.
+ * - `MemorySource`: Reads terms and edges loaded in memory, for instance from
+ *                   JSON fixtures, so that the Validator can run in plain
+ *                   Node.js.
+ *
+ * The constructor of a source receives the service settings, which provide
+ * the collection names, the term section names and the enumeration predicate;
+ * the settings are available in the `settings` member.
+ *
+ * The term records returned by the `queryXXX()` methods are partial: they
+ * only feature the `_key`, the data section and the rule section of the term
+ * and, if the term is an enumeration element, the `_path` property, the list
+ * of enumeration type keys collected from all enumeration edges whose origin
+ * is the term. Terms that cannot be found are not returned.
+ *
+ * All methods of this class raise an exception: derived classes must override
+ * them all.
+ */
+class DataSource
+{
+    /**
+     * constructor
+     *
+     * @param theSettings {Object}: The service settings.
+     */
+    constructor(theSettings)
+    {
+        this.settings = theSettings
+
+    } // constructor()
+
+    /**
+     * documentExists
+     *
+     * Return `true` if the document corresponding to the handle exists.
+     *
+     * @param theHandle {String}: The document handle (`_id`).
+     *
+     * @return {Boolean}: `true` if the document exists, `false` if not.
+     */
+    documentExists(theHandle)
+    {
+        throw this.notImplemented('documentExists')                     // ==>
+
+    } // documentExists()
+
+    /**
+     * queryDocument
+     *
+     * Return the document corresponding to the handle, or `null` if missing.
+     *
+     * @param theHandle {String}: The document handle (`_id`).
+     *
+     * @return {Object|null}: The document, or `null` if missing.
+     */
+    queryDocument(theHandle)
+    {
+        throw this.notImplemented('queryDocument')                      // ==>
+
+    } // queryDocument()
+
+    /**
+     * collectionExists
+     *
+     * Return `true` if the collection exists.
+     *
+     * @param theName {String}: The collection name.
+     *
+     * @return {Boolean}: `true` if the collection exists, `false` if not.
+     */
+    collectionExists(theName)
+    {
+        throw this.notImplemented('collectionExists')                   // ==>
+
+    } // collectionExists()
+
+    /**
+     * revisions
+     *
+     * Return an object with the `terms` and `edges` members holding the
+     * current revision of the respective collection: a revision must change
+     * whenever the collection is written to.
+     *
+     * @return {Object}: The terms and edges collection revisions.
+     */
+    revisions()
+    {
+        throw this.notImplemented('revisions')                          // ==>
+
+    } // revisions()
+
+    /**
+     * queryTerms
+     *
+     * Return the partial records of the provided list of terms.
+     *
+     * @param TheTermGIDList {[String]}: The term global identifiers list.
+     *
+     * @return {[Object]}: The list of found term records.
+     */
+    queryTerms(TheTermGIDList)
+    {
+        throw this.notImplemented('queryTerms')                         // ==>
+
+    } // queryTerms()
+
+    /**
+     * queryStructuralTerms
+     *
+     * Return the partial records of all terms featuring either the data or the
+     * rule section.
+     *
+     * @return {[Object]}: The list of term records.
+     */
+    queryStructuralTerms()
+    {
+        throw this.notImplemented('queryStructuralTerms')               // ==>
+
+    } // queryStructuralTerms()
+
+    /**
+     * queryEnumerationTerms
+     *
+     * Return the partial records of all terms that are the origin of an
+     * enumeration edge.
+     *
+     * @return {[Object]}: The list of term records.
+     */
+    queryEnumerationTerms()
+    {
+        throw this.notImplemented('queryEnumerationTerms')              // ==>
+
+    } // queryEnumerationTerms()
+
+    /**
+     * queryEnumIdentifiers
+     *
+     * Return the global identifiers of the elements of the enumeration type
+     * whose code section field matches the value: the field may hold a scalar
+     * or an array.
+     *
+     * @param theField {String}: Name of the code section field.
+     * @param theValue {String}: Value of the field.
+     * @param theEnum {String}: The enumeration type global identifier.
+     *
+     * @return {[String]}: The list of matching term global identifiers.
+     */
+    queryEnumIdentifiers(theField, theValue, theEnum)
+    {
+        throw this.notImplemented('queryEnumIdentifiers')               // ==>
+
+    } // queryEnumIdentifiers()
+
+    /**
+     * queryEnumTerms
+     *
+     * Same as `queryEnumIdentifiers()`, but return a list of objects with the
+     * term global identifier as key and the full term record as value.
+     *
+     * @param theField {String}: Name of the code section field.
+     * @param theValue {String}: Value of the field.
+     * @param theEnum {String}: The enumeration type global identifier.
+     *
+     * @return {[Object]}: The list of matching term records.
+     */
+    queryEnumTerms(theField, theValue, theEnum)
+    {
+        throw this.notImplemented('queryEnumTerms')                     // ==>
+
+    } // queryEnumTerms()
+
+    /**
+     * notImplemented
+     *
+     * This method will return the error raised by methods that the derived
+     * class does not implement.
+     *
+     * @param theMethod {String}: The method name.
+     *
+     * @return {Error}: The error to raise.
+     */
+    notImplemented(theMethod)
+    {
+        return new Error(
+            `Data source ${this.constructor.name} does not implement ${theMethod}().`
+        )                                                               // ==>
+
+    } // notImplemented()
+
+} // Class: DataSource
+
+module.exports = DataSource
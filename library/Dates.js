@@ -0,0 +1,590 @@
+'use strict'
+
+/**
+ * Dates
+ *
+ * This class implements the calendar checks of string dates, the values of
+ * the `typeDate` data type, which can have the following formats:
+ *
+ * - `YYYY`: A year.
+ * - `YYYYMM`: A month.
+ * - `YYYYMMDD`: A day.
+ * - `YYYY-YYYY`: A range of years, the start cannot be after the end.
+ *
+ * Months must be between 1 and 12 and days must exist in their month,
+ * considering leap years of the Gregorian calendar.
+ *
+ * Partial dates are intervals: a year covers from its first to its last day,
+ * a month from its first to its last day and a range of years from the first
+ * day of the first year to the last day of the last year. Intervals are
+ * expressed as pairs of `YYYYMMDD` strings, which can be compared lexically.
+ *
+ * The class can also normalize free-form dates to the canonical formats, see
+ * `Normalize()`, and convert ISO 8601 date and time strings to timestamps,
+ * see `Timestamp()`.
+ */
+class Dates
+{
+	/**
+	 * Static members.
+	 *
+	 * The date formats expression, matching the year, month and day, or the
+	 * start and end years of a range.
+	 */
+	static pattern = /^([0-9]{4})(?:([0-9]{2})([0-9]{2})?)?$|^([0-9]{4})-([0-9]{4})$/
+
+	/**
+	 * The free-form date expressions, by format.
+	 */
+	static formats =
+	{
+		iso: /^([0-9]{4})[-/.]([0-9]{1,2})(?:[-/.]([0-9]{1,2}))?$/,
+		numeric: /^([0-9]{1,2})[-/.]([0-9]{1,2})[-/.]([0-9]{4})$/,
+		week: /^([0-9]{4})-?W([0-9]{2})(?:-?([0-9]))?$/i,
+		monthYear: /^([a-z]+)\.?,?\s+([0-9]{4})$/i,
+		dayMonthYear: /^([0-9]{1,2})\s+([a-z]+)\.?,?\s+([0-9]{4})$/i,
+		monthDayYear: /^([a-z]+)\.?\s+([0-9]{1,2}),?\s+([0-9]{4})$/i
+	}
+
+	/**
+	 * The ISO 8601 date and time expression: date, optional time with
+	 * optional seconds and fraction, and optional offset.
+	 */
+	static timestamp = /^([0-9]{4})-([0-9]{2})-([0-9]{2})(?:[T ]([0-9]{2}):([0-9]{2})(?::([0-9]{2})(?:[.,]([0-9]+))?)?)?\s*(Z|[+-][0-9]{2}(?::?[0-9]{2})?)?$/i
+
+	/**
+	 * The time zone offset expression.
+	 */
+	static offset = /^([+-])([0-9]{2})(?::?([0-9]{2}))?$/
+
+	/**
+	 * The English month names, abbreviations are their first three letters.
+	 */
+	static months = [
+		"january", "february", "march", "april", "may", "june", "july",
+		"august", "september", "october", "november", "december"
+	]
+
+
+	/**
+	 * STATIC VALIDATION METHODS
+	 */
+
+
+	/**
+	 * Check
+	 *
+	 * Use this method to check the provided string date: the method returns
+	 * `null` if the date is valid, or one of the following status code
+	 * constants:
+	 *
+	 * - `kINVALID_DATE_FORMAT`: The value does not match any format.
+	 * - `kINVALID_DATE`: The month or the day does not exist.
+	 * - `kINVALID_DATE_RANGE`: The range start is after its end.
+	 *
+	 * @param theValue {String}: The date.
+	 *
+	 * @return {String|null}: The status code constant, or null if valid.
+	 */
+	static Check(theValue)
+	{
+		///
+		// Match format.
+		///
+		const match = Dates.pattern.exec(theValue)
+		if(match === null) {
+			return 'kINVALID_DATE_FORMAT'                               // ==>
+		}
+
+		///
+		// Check range.
+		///
+		const [ , year, month, day, start, end ] = match
+		if(start !== undefined) {
+			return (start > end) ? 'kINVALID_DATE_RANGE' : null         // ==>
+		}
+
+		///
+		// Check month and day.
+		///
+		if(month !== undefined)
+		{
+			const monthNumber = Number(month)
+			if(monthNumber < 1 || monthNumber > 12) {
+				return 'kINVALID_DATE'                                  // ==>
+			}
+
+			if(day !== undefined) {
+				const dayNumber = Number(day)
+				if(dayNumber < 1 ||
+				   dayNumber > Dates.DaysInMonth(Number(year), monthNumber)) {
+					return 'kINVALID_DATE'                              // ==>
+				}
+			}
+		}
+
+		return null                                                     // ==>
+
+	} // Dates::Check()
+
+	/**
+	 * Interval
+	 *
+	 * Use this method to get the interval covered by the provided valid date,
+	 * as a pair of `YYYYMMDD` strings: the first and the last day.
+	 *
+	 * @param theValue {String}: The date.
+	 *
+	 * @return {[String]}: The first and last day.
+	 */
+	static Interval(theValue)
+	{
+		const [ , year, month, day, start, end ] = Dates.pattern.exec(theValue)
+
+		if(start !== undefined) {
+			return [ `${start}0101`, `${end}1231` ]                     // ==>
+		}
+		if(month === undefined) {
+			return [ `${year}0101`, `${year}1231` ]                     // ==>
+		}
+		if(day === undefined) {
+			const last = Dates.DaysInMonth(Number(year), Number(month))
+			return [ `${year}${month}01`, `${year}${month}${last}` ]    // ==>
+		}
+
+		return [ theValue, theValue ]                                   // ==>
+
+	} // Dates::Interval()
+
+	/**
+	 * Compare
+	 *
+	 * Use this method to compare the provided valid dates with the provided
+	 * operator, `==`, `!=`, `<`, `<=`, `>` or `>=`, considering their
+	 * intervals: equality requires the same interval, while the order
+	 * operators only fail if the intervals contradict them. For instance,
+	 * `2023 >= 202306` holds, since the year 2023 can end after June 2023
+	 * starts, while `2022 >= 202306` does not.
+	 *
+	 * @param theLeft {String}: The left date.
+	 * @param theOperator {String}: The comparison operator.
+	 * @param theRight {String}: The right date.
+	 *
+	 * @return {Boolean|null}: The comparison result, or `null` if the operator
+	 *                         is unknown.
+	 */
+	static Compare(theLeft, theOperator, theRight)
+	{
+		const [ leftStart, leftEnd ] = Dates.Interval(theLeft)
+		const [ rightStart, rightEnd ] = Dates.Interval(theRight)
+
+		switch(theOperator) {
+			case '==': return (leftStart === rightStart && leftEnd === rightEnd) // ==>
+			case '!=': return (leftStart !== rightStart || leftEnd !== rightEnd) // ==>
+			case '<':  return (leftStart < rightEnd)                    // ==>
+			case '<=': return (leftStart <= rightEnd)                   // ==>
+			case '>':  return (leftEnd > rightStart)                    // ==>
+			case '>=': return (leftEnd >= rightStart)                   // ==>
+		}
+
+		return null                                                     // ==>
+
+	} // Dates::Compare()
+
+
+	/**
+	 * STATIC NORMALIZATION METHODS
+	 */
+
+
+	/**
+	 * Normalize
+	 *
+	 * Use this method to convert a free-form date to the canonical `YYYY`,
+	 * `YYYYMM` or `YYYYMMDD` format. The following formats are recognized:
+	 *
+	 * - `YYYY-MM-DD` and `YYYY-MM`, also with `/` or `.` separators.
+	 * - `DD/MM/YYYY` and `MM/DD/YYYY`, also with `-` or `.` separators: if
+	 *   both the day and the month are not greater than 12 and differ, the
+	 *   order is ambiguous and is resolved with the provided order, `dmy` or
+	 *   `mdy`.
+	 * - English month names, or their three letter abbreviations:
+	 *   `May 2023`, `17 May 2023` and `May 17, 2023`.
+	 * - ISO week dates, `YYYY-Www-D` or `YYYYWwwD`, which become the day,
+	 *   and ISO weeks, `YYYY-Www` or `YYYYWww`, which become the month if
+	 *   all the days of the week belong to it.
+	 *
+	 * The method returns `null` if the format is not recognized, or an object
+	 * with either the normalized `date`, or the `status` code constant of
+	 * the failure: `kAMBIGUOUS_DATE`, with the `candidates` list,
+	 * `kINVALID_DATE` if the date does not exist, or `kWEEK_SPANS_MONTHS` if
+	 * the week cannot be expressed as a month.
+	 *
+	 * @param theValue {String}: The date.
+	 * @param theOrder {String|null}: Day and month order, `dmy`, `mdy` or
+	 *                                null, defaults to null.
+	 *
+	 * @return {Object|null}: The normalization result, or null.
+	 */
+	static Normalize(theValue, theOrder = null)
+	{
+		///
+		// Init local storage.
+		///
+		const value = theValue.trim()
+		const formats = Dates.formats
+		let match
+
+		///
+		// Handle ISO week dates.
+		///
+		if((match = formats.week.exec(value)) !== null) {
+			return Dates.Week(
+				Number(match[1]), Number(match[2]),
+				(match[3] === undefined) ? null : Number(match[3])
+			)                                                           // ==>
+		}
+
+		///
+		// Handle year first dates.
+		///
+		if((match = formats.iso.exec(value)) !== null) {
+			return Dates.Result(match[1], match[2], match[3])           // ==>
+		}
+
+		///
+		// Handle numeric dates.
+		///
+		if((match = formats.numeric.exec(value)) !== null)
+		{
+			const [ , first, second, year ] = match
+			const dmy = Dates.Result(year, second, first)
+			const mdy = Dates.Result(year, first, second)
+
+			if(Number(first) > 12 || Number(first) === Number(second) || theOrder === 'dmy') {
+				return dmy                                              // ==>
+			}
+			if(Number(second) > 12 || theOrder === 'mdy') {
+				return mdy                                              // ==>
+			}
+
+			return {
+				status: 'kAMBIGUOUS_DATE',
+				candidates: [ dmy.date, mdy.date ]
+			}                                                           // ==>
+		}
+
+		///
+		// Handle month names.
+		///
+		if((match = formats.monthYear.exec(value)) !== null) {
+			const month = Dates.Month(match[1])
+			return (month === null)
+				? null
+				: Dates.Result(match[2], month)                         // ==>
+		}
+		if((match = formats.dayMonthYear.exec(value)) !== null) {
+			const month = Dates.Month(match[2])
+			return (month === null)
+				? null
+				: Dates.Result(match[3], month, match[1])               // ==>
+		}
+		if((match = formats.monthDayYear.exec(value)) !== null) {
+			const month = Dates.Month(match[1])
+			return (month === null)
+				? null
+				: Dates.Result(match[3], month, match[2])               // ==>
+		}
+
+		return null                                                     // ==>
+
+	} // Dates::Normalize()
+
+	/**
+	 * Week
+	 *
+	 * Use this method to normalize an ISO week date: the week day, from 1,
+	 * Monday, to 7, becomes the day, if omitted, the week becomes the month
+	 * covering all its days. Weeks spanning two months, or two years, have no
+	 * canonical format: they are rejected with `kWEEK_SPANS_MONTHS`, rather
+	 * than widened to the year.
+	 *
+	 * @param theYear {Number}: The ISO week year.
+	 * @param theWeek {Number}: The week number.
+	 * @param theDay {Number|null}: The week day, or null.
+	 *
+	 * @return {Object}: The normalization result, see `Normalize()`.
+	 */
+	static Week(theYear, theWeek, theDay)
+	{
+		///
+		// Check week and day.
+		///
+		if(theWeek < 1 || theWeek > Dates.WeeksInYear(theYear) ||
+		   (theDay !== null && (theDay < 1 || theDay > 7))) {
+			return { status: 'kINVALID_DATE' }                          // ==>
+		}
+
+		///
+		// Get week days.
+		///
+		const day = (theOffset) => {
+			const jan4 = new Date(Date.UTC(theYear, 0, 4))
+			const monday = 4 - ((jan4.getUTCDay() + 6) % 7)
+			return new Date(Date.UTC(theYear, 0, monday + ((theWeek - 1) * 7) + theOffset))
+		}
+		const first = day((theDay === null) ? 0 : theDay - 1)
+		const last = day((theDay === null) ? 6 : theDay - 1)
+		const [ year, month, date ] = first.toISOString().slice(0, 10).split('-')
+
+		///
+		// Handle day.
+		///
+		if(theDay !== null) {
+			return { date: `${year}${month}${date}` }                   // ==>
+		}
+
+		///
+		// Handle week.
+		///
+		const [ lastYear, lastMonth ] = last.toISOString().slice(0, 7).split('-')
+		if(year !== lastYear || month !== lastMonth) {
+			return { status: 'kWEEK_SPANS_MONTHS' }                     // ==>
+		}
+
+		return { date: `${year}${month}` }                              // ==>
+
+	} // Dates::Week()
+
+	/**
+	 * Result
+	 *
+	 * Use this method to build the normalization result of the provided
+	 * date parts, the result holds the `kINVALID_DATE` status if the date
+	 * does not exist.
+	 *
+	 * @param theYear {String}: The year.
+	 * @param theMonth {String|Number}: The month.
+	 * @param theDay {String|undefined}: The day, or undefined.
+	 *
+	 * @return {Object}: The normalization result, see `Normalize()`.
+	 */
+	static Result(theYear, theMonth, theDay = undefined)
+	{
+		const date = theYear +
+			String(theMonth).padStart(2, '0') +
+			((theDay === undefined) ? '' : String(theDay).padStart(2, '0'))
+
+		return (Dates.Check(date) === null)
+			? { date: date }
+			: { status: 'kINVALID_DATE', date: date }                   // ==>
+
+	} // Dates::Result()
+
+
+	/**
+	 * STATIC TIMESTAMP METHODS
+	 */
+
+
+	/**
+	 * Timestamp
+	 *
+	 * Use this method to convert an ISO 8601 date and time string, such as
+	 * `2023-05-17T10:30:00+02:00`, to the number of milliseconds since the
+	 * Unix epoch; the conversion does not depend on the server time zone.
+	 *
+	 * Strings without offset are interpreted according to the provided zone:
+	 *
+	 * - `utc`: As UTC, the default.
+	 * - `offset`: They are rejected, the offset is required.
+	 * - `+HH:MM` or `-HH:MM`: With the provided offset.
+	 *
+	 * The method returns an object holding either the `timestamp`, or the
+	 * `status` code constant of the failure: `kVALUE_NOT_A_TIMESTAMP` if the
+	 * string is not a valid date and time, `kTIMESTAMP_MISSING_OFFSET` if
+	 * the offset is required. Fractions of milliseconds are truncated.
+	 *
+	 * If the zone is not valid, the method will raise an exception.
+	 *
+	 * @param theValue {String}: The date and time.
+	 * @param theZone {String}: The zone of strings without offset, defaults
+	 *                          to `utc`.
+	 *
+	 * @return {Object}: The conversion result.
+	 */
+	static Timestamp(theValue, theZone = 'utc')
+	{
+		///
+		// Check zone.
+		///
+		if(theZone !== 'utc' && theZone !== 'offset' &&
+		   Dates.Offset(theZone) === null) {
+			throw new Error(
+				`Invalid time zone: [${theZone}], expecting utc, offset or an offset such as +02:00.`
+			)                                                           // ==>
+		}
+
+		///
+		// Match format.
+		///
+		const match = Dates.timestamp.exec(theValue.trim())
+		if(match === null) {
+			return { status: 'kVALUE_NOT_A_TIMESTAMP' }                 // ==>
+		}
+		const [ , year, month, day, hour, minute, second, fraction, zone ] = match
+
+		///
+		// Check date and time.
+		///
+		if(Dates.Check(`${year}${month}${day}`) !== null ||
+		   Number(hour || 0) > 23 ||
+		   Number(minute || 0) > 59 ||
+		   Number(second || 0) > 59) {
+			return { status: 'kVALUE_NOT_A_TIMESTAMP' }                 // ==>
+		}
+
+		///
+		// Resolve offset.
+		///
+		let offset
+		if(zone !== undefined) {
+			offset = (zone.toUpperCase() === 'Z') ? 0 : Dates.Offset(zone)
+			if(offset === null) {
+				return { status: 'kVALUE_NOT_A_TIMESTAMP' }             // ==>
+			}
+		} else if(theZone === 'offset') {
+			return { status: 'kTIMESTAMP_MISSING_OFFSET' }              // ==>
+		} else {
+			offset = (theZone === 'utc') ? 0 : Dates.Offset(theZone)
+		}
+
+		///
+		// Compute timestamp.
+		///
+		const utc = Date.UTC(
+			Number(year), Number(month) - 1, Number(day),
+			Number(hour || 0), Number(minute || 0), Number(second || 0),
+			Number((fraction || '0').slice(0, 3).padEnd(3, '0'))
+		)
+
+		return { timestamp: utc - (offset * 60000) }                    // ==>
+
+	} // Dates::Timestamp()
+
+	/**
+	 * Offset
+	 *
+	 * Use this method to get the minutes of a time zone offset, `+HH:MM`,
+	 * `+HHMM` or `+HH`, or null if not valid.
+	 *
+	 * @param theOffset {String}: The offset.
+	 *
+	 * @return {Number|null}: The offset in minutes, or null.
+	 */
+	static Offset(theOffset)
+	{
+		const match = (typeof theOffset === 'string')
+			? Dates.offset.exec(theOffset)
+			: null
+		if(match === null ||
+		   Number(match[2]) > 23 ||
+		   Number(match[3] || 0) > 59) {
+			return null                                                 // ==>
+		}
+
+		const minutes = (Number(match[2]) * 60) + Number(match[3] || 0)
+
+		return (match[1] === '-') ? -minutes : minutes                  // ==>
+
+	} // Dates::Offset()
+
+
+	/**
+	 * STATIC UTILITY METHODS
+	 */
+
+
+	/**
+	 * DaysInMonth
+	 *
+	 * Use this method to get the number of days of a month.
+	 *
+	 * @param theYear {Number}: The year.
+	 * @param theMonth {Number}: The month, from 1 to 12.
+	 *
+	 * @return {Number}: The number of days.
+	 */
+	static DaysInMonth(theYear, theMonth)
+	{
+		if(theMonth === 2) {
+			return (Dates.IsLeapYear(theYear)) ? 29 : 28                // ==>
+		}
+
+		return ([4, 6, 9, 11].includes(theMonth)) ? 30 : 31             // ==>
+
+	} // Dates::DaysInMonth()
+
+	/**
+	 * WeeksInYear
+	 *
+	 * Use this method to get the number of ISO weeks of a year: 53 if the
+	 * year starts on Thursday, or is a leap year starting on Wednesday.
+	 *
+	 * @param theYear {Number}: The year.
+	 *
+	 * @return {Number}: The number of weeks.
+	 */
+	static WeeksInYear(theYear)
+	{
+		const day = new Date(Date.UTC(theYear, 0, 1)).getUTCDay()
+
+		return (day === 4 || (day === 3 && Dates.IsLeapYear(theYear)))
+			? 53
+			: 52                                                        // ==>
+
+	} // Dates::WeeksInYear()
+
+	/**
+	 * Month
+	 *
+	 * Use this method to get the number of the provided English month name
+	 * or three letter abbreviation, or null if not recognized.
+	 *
+	 * @param theName {String}: The month name.
+	 *
+	 * @return {Number|null}: The month, from 1 to 12, or null.
+	 */
+	static Month(theName)
+	{
+		const name = theName.toLowerCase()
+		const index = Dates.months.findIndex( (month) =>
+			month === name || (name.length === 3 && month.startsWith(name))
+		)
+
+		return (index < 0) ? null : index + 1                           // ==>
+
+	} // Dates::Month()
+
+	/**
+	 * IsLeapYear
+	 *
+	 * Use this method to check if a year is a leap year of the Gregorian
+	 * calendar.
+	 *
+	 * @param theYear {Number}: The year.
+	 *
+	 * @return {Boolean}: `true` if leap year.
+	 */
+	static IsLeapYear(theYear)
+	{
+		return (
+			(theYear % 4 === 0 && theYear % 100 !== 0) ||
+			theYear % 400 === 0
+		)                                                               // ==>
+
+	} // Dates::IsLeapYear()
+
+} // class: Dates
+
+module.exports = Dates
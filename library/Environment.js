@@ -0,0 +1,133 @@
+'use strict'
+
+/**
+ * Environment.js
+ *
+ * This file contains the Environment class which isolates the library from the
+ * runtime it is executed in: the ArangoDB Foxx service or plain Node.js.
+ */
+
+
+/**
+ * Class: Environment
+ *
+ * This class features a series of static methods used to resolve the service
+ * settings and the platform specific functions, so that the TermsCache,
+ * Validator and ValidationReport classes can be used both in the Foxx service
+ * and in plain Node.js, such as in unit tests, command line tools or client
+ * side pre-validation.
+ *
+ * When running in the Foxx service the settings are those of the service
+ * configuration, in all other cases the settings are the default values
+ * declared in the service manifest. In both cases the caller can provide a
+ * dictionary of settings that will override the resolved ones.
+ */
+class Environment
+{
+    ///
+    // Manifest default settings.
+    ///
+    static defaults = null
+
+    /**
+     * STATIC SETTINGS METHODS
+     */
+
+
+    /**
+     * Settings
+     *
+     * Use this method to retrieve the service settings: in the Foxx service
+     * these are the service configuration, elsewhere these are the defaults
+     * declared in the service manifest. The provided settings, if any, will
+     * override the resolved ones.
+     *
+     * @param theSettings {Object|null}: Settings overrides, defaults to null.
+     *
+     * @return {Object}: The settings dictionary.
+     */
+    static Settings(theSettings = null)
+    {
+        const settings = Environment.IsFoxx()
+            ? module.context.configuration
+            : Environment.Defaults()
+
+        return (theSettings === null)
+            ? settings
+            : { ...settings, ...theSettings }                           // ==>
+
+    } // Settings()
+
+    /**
+     * Defaults
+     *
+     * Use this method to retrieve the default settings declared in the
+     * service manifest `configuration` section.
+     *
+     * @return {Object}: The default settings dictionary.
+     */
+    static Defaults()
+    {
+        if(Environment.defaults === null) {
+            const manifest = require('../manifest.json')
+            Environment.defaults = {}
+            Object.entries(manifest.configuration).forEach( ([name, setting]) => {
+                Environment.defaults[name] = setting.default
+            })
+        }
+
+        return { ...Environment.defaults }                              // ==>
+
+    } // Defaults()
+
+    /**
+     * IsFoxx
+     *
+     * Use this method to check whether the library is running in the ArangoDB
+     * Foxx service.
+     *
+     * @return {Boolean}: `true` in the Foxx service, `false` elsewhere.
+     */
+    static IsFoxx()
+    {
+        return (
+            typeof module.context === 'object' &&
+            module.context !== null &&
+            typeof module.context.configuration === 'object'
+        )                                                               // ==>
+
+    } // IsFoxx()
+
+
+    /**
+     * STATIC PLATFORM METHODS
+     */
+
+
+    /**
+     * MD5
+     *
+     * Use this method to compute the hexadecimal MD5 hash of the provided
+     * string, using the ArangoDB crypto module in the Foxx service and the
+     * Node.js crypto module elsewhere.
+     *
+     * @param theString {String}: The string to hash.
+     *
+     * @return {String}: The hexadecimal hash.
+     */
+    static MD5(theString)
+    {
+        if(Environment.IsFoxx()) {
+            return require('@arangodb/crypto').md5(theString)           // ==>
+        }
+
+        return require('crypto')
+            .createHash('md5')
+            .update(theString)
+            .digest('hex')                                              // ==>
+
+    } // MD5()
+
+} // Class: Environment
+
+module.exports = Environment
@@ -0,0 +1,1056 @@
+'use strict'
+
+///
+// Modules.
+///
+const _ = require('lodash')
+
+/**
+ * GeoJSON
+ *
+ * This class implements the validation of GeoJSON objects according to
+ * RFC 7946: all geometry types, `Feature` and `FeatureCollection`.
+ *
+ * The following is checked:
+ *
+ * - Each object has a known `type` and the members its type requires:
+ *   `coordinates` for geometries, `geometries` for geometry collections,
+ *   `geometry` and `properties` for features and `features` for feature
+ *   collections.
+ * - Positions are arrays of two or three numbers, longitude and latitude
+ *   within bounds.
+ * - Line strings have at least two positions.
+ * - Linear rings have at least four positions and are closed, the first and
+ *   last positions are equal.
+ * - The eventual `bbox` member has an even number of numbers, four or six.
+ * - Optionally, exterior rings are counterclockwise and holes clockwise.
+ *
+ * Empty `coordinates` arrays are accepted, RFC 7946 allows empty geometries.
+ *
+ * The allowed object types can be restricted by providing their list: all
+ * objects, including those nested in features and collections, must have
+ * one of the listed types.
+ *
+ * Validation returns `null` if the object is valid, or the first failure,
+ * see `Failure()`.
+ *
+ * The class also provides the geometry methods used to check geospatial
+ * constraints on valid objects: distances and areas are computed on the
+ * WGS84 ellipsoid, containment is tested on longitude and latitude as planar
+ * coordinates.
+ */
+class GeoJSON
+{
+	/**
+	 * Static members.
+	 *
+	 * The geometry types and the number of array levels of their coordinates.
+	 */
+	static geometries =
+	{
+		"Point": 0,
+		"MultiPoint": 1,
+		"LineString": 1,
+		"MultiLineString": 2,
+		"Polygon": 2,
+		"MultiPolygon": 3
+	}
+
+	static types = [
+		"Point", "MultiPoint", "LineString", "MultiLineString",
+		"Polygon", "MultiPolygon", "GeometryCollection",
+		"Feature", "FeatureCollection"
+	]
+
+	/**
+	 * The WGS84 ellipsoid semi-major axis, in meters, and flattening.
+	 */
+	static wgs84 = { a: 6378137, f: 1 / 298.257223563 }
+
+
+	/**
+	 * STATIC VALIDATION METHODS
+	 */
+
+
+	/**
+	 * Validate
+	 *
+	 * Use this method to validate the provided GeoJSON object.
+	 *
+	 * @param theValue {Object}: The GeoJSON object.
+	 * @param theTypes {Array|null}: The allowed types, defaults to null, all.
+	 * @param theWinding {Boolean}: Check rings winding order, defaults to
+	 *                              false.
+	 *
+	 * @return {Object|null}: The failure, or null if valid.
+	 */
+	static Validate(theValue, theTypes = null, theWinding = false)
+	{
+		return GeoJSON.Object(
+			theValue, [], theTypes, theWinding, GeoJSON.types
+		)                                                               // ==>
+
+	} // GeoJSON::Validate()
+
+	/**
+	 * Object
+	 *
+	 * Use this method to validate a GeoJSON object whose type must be one of
+	 * the expected ones.
+	 *
+	 * @param theValue {Object}: The GeoJSON object.
+	 * @param thePath {Array}: The path of the object.
+	 * @param theTypes {Array|null}: The allowed types.
+	 * @param theWinding {Boolean}: Check rings winding order.
+	 * @param theExpected {Array}: The types expected at this level.
+	 *
+	 * @return {Object|null}: The failure, or null if valid.
+	 */
+	static Object(theValue, thePath, theTypes, theWinding, theExpected)
+	{
+		///
+		// Assert object and type.
+		///
+		if(!_.isPlainObject(theValue)) {
+			return GeoJSON.Failure('kNOT_AN_OBJECT', thePath, theValue)  // ==>
+		}
+		if(!theValue.hasOwnProperty('type')) {
+			return GeoJSON.Failure('kGEOJSON_MISSING_TYPE', thePath, theValue) // ==>
+		}
+		const type = theValue.type
+		if(!theExpected.includes(type)) {
+			return GeoJSON.Failure(
+				'kGEOJSON_UNKNOWN_TYPE', [...thePath, 'type'], type,
+				{ expected: theExpected }
+			)                                                           // ==>
+		}
+		if(theTypes !== null && !theTypes.includes(type)) {
+			return GeoJSON.Failure(
+				'kGEOJSON_TYPE_NOT_ALLOWED', [...thePath, 'type'], type,
+				{ allowed: theTypes }
+			)                                                           // ==>
+		}
+
+		///
+		// Check bounding box.
+		///
+		if(theValue.hasOwnProperty('bbox')) {
+			const bbox = theValue.bbox
+			if(!Array.isArray(bbox) ||
+			   ![4, 6].includes(bbox.length) ||
+			   !bbox.every(item => _.isFinite(item))) {
+				return GeoJSON.Failure(
+					'kGEOJSON_INVALID_BBOX', [...thePath, 'bbox'], bbox
+				)                                                       // ==>
+			}
+		}
+
+		///
+		// Handle types.
+		///
+		switch(type)
+		{
+			case 'Feature':
+				return GeoJSON.Feature(
+					theValue, thePath, theTypes, theWinding
+				)                                                       // ==>
+
+			case 'FeatureCollection':
+				return GeoJSON.Members(
+					theValue, 'features', thePath, theTypes, theWinding,
+					[ 'Feature' ], 'kGEOJSON_MISSING_FEATURES'
+				)                                                       // ==>
+
+			case 'GeometryCollection':
+				return GeoJSON.Members(
+					theValue, 'geometries', thePath, theTypes, theWinding,
+					Object.keys(GeoJSON.geometries).concat('GeometryCollection'),
+					'kGEOJSON_MISSING_GEOMETRIES'
+				)                                                       // ==>
+		}
+
+		return GeoJSON.Geometry(
+			theValue, thePath, theWinding
+		)                                                               // ==>
+
+	} // GeoJSON::Object()
+
+	/**
+	 * Feature
+	 *
+	 * Use this method to validate a Feature: it must have the `geometry`
+	 * member, a geometry or null, and the `properties` member, an object or
+	 * null; the eventual `id` must be a string or a number.
+	 *
+	 * @param theValue {Object}: The feature.
+	 * @param thePath {Array}: The path of the feature.
+	 * @param theTypes {Array|null}: The allowed types.
+	 * @param theWinding {Boolean}: Check rings winding order.
+	 *
+	 * @return {Object|null}: The failure, or null if valid.
+	 */
+	static Feature(theValue, thePath, theTypes, theWinding)
+	{
+		if(!theValue.hasOwnProperty('geometry') ||
+		   !theValue.hasOwnProperty('properties') ||
+		   !(theValue.properties === null || _.isPlainObject(theValue.properties)) ||
+		   (theValue.hasOwnProperty('id') &&
+			!(_.isString(theValue.id) || _.isFinite(theValue.id)))) {
+			return GeoJSON.Failure(
+				'kGEOJSON_INVALID_FEATURE', thePath, theValue
+			)                                                           // ==>
+		}
+
+		if(theValue.geometry === null) {
+			return null                                                 // ==>
+		}
+
+		return GeoJSON.Object(
+			theValue.geometry, [...thePath, 'geometry'], theTypes, theWinding,
+			Object.keys(GeoJSON.geometries).concat('GeometryCollection')
+		)                                                               // ==>
+
+	} // GeoJSON::Feature()
+
+	/**
+	 * Members
+	 *
+	 * Use this method to validate the list of objects of a collection.
+	 *
+	 * @param theValue {Object}: The collection.
+	 * @param theMember {String}: The list member name.
+	 * @param thePath {Array}: The path of the collection.
+	 * @param theTypes {Array|null}: The allowed types.
+	 * @param theWinding {Boolean}: Check rings winding order.
+	 * @param theExpected {Array}: The types expected for the list elements.
+	 * @param theStatus {String}: The status if the list is missing.
+	 *
+	 * @return {Object|null}: The failure, or null if valid.
+	 */
+	static Members(
+		theValue,
+		theMember,
+		thePath,
+		theTypes,
+		theWinding,
+		theExpected,
+		theStatus)
+	{
+		if(!Array.isArray(theValue[theMember])) {
+			return GeoJSON.Failure(theStatus, thePath, theValue)        // ==>
+		}
+
+		for(let i = 0; i < theValue[theMember].length; i++) {
+			const failure = GeoJSON.Object(
+				theValue[theMember][i], [...thePath, theMember, i],
+				theTypes, theWinding, theExpected
+			)
+			if(failure !== null) {
+				return failure                                          // ==>
+			}
+		}
+
+		return null                                                     // ==>
+
+	} // GeoJSON::Members()
+
+	/**
+	 * Geometry
+	 *
+	 * Use this method to validate the coordinates of a geometry.
+	 *
+	 * @param theValue {Object}: The geometry.
+	 * @param thePath {Array}: The path of the geometry.
+	 * @param theWinding {Boolean}: Check rings winding order.
+	 *
+	 * @return {Object|null}: The failure, or null if valid.
+	 */
+	static Geometry(theValue, thePath, theWinding)
+	{
+		///
+		// Assert coordinates.
+		///
+		if(!theValue.hasOwnProperty('coordinates')) {
+			return GeoJSON.Failure(
+				'kGEOJSON_MISSING_COORDINATES', thePath, theValue
+			)                                                           // ==>
+		}
+		const path = [...thePath, 'coordinates']
+		const coordinates = theValue.coordinates
+		if(!Array.isArray(coordinates)) {
+			return GeoJSON.Failure(
+				'kGEOJSON_INVALID_COORDINATES', path, coordinates
+			)                                                           // ==>
+		}
+
+		///
+		// Handle empty geometry.
+		///
+		if(coordinates.length === 0) {
+			return null                                                 // ==>
+		}
+
+		///
+		// Check coordinates.
+		///
+		switch(theValue.type)
+		{
+			case 'Point':
+				return GeoJSON.Position(coordinates, path)              // ==>
+
+			case 'MultiPoint':
+				return GeoJSON.Each(coordinates, path, 'kGEOJSON_INVALID_COORDINATES',
+					(item, itemPath) => GeoJSON.Position(item, itemPath)
+				)                                                       // ==>
+
+			case 'LineString':
+				return GeoJSON.Line(coordinates, path)                  // ==>
+
+			case 'MultiLineString':
+				return GeoJSON.Each(coordinates, path, 'kGEOJSON_INVALID_COORDINATES',
+					(item, itemPath) => GeoJSON.Line(item, itemPath)
+				)                                                       // ==>
+
+			case 'Polygon':
+				return GeoJSON.Polygon(coordinates, path, theWinding)   // ==>
+
+			case 'MultiPolygon':
+				return GeoJSON.Each(coordinates, path, 'kGEOJSON_INVALID_COORDINATES',
+					(item, itemPath) => GeoJSON.Polygon(item, itemPath, theWinding)
+				)                                                       // ==>
+		}
+
+		return null                                                     // ==>
+
+	} // GeoJSON::Geometry()
+
+	/**
+	 * Position
+	 *
+	 * Use this method to validate a position: two or three numbers, longitude
+	 * between -180 and 180, latitude between -90 and 90.
+	 *
+	 * @param theValue {Array}: The position.
+	 * @param thePath {Array}: The path of the position.
+	 *
+	 * @return {Object|null}: The failure, or null if valid.
+	 */
+	static Position(theValue, thePath)
+	{
+		if(!Array.isArray(theValue) ||
+		   theValue.length < 2 || theValue.length > 3 ||
+		   !theValue.every(item => _.isFinite(item))) {
+			return GeoJSON.Failure(
+				'kGEOJSON_INVALID_POSITION', thePath, theValue
+			)                                                           // ==>
+		}
+		if(theValue[0] < -180 || theValue[0] > 180) {
+			return GeoJSON.Failure(
+				'kGEOJSON_LONGITUDE_RANGE', [...thePath, 0], theValue[0]
+			)                                                           // ==>
+		}
+		if(theValue[1] < -90 || theValue[1] > 90) {
+			return GeoJSON.Failure(
+				'kGEOJSON_LATITUDE_RANGE', [...thePath, 1], theValue[1]
+			)                                                           // ==>
+		}
+
+		return null                                                     // ==>
+
+	} // GeoJSON::Position()
+
+	/**
+	 * Line
+	 *
+	 * Use this method to validate a line string: at least two positions.
+	 *
+	 * @param theValue {Array}: The positions.
+	 * @param thePath {Array}: The path of the line.
+	 *
+	 * @return {Object|null}: The failure, or null if valid.
+	 */
+	static Line(theValue, thePath)
+	{
+		if(Array.isArray(theValue) && theValue.length < 2) {
+			return GeoJSON.Failure(
+				'kGEOJSON_TOO_FEW_POSITIONS', thePath, theValue
+			)                                                           // ==>
+		}
+
+		return GeoJSON.Each(theValue, thePath, 'kGEOJSON_INVALID_COORDINATES',
+			(item, itemPath) => GeoJSON.Position(item, itemPath)
+		)                                                               // ==>
+
+	} // GeoJSON::Line()
+
+	/**
+	 * Polygon
+	 *
+	 * Use this method to validate the rings of a polygon, the first is the
+	 * exterior ring, the others are holes.
+	 *
+	 * @param theValue {Array}: The rings.
+	 * @param thePath {Array}: The path of the polygon.
+	 * @param theWinding {Boolean}: Check rings winding order.
+	 *
+	 * @return {Object|null}: The failure, or null if valid.
+	 */
+	static Polygon(theValue, thePath, theWinding)
+	{
+		return GeoJSON.Each(theValue, thePath, 'kGEOJSON_INVALID_COORDINATES',
+			(item, itemPath, index) => GeoJSON.Ring(
+				item, itemPath, (theWinding) ? (index === 0) : null
+			)
+		)                                                               // ==>
+
+	} // GeoJSON::Polygon()
+
+	/**
+	 * Ring
+	 *
+	 * Use this method to validate a linear ring: at least four positions, the
+	 * first equal to the last, and, if required, the winding order.
+	 *
+	 * @param theValue {Array}: The positions.
+	 * @param thePath {Array}: The path of the ring.
+	 * @param theExterior {Boolean|null}: `true` if the ring must be
+	 *                                    counterclockwise, `false` if
+	 *                                    clockwise, null to skip the check.
+	 *
+	 * @return {Object|null}: The failure, or null if valid.
+	 */
+	static Ring(theValue, thePath, theExterior)
+	{
+		///
+		// Check positions.
+		///
+		const failure = GeoJSON.Each(theValue, thePath, 'kGEOJSON_INVALID_COORDINATES',
+			(item, itemPath) => GeoJSON.Position(item, itemPath)
+		)
+		if(failure !== null) {
+			return failure                                              // ==>
+		}
+
+		///
+		// Check ring.
+		///
+		if(theValue.length < 4) {
+			return GeoJSON.Failure(
+				'kGEOJSON_RING_TOO_SMALL', thePath, theValue
+			)                                                           // ==>
+		}
+		if(!_.isEqual(theValue[0], theValue[theValue.length - 1])) {
+			return GeoJSON.Failure(
+				'kGEOJSON_RING_NOT_CLOSED', thePath, theValue
+			)                                                           // ==>
+		}
+
+		///
+		// Check winding order.
+		///
+		if(theExterior !== null) {
+			const area = GeoJSON.RingArea(theValue)
+			if((theExterior && area < 0) || (!theExterior && area > 0)) {
+				return GeoJSON.Failure(
+					'kGEOJSON_RING_WINDING', thePath, theValue,
+					{ exterior: theExterior }
+				)                                                       // ==>
+			}
+		}
+
+		return null                                                     // ==>
+
+	} // GeoJSON::Ring()
+
+
+	/**
+	 * STATIC GEOMETRY METHODS
+	 */
+
+
+	/**
+	 * Positions
+	 *
+	 * Use this method to collect all the positions of a valid GeoJSON object,
+	 * including those of features and collections: each element is a pair
+	 * holding the position and its path.
+	 *
+	 * @param theValue {Object}: The GeoJSON object.
+	 * @param thePath {Array}: The path of the object, defaults to empty.
+	 *
+	 * @return {Array}: The list of `[position, path]` pairs.
+	 */
+	static Positions(theValue, thePath = [])
+	{
+		switch(theValue.type)
+		{
+			case 'Feature':
+				return (theValue.geometry === null)
+					? []
+					: GeoJSON.Positions(
+						theValue.geometry, [...thePath, 'geometry']
+					)                                                   // ==>
+
+			case 'FeatureCollection':
+				return theValue.features.flatMap( (item, index) =>
+					GeoJSON.Positions(item, [...thePath, 'features', index])
+				)                                                       // ==>
+
+			case 'GeometryCollection':
+				return theValue.geometries.flatMap( (item, index) =>
+					GeoJSON.Positions(item, [...thePath, 'geometries', index])
+				)                                                       // ==>
+		}
+
+		const collect = (theCoordinates, theLevel, theItemPath) =>
+			(theLevel === 0)
+				? [ [theCoordinates, theItemPath] ]
+				: theCoordinates.flatMap( (item, index) =>
+					collect(item, theLevel - 1, [...theItemPath, index])
+				)
+
+		return (theValue.coordinates.length === 0)
+			? []
+			: collect(
+				theValue.coordinates,
+				GeoJSON.geometries[theValue.type],
+				[...thePath, 'coordinates']
+			)                                                           // ==>
+
+	} // GeoJSON::Positions()
+
+	/**
+	 * Polygons
+	 *
+	 * Use this method to collect the polygons of a valid GeoJSON object,
+	 * including those of features and collections: each element is the list
+	 * of rings of a polygon. Empty polygons are skipped.
+	 *
+	 * @param theValue {Object}: The GeoJSON object.
+	 *
+	 * @return {Array}: The list of polygons.
+	 */
+	static Polygons(theValue)
+	{
+		switch(theValue.type)
+		{
+			case 'Polygon':
+				return (theValue.coordinates.length === 0)
+					? []
+					: [ theValue.coordinates ]                          // ==>
+
+			case 'MultiPolygon':
+				return theValue.coordinates.filter( (polygon) =>
+					polygon.length > 0
+				)                                                       // ==>
+
+			case 'Feature':
+				return (theValue.geometry === null)
+					? []
+					: GeoJSON.Polygons(theValue.geometry)               // ==>
+
+			case 'FeatureCollection':
+				return theValue.features.flatMap(GeoJSON.Polygons)      // ==>
+
+			case 'GeometryCollection':
+				return theValue.geometries.flatMap(GeoJSON.Polygons)    // ==>
+		}
+
+		return []                                                       // ==>
+
+	} // GeoJSON::Polygons()
+
+	/**
+	 * Segments
+	 *
+	 * Use this method to collect the segments of the lines and rings of a
+	 * valid GeoJSON object, including those of features and collections:
+	 * each element is a pair of positions.
+	 *
+	 * @param theValue {Object}: The GeoJSON object.
+	 *
+	 * @return {Array}: The list of segments.
+	 */
+	static Segments(theValue)
+	{
+		const segments = (theLine) => theLine.slice(1).map( (position, index) =>
+			[ theLine[index], position ]
+		)
+
+		switch(theValue.type)
+		{
+			case 'LineString':
+				return segments(theValue.coordinates)                   // ==>
+
+			case 'MultiLineString':
+			case 'Polygon':
+				return theValue.coordinates.flatMap(segments)           // ==>
+
+			case 'MultiPolygon':
+				return theValue.coordinates.flat().flatMap(segments)    // ==>
+
+			case 'Feature':
+				return (theValue.geometry === null)
+					? []
+					: GeoJSON.Segments(theValue.geometry)               // ==>
+
+			case 'FeatureCollection':
+				return theValue.features.flatMap(GeoJSON.Segments)      // ==>
+
+			case 'GeometryCollection':
+				return theValue.geometries.flatMap(GeoJSON.Segments)    // ==>
+		}
+
+		return []                                                       // ==>
+
+	} // GeoJSON::Segments()
+
+	/**
+	 * Area
+	 *
+	 * Use this method to compute the area of a valid GeoJSON object on the
+	 * WGS84 ellipsoid, in square meters: the sum of the areas of its
+	 * polygons, from which the areas of the holes are subtracted.
+	 *
+	 * @param theValue {Object}: The GeoJSON object.
+	 *
+	 * @return {Number}: The area in square meters.
+	 */
+	static Area(theValue)
+	{
+		return GeoJSON.Polygons(theValue).reduce( (total, polygon) =>
+			total + polygon.reduce( (area, ring, index) =>
+				(index === 0)
+					? area + Math.abs(GeoJSON.RingGeodesicArea(ring))
+					: area - Math.abs(GeoJSON.RingGeodesicArea(ring)),
+				0
+			),
+			0
+		)                                                               // ==>
+
+	} // GeoJSON::Area()
+
+	/**
+	 * RingGeodesicArea
+	 *
+	 * Use this method to compute the signed area of a ring on the WGS84
+	 * ellipsoid, in square meters, positive if the ring is counterclockwise.
+	 *
+	 * Latitudes are converted to authalic latitudes, so that the area is
+	 * computed on the sphere having the same surface as the ellipsoid, with
+	 * the spherical excess of each edge.
+	 *
+	 * @param theRing {Array}: The ring positions.
+	 *
+	 * @return {Number}: The signed area.
+	 */
+	static RingGeodesicArea(theRing)
+	{
+		///
+		// Init ellipsoid.
+		///
+		const { a, f } = GeoJSON.wgs84
+		const e2 = f * (2 - f)
+		const e = Math.sqrt(e2)
+		const q = (sin) =>
+			(1 - e2) * (
+				(sin / (1 - (e2 * sin * sin))) -
+				((1 / (2 * e)) * Math.log((1 - (e * sin)) / (1 + (e * sin))))
+			)
+		const qp = q(1)
+		const radius = a * Math.sqrt(qp / 2)
+		const authalic = (lat) =>
+			Math.asin(Math.max(-1, Math.min(1, q(Math.sin(lat)) / qp)))
+
+		///
+		// Sum edges spherical excess.
+		///
+		let excess = 0
+		for(let i = 0; i < theRing.length - 1; i++) {
+			const t1 = Math.tan(authalic(GeoJSON.Radians(theRing[i][1])) / 2)
+			const t2 = Math.tan(authalic(GeoJSON.Radians(theRing[i + 1][1])) / 2)
+			let delta = GeoJSON.Radians(theRing[i + 1][0] - theRing[i][0])
+			if(delta > Math.PI) {
+				delta -= 2 * Math.PI
+			} else if(delta < -Math.PI) {
+				delta += 2 * Math.PI
+			}
+			excess += 2 * Math.atan2(Math.tan(delta / 2) * (t1 + t2), 1 + (t1 * t2))
+		}
+
+		return excess * radius * radius                                 // ==>
+
+	} // GeoJSON::RingGeodesicArea()
+
+	/**
+	 * Distance
+	 *
+	 * Use this method to compute the geodesic distance between two positions
+	 * on the WGS84 ellipsoid, in meters, with Vincenty's inverse formula.
+	 *
+	 * For nearly antipodal positions, where the formula does not converge,
+	 * the great circle distance on the sphere with the ellipsoid mean radius
+	 * is returned.
+	 *
+	 * @param theFrom {Array}: The first position.
+	 * @param theTo {Array}: The second position.
+	 *
+	 * @return {Number}: The distance in meters.
+	 */
+	static Distance(theFrom, theTo)
+	{
+		///
+		// Init ellipsoid.
+		///
+		const { a, f } = GeoJSON.wgs84
+		const b = a * (1 - f)
+		const L = GeoJSON.Radians(theTo[0] - theFrom[0])
+		const U1 = Math.atan((1 - f) * Math.tan(GeoJSON.Radians(theFrom[1])))
+		const U2 = Math.atan((1 - f) * Math.tan(GeoJSON.Radians(theTo[1])))
+		const sinU1 = Math.sin(U1), cosU1 = Math.cos(U1)
+		const sinU2 = Math.sin(U2), cosU2 = Math.cos(U2)
+
+		///
+		// Iterate longitude on the auxiliary sphere.
+		///
+		let lambda = L
+		for(let i = 0; i < 200; i++)
+		{
+			const sinLambda = Math.sin(lambda), cosLambda = Math.cos(lambda)
+			const sinSigma = Math.sqrt(
+				((cosU2 * sinLambda) ** 2) +
+				(((cosU1 * sinU2) - (sinU1 * cosU2 * cosLambda)) ** 2)
+			)
+			if(sinSigma === 0) {
+				return 0                                                // ==>
+			}
+			const cosSigma = (sinU1 * sinU2) + (cosU1 * cosU2 * cosLambda)
+			const sigma = Math.atan2(sinSigma, cosSigma)
+			const sinAlpha = (cosU1 * cosU2 * sinLambda) / sinSigma
+			const cos2Alpha = 1 - (sinAlpha * sinAlpha)
+			const cos2SigmaM = (cos2Alpha !== 0)
+				? cosSigma - ((2 * sinU1 * sinU2) / cos2Alpha)
+				: 0
+			const C = (f / 16) * cos2Alpha * (4 + (f * (4 - (3 * cos2Alpha))))
+			const previous = lambda
+			lambda = L + ((1 - C) * f * sinAlpha * (
+				sigma + (C * sinSigma * (
+					cos2SigmaM + (C * cosSigma * (-1 + (2 * cos2SigmaM * cos2SigmaM)))
+				))
+			))
+
+			if(Math.abs(lambda - previous) < 1e-12) {
+				const u2 = cos2Alpha * ((a * a) - (b * b)) / (b * b)
+				const A = 1 + ((u2 / 16384) * (4096 + (u2 * (-768 + (u2 * (320 - (175 * u2)))))))
+				const B = (u2 / 1024) * (256 + (u2 * (-128 + (u2 * (74 - (47 * u2))))))
+				const deltaSigma = B * sinSigma * (
+					cos2SigmaM + ((B / 4) * (
+						(cosSigma * (-1 + (2 * cos2SigmaM * cos2SigmaM))) -
+						((B / 6) * cos2SigmaM * (-3 + (4 * sinSigma * sinSigma)) *
+							(-3 + (4 * cos2SigmaM * cos2SigmaM)))
+					))
+				)
+
+				return b * A * (sigma - deltaSigma)                     // ==>
+			}
+		}
+
+		///
+		// Handle nearly antipodal positions.
+		///
+		const phi1 = GeoJSON.Radians(theFrom[1])
+		const phi2 = GeoJSON.Radians(theTo[1])
+		const h = (Math.sin((phi2 - phi1) / 2) ** 2) +
+			(Math.cos(phi1) * Math.cos(phi2) * (Math.sin(L / 2) ** 2))
+
+		return 2 * (((2 * a) + b) / 3) * Math.asin(Math.min(1, Math.sqrt(h))) // ==>
+
+	} // GeoJSON::Distance()
+
+	/**
+	 * Contains
+	 *
+	 * Use this method to check whether a valid GeoJSON object lies within the
+	 * provided polygons: all its positions must be inside, or on the boundary
+	 * of, one of the polygons and none of its segments may cross the boundary
+	 * of their union. Edges shared by two polygons are not part of that
+	 * boundary, so objects can span adjacent polygons. Positions are treated
+	 * as planar longitude and latitude coordinates.
+	 *
+	 * The method returns `null` if the object is within the polygons, or the
+	 * path of the offending position or object.
+	 *
+	 * @param thePolygons {Array}: The container polygons.
+	 * @param theValue {Object}: The GeoJSON object.
+	 * @param thePath {Array}: The path of the object, defaults to empty.
+	 *
+	 * @return {Array|null}: The offending path, or null.
+	 */
+	static Contains(thePolygons, theValue, thePath = [])
+	{
+		///
+		// Check positions.
+		///
+		const outside = GeoJSON.Positions(theValue, thePath).find( ([position]) =>
+			!thePolygons.some( (polygon) => GeoJSON.InPolygon(polygon, position) )
+		)
+		if(outside !== undefined) {
+			return outside[1]                                           // ==>
+		}
+
+		///
+		// Collect union boundary.
+		///
+		const edges = thePolygons.map( (polygon) =>
+			polygon.flatMap( (ring) =>
+				ring.slice(1).map( (position, index) => [ ring[index], position ] )
+			)
+		)
+		const owners = new Map()
+		edges.forEach( (polygon, index) => polygon.forEach( (edge) => {
+			const key = GeoJSON.EdgeKey(edge)
+			owners.set(key, (owners.get(key) || new Set()).add(index))
+		}))
+		const boundary = edges.flat().filter( (edge) =>
+			owners.get(GeoJSON.EdgeKey(edge)).size === 1
+		)
+
+		///
+		// Check crossings.
+		///
+		const crossing = GeoJSON.Segments(theValue).some( (segment) =>
+			boundary.some( (edge) => GeoJSON.Crosses(segment, edge) )
+		)
+
+		return (crossing) ? thePath : null                              // ==>
+
+	} // GeoJSON::Contains()
+
+	/**
+	 * InPolygon
+	 *
+	 * Use this method to check whether a position is inside, or on the
+	 * boundary of, a polygon: inside the exterior ring and not strictly
+	 * inside any hole.
+	 *
+	 * @param thePolygon {Array}: The polygon rings.
+	 * @param thePosition {Array}: The position.
+	 *
+	 * @return {Boolean}: `true` if inside.
+	 */
+	static InPolygon(thePolygon, thePosition)
+	{
+		const [ exterior, ...holes ] = thePolygon
+
+		return (
+			GeoJSON.InRing(exterior, thePosition, true) &&
+			!holes.some( (hole) => GeoJSON.InRing(hole, thePosition, false) )
+		)                                                               // ==>
+
+	} // GeoJSON::InPolygon()
+
+	/**
+	 * InRing
+	 *
+	 * Use this method to check whether a position is inside a ring, with the
+	 * ray casting algorithm.
+	 *
+	 * @param theRing {Array}: The ring positions.
+	 * @param thePosition {Array}: The position.
+	 * @param doBoundary {Boolean}: Result for positions on the boundary.
+	 *
+	 * @return {Boolean}: `true` if inside.
+	 */
+	static InRing(theRing, thePosition, doBoundary)
+	{
+		const [ x, y ] = thePosition
+		let inside = false
+		for(let i = 0, j = theRing.length - 1; i < theRing.length; j = i++)
+		{
+			const [ xi, yi ] = theRing[i]
+			const [ xj, yj ] = theRing[j]
+
+			if(GeoJSON.Orientation(theRing[j], theRing[i], thePosition) === 0 &&
+			   x >= Math.min(xi, xj) && x <= Math.max(xi, xj) &&
+			   y >= Math.min(yi, yj) && y <= Math.max(yi, yj)) {
+				return doBoundary                                       // ==>
+			}
+
+			if(((yi > y) !== (yj > y)) &&
+			   (x < (((xj - xi) * (y - yi)) / (yj - yi)) + xi)) {
+				inside = !inside
+			}
+		}
+
+		return inside                                                   // ==>
+
+	} // GeoJSON::InRing()
+
+	/**
+	 * Crosses
+	 *
+	 * Use this method to check whether two segments properly cross each
+	 * other, touching does not count.
+	 *
+	 * @param theFirst {Array}: The first segment positions.
+	 * @param theSecond {Array}: The second segment positions.
+	 *
+	 * @return {Boolean}: `true` if the segments cross.
+	 */
+	static Crosses(theFirst, theSecond)
+	{
+		const [ p1, p2 ] = theFirst
+		const [ q1, q2 ] = theSecond
+
+		return (
+			(GeoJSON.Orientation(p1, p2, q1) * GeoJSON.Orientation(p1, p2, q2) < 0) &&
+			(GeoJSON.Orientation(q1, q2, p1) * GeoJSON.Orientation(q1, q2, p2) < 0)
+		)                                                               // ==>
+
+	} // GeoJSON::Crosses()
+
+	/**
+	 * Orientation
+	 *
+	 * Use this method to get the orientation of three positions: `1` if
+	 * counterclockwise, `-1` if clockwise and `0` if collinear.
+	 *
+	 * @param theFirst {Array}: The first position.
+	 * @param theSecond {Array}: The second position.
+	 * @param theThird {Array}: The third position.
+	 *
+	 * @return {Number}: The orientation.
+	 */
+	static Orientation(theFirst, theSecond, theThird)
+	{
+		const cross =
+			((theSecond[0] - theFirst[0]) * (theThird[1] - theFirst[1])) -
+			((theSecond[1] - theFirst[1]) * (theThird[0] - theFirst[0]))
+
+		return (Math.abs(cross) < 1e-12) ? 0 : Math.sign(cross)         // ==>
+
+	} // GeoJSON::Orientation()
+
+
+	/**
+	 * STATIC UTILITY METHODS
+	 */
+
+
+	/**
+	 * Each
+	 *
+	 * Use this method to assert the value is an array and validate each of
+	 * its elements with the provided function, which receives the element,
+	 * its path and its index.
+	 *
+	 * @param theValue {Array}: The array.
+	 * @param thePath {Array}: The path of the array.
+	 * @param theStatus {String}: The status if the value is not an array.
+	 * @param theCallback {Function}: The element validation function.
+	 *
+	 * @return {Object|null}: The first failure, or null if valid.
+	 */
+	static Each(theValue, thePath, theStatus, theCallback)
+	{
+		if(!Array.isArray(theValue)) {
+			return GeoJSON.Failure(theStatus, thePath, theValue)        // ==>
+		}
+
+		for(let i = 0; i < theValue.length; i++) {
+			const failure = theCallback(theValue[i], [...thePath, i], i)
+			if(failure !== null) {
+				return failure                                          // ==>
+			}
+		}
+
+		return null                                                     // ==>
+
+	} // GeoJSON::Each()
+
+	/**
+	 * RingArea
+	 *
+	 * Use this method to compute the signed planar area of a ring, in square
+	 * degrees: positive if the ring is counterclockwise.
+	 *
+	 * @param theRing {Array}: The ring positions.
+	 *
+	 * @return {Number}: The signed area.
+	 */
+	static RingArea(theRing)
+	{
+		let area = 0
+		for(let i = 0; i < theRing.length - 1; i++) {
+			area += (theRing[i][0] * theRing[i + 1][1]) - (theRing[i + 1][0] * theRing[i][1])
+		}
+
+		return area / 2                                                 // ==>
+
+	} // GeoJSON::RingArea()
+
+	/**
+	 * EdgeKey
+	 *
+	 * Use this method to get the key of a segment, which does not depend on
+	 * the order of its positions.
+	 *
+	 * @param theEdge {Array}: The segment positions.
+	 *
+	 * @return {String}: The segment key.
+	 */
+	static EdgeKey(theEdge)
+	{
+		return theEdge
+			.map( (position) => `${position[0]},${position[1]}` )
+			.sort()
+			.join(';')                                                  // ==>
+
+	} // GeoJSON::EdgeKey()
+
+	/**
+	 * Radians
+	 *
+	 * Use this method to convert degrees to radians.
+	 *
+	 * @param theDegrees {Number}: The angle in degrees.
+	 *
+	 * @return {Number}: The angle in radians.
+	 */
+	static Radians(theDegrees)
+	{
+		return (theDegrees * Math.PI) / 180                             // ==>
+
+	} // GeoJSON::Radians()
+
+	/**
+	 * Failure
+	 *
+	 * Use this method to create a validation failure: the status code
+	 * constant in `status`, the `path` of the offending value, relative to
+	 * the validated object, as a list of keys, the offending `value` and
+	 * eventual custom members.
+	 *
+	 * @param theStatus {String}: The status code constant.
+	 * @param thePath {Array}: The path of the offending value.
+	 * @param theValue {*}: The offending value.
+	 * @param theCustomFields {Object}: Custom members, defaults to an empty
+	 *                                  object.
+	 *
+	 * @return {Object}: The failure.
+	 */
+	static Failure(theStatus, thePath, theValue, theCustomFields = {})
+	{
+		return {
+			status: theStatus,
+			path: thePath,
+			value: theValue,
+			...theCustomFields
+		}                                                               // ==>
+
+	} // GeoJSON::Failure()
+
+} // class: GeoJSON
+
+module.exports = GeoJSON
@@ -0,0 +1,396 @@
+'use strict'
+
+/**
+ * MemoryCache.js
+ *
+ * This file contains the MemoryCache class which implements a bounded
+ * in-memory key/value store with least-recently-used eviction and entry
+ * expiration.
+ */
+
+/**
+ * Modules.
+ */
+const CacheBackend = require('./CacheBackend')
+
+
+/**
+ * Class: MemoryCache
+ *
+ * This class implements a key/value store that can be limited both in the
+ * number of entries and in the approximate amount of memory used by the
+ * stored values. When either limit is exceeded, the least recently used
+ * entries will be evicted until the store is back within its budget.
+ *
+ * The store relies on the insertion order of a `Map`: each time an entry is
+ * read or written it is moved to the end of the map, so the first entry is
+ * always the least recently used one.
+ *
+ * Each entry can also have a time to live, expressed in seconds: expired
+ * entries are treated as missing and are removed when they are accessed.
+ *
+ * The object keeps the following counters:
+ *
+ * - `hits`: Number of reads that found the key.
+ * - `misses`: Number of reads that did not find the key.
+ * - `evictions`: Number of entries removed to respect the limits.
+ * - `expirations`: Number of entries removed because their time expired.
+ *
+ * Note that `undefined` is used to signal a missing entry, so it cannot be
+ * stored as a value; `false` and `null` are valid values.
+ *
+ * This is the default TermsCache storage backend: the store lives in the
+ * current process, so it is not shared with other processes.
+ */
+class MemoryCache extends CacheBackend
+{
+    /**
+     * constructor
+     *
+     * The constructor expects the maximum number of entries and the maximum
+     * number of bytes the store may hold: a limit of `0` means that the
+     * store is not bounded in that dimension.
+     *
+     * The last parameter is the default time to live in seconds, applied to
+     * entries stored without an explicit one: `0` means that entries do not
+     * expire.
+     *
+     * @param theRegion {String}: The cache region name.
+     * @param theMaxEntries {Number}: Maximum number of entries, defaults to 0.
+     * @param theMaxBytes {Number}: Maximum approximate size in bytes, defaults to 0.
+     * @param theTTL {Number}: Default time to live in seconds, defaults to 0.
+     */
+    constructor(theRegion, theMaxEntries = 0, theMaxBytes = 0, theTTL = 0)
+    {
+        super(theRegion, theMaxEntries, theMaxBytes, theTTL)
+
+        ///
+        // Init limits.
+        ///
+        this.maxEntries = Math.max(0, Number(theMaxEntries) || 0)
+        this.maxBytes = Math.max(0, Number(theMaxBytes) || 0)
+        this.ttl = Math.max(0, Number(theTTL) || 0)
+
+        ///
+        // Init store.
+        ///
+        this.entries = new Map()
+        this.bytes = 0
+
+        ///
+        // Init counters.
+        ///
+        this.hits = 0
+        this.misses = 0
+        this.evictions = 0
+        this.expirations = 0
+
+    } // constructor()
+
+    /**
+     * has
+     *
+     * This method will return `true` if the provided key is in the store and
+     * has not expired.
+     *
+     * The method neither updates the usage order nor the hit counters.
+     *
+     * @param theKey {String}: The entry key.
+     *
+     * @return {Boolean}: `true` if the key is stored, `false` if not.
+     */
+    has(theKey)
+    {
+        return (this.lookup(theKey) !== undefined)                      // ==>
+
+    } // has()
+
+    /**
+     * get
+     *
+     * This method will return the value stored under the provided key, or
+     * `undefined` if the key is not in the store.
+     *
+     * Reading an entry marks it as the most recently used one.
+     *
+     * @param theKey {String}: The entry key.
+     *
+     * @return {*}: The stored value, or `undefined` if missing.
+     */
+    get(theKey)
+    {
+        ///
+        // Handle missing entry.
+        ///
+        const entry = this.lookup(theKey)
+        if(entry === undefined) {
+            this.misses++
+            return undefined                                            // ==>
+        }
+
+        ///
+        // Move entry to most recently used position.
+        ///
+        this.entries.delete(theKey)
+        this.entries.set(theKey, entry)
+        this.hits++
+
+        return entry.value                                              // ==>
+
+    } // get()
+
+    /**
+     * set
+     *
+     * This method will store the provided value under the provided key,
+     * replacing any existing entry, and will then evict the least recently
+     * used entries until the store respects its limits.
+     *
+     * If the value alone exceeds the bytes limit it will not be stored.
+     *
+     * If the time to live is omitted, or `null`, the default time to live
+     * will be used; `0` means that the entry does not expire.
+     *
+     * @param theKey {String}: The entry key.
+     * @param theValue {*}: The value to store, cannot be `undefined`.
+     * @param theTTL {Number|null}: Time to live in seconds, defaults to null.
+     *
+     * @return {Boolean}: `true` if the value was stored, `false` if not.
+     */
+    set(theKey, theValue, theTTL = null)
+    {
+        ///
+        // Remove existing entry.
+        ///
+        this.delete(theKey)
+
+        ///
+        // Skip values that do not fit.
+        ///
+        const bytes = MemoryCache.SizeOf(theKey, theValue)
+        if(this.maxBytes > 0 && bytes > this.maxBytes) {
+            return false                                                // ==>
+        }
+
+        ///
+        // Store entry.
+        ///
+        const ttl = (theTTL === null) ? this.ttl : Math.max(0, Number(theTTL) || 0)
+        this.entries.set(theKey, {
+            value: theValue,
+            bytes: bytes,
+            expires: (ttl > 0) ? Date.now() + (ttl * 1000) : 0
+        })
+        this.bytes += bytes
+
+        ///
+        // Enforce limits.
+        ///
+        this.evict()
+
+        return true                                                     // ==>
+
+    } // set()
+
+    /**
+     * peek
+     *
+     * This method will return a copy of the entry record corresponding to the
+     * provided key, without updating the usage order or the counters. The
+     * record holds the `value`, its approximate size in `bytes` and the
+     * `expires` timestamp in milliseconds, `0` if the entry does not expire.
+     *
+     * @param theKey {String}: The entry key.
+     *
+     * @return {Object|undefined}: The entry record, or `undefined` if missing.
+     */
+    peek(theKey)
+    {
+        const entry = this.lookup(theKey)
+        if(entry === undefined) {
+            return undefined                                            // ==>
+        }
+
+        return { ...entry }                                             // ==>
+
+    } // peek()
+
+    /**
+     * delete
+     *
+     * This method will remove the entry corresponding to the provided key.
+     *
+     * @param theKey {String}: The entry key.
+     *
+     * @return {Boolean}: `true` if the entry existed, `false` if not.
+     */
+    delete(theKey)
+    {
+        const entry = this.entries.get(theKey)
+        if(entry === undefined) {
+            return false                                                // ==>
+        }
+
+        this.entries.delete(theKey)
+        this.bytes -= entry.bytes
+
+        return true                                                     // ==>
+
+    } // delete()
+
+    /**
+     * prune
+     *
+     * This method will remove all entries for which the provided function
+     * returns `true`. The function receives the entry value and key.
+     *
+     * @param theFilter {Function}: Selection function, `(value, key)`.
+     *
+     * @return {Number}: The number of removed entries.
+     */
+    prune(theFilter)
+    {
+        ///
+        // Select entries.
+        ///
+        const keys = []
+        this.entries.forEach( (entry, key) => {
+            if(theFilter(entry.value, key)) {
+                keys.push(key)
+            }
+        })
+
+        ///
+        // Remove entries.
+        ///
+        keys.forEach( (key) => this.delete(key) )
+
+        return keys.length                                              // ==>
+
+    } // prune()
+
+    /**
+     * clear
+     *
+     * This method will remove all entries, counters are not reset.
+     *
+     * @return {Number}: The number of removed entries.
+     */
+    clear()
+    {
+        const count = this.entries.size
+        this.entries.clear()
+        this.bytes = 0
+
+        return count                                                    // ==>
+
+    } // clear()
+
+    /**
+     * keys
+     *
+     * This method will return the list of stored keys, from the least to the
+     * most recently used. Expired entries are included until accessed.
+     *
+     * @return {[String]}: The list of keys.
+     */
+    keys()
+    {
+        return Array.from(this.entries.keys())                          // ==>
+
+    } // keys()
+
+    /**
+     * resetStats
+     *
+     * This method will reset all counters, the entries are not changed.
+     */
+    resetStats()
+    {
+        this.hits = 0
+        this.misses = 0
+        this.evictions = 0
+        this.expirations = 0
+
+    } // resetStats()
+
+    /**
+     * lookup
+     *
+     * This method will return the entry record corresponding to the provided
+     * key, or `undefined` if missing: if the entry has expired, it will be
+     * removed and `undefined` returned.
+     *
+     * @param theKey {String}: The entry key.
+     *
+     * @return {Object|undefined}: The entry record, or `undefined`.
+     */
+    lookup(theKey)
+    {
+        ///
+        // Handle missing entry.
+        ///
+        const entry = this.entries.get(theKey)
+        if(entry === undefined) {
+            return undefined                                            // ==>
+        }
+
+        ///
+        // Handle expired entry.
+        ///
+        if(entry.expires > 0 && entry.expires <= Date.now()) {
+            this.delete(theKey)
+            this.expirations++
+            return undefined                                            // ==>
+        }
+
+        return entry                                                    // ==>
+
+    } // lookup()
+
+    /**
+     * evict
+     *
+     * This method will remove the least recently used entries until the
+     * store respects both the entries and the bytes limits.
+     */
+    evict()
+    {
+        while(
+            (this.maxEntries > 0 && this.entries.size > this.maxEntries) ||
+            (this.maxBytes > 0 && this.bytes > this.maxBytes)
+        ){
+            const key = this.entries.keys().next().value
+            this.delete(key)
+            this.evictions++
+        }
+
+    } // evict()
+
+    /**
+     * stats
+     *
+     * This method will return a dictionary with the current size, the limits
+     * and the counters of the store.
+     *
+     * @return {Object}: The store statistics.
+     */
+    stats()
+    {
+        return {
+            entries: this.entries.size,
+            bytes: this.bytes,
+            maxEntries: this.maxEntries,
+            maxBytes: this.maxBytes,
+            ttl: this.ttl,
+            hits: this.hits,
+            misses: this.misses,
+            evictions: this.evictions,
+            expirations: this.expirations
+        }                                                               // ==>
+
+    } // stats()
+
+} // Class: MemoryCache
+
+module.exports = MemoryCache
@@ -0,0 +1,447 @@
+'use strict'
+
+/**
+ * MemorySource.js
+ *
+ * This file contains the MemorySource class which implements the TermsCache
+ * data source reading the data dictionary from memory.
+ */
+
+/**
+ * Modules.
+ */
+const DataSource = require('./DataSource')
+const Environment = require('./Environment')
+
+
+/**
+ * Class: MemorySource
+ *
+ * This class implements a data source holding terms and edges in memory, it
+ * does not depend on ArangoDB, so it can be used to run the Validator in unit
+ * tests, command line tools or client side pre-validation.
+ *
+ * The source is fed with the documents of the terms and edges collections, as
+ * exported from the database: terms must feature the `_key` and edges the
+ * `_from`, `_to`, predicate and `_path` properties, with document handles
+ * referring to the `collectionTerm` setting collection. The `_id` of terms
+ * and edges is not required. The `documents` list can hold any other document
+ * featuring the `_id` property, these documents will only be used to resolve
+ * document handles and to read documents, such as geometries.
+ *
+ * The source answers the same queries as ArangoSource, enumeration codes are
+ * matched with strict equality on scalar fields and by element on array
+ * fields, like the terms view does.
+ *
+ * The `load()` method replaces the data and increments the revisions, so that
+ * TermsCache instances using the source flush their cache.
+ */
+class MemorySource extends DataSource
+{
+    /**
+     * constructor
+     *
+     * @param theData {Object}: The `terms`, `edges` and `documents` lists,
+     *                          defaults to an empty dictionary.
+     * @param theSettings {Object}: The service settings, defaults to the
+     *                              current environment settings.
+     */
+    constructor(theData = {}, theSettings = Environment.Settings())
+    {
+        super(theSettings)
+
+        ///
+        // Init revisions.
+        ///
+        this.revision = 0
+
+        ///
+        // Load data.
+        ///
+        this.load(theData)
+
+    } // constructor()
+
+    /**
+     * load
+     *
+     * This method will replace the data held by the source with the provided
+     * `terms`, `edges` and `documents` lists, and increment the revisions.
+     *
+     * @param theData {Object}: The `terms`, `edges` and `documents` lists.
+     */
+    load(theData)
+    {
+        ///
+        // Index terms and edges.
+        ///
+        const terms = theData.terms || []
+        const edges = theData.edges || []
+        const documents = theData.documents || []
+
+        this.terms = new Map()
+        terms.forEach( (term) => {
+            this.terms.set(term._key, term)
+        })
+        this.edges = edges.slice()
+
+        ///
+        // Index documents.
+        ///
+        this.documents = new Map()
+        documents.forEach( (doc) => {
+            this.documents.set(doc._id, doc)
+        })
+
+        ///
+        // Index document handles.
+        ///
+        this.handles = new Set()
+        this.terms.forEach( (term, key) => {
+            this.handles.add(`${this.settings.collectionTerm}/${key}`)
+        })
+        this.edges.forEach( (edge) => {
+            if(edge.hasOwnProperty('_key')) {
+                this.handles.add(`${this.settings.collectionEdge}/${edge._key}`)
+            }
+        })
+        documents.forEach( (doc) => {
+            this.handles.add(doc._id)
+        })
+
+        ///
+        // Index collection names.
+        ///
+        this.collections = new Set([
+            this.settings.collectionTerm,
+            this.settings.collectionEdge
+        ])
+        this.handles.forEach( (handle) => {
+            this.collections.add(handle.split('/')[0])
+        })
+
+        this.revision++
+
+    } // load()
+
+    /**
+     * documentExists
+     *
+     * This method will return `true` if the document corresponding to the
+     * provided handle exists.
+     *
+     * @param theHandle {String}: The document handle (`_id`).
+     *
+     * @return {Boolean}: `true` if the document exists, `false` if not.
+     */
+    documentExists(theHandle)
+    {
+        return this.handles.has(theHandle)                              // ==>
+
+    } // documentExists()
+
+    /**
+     * queryDocument
+     *
+     * This method will return the document corresponding to the provided
+     * handle, or `null` if missing: terms are returned as loaded, edges only
+     * if they feature the `_key`.
+     *
+     * @param theHandle {String}: The document handle (`_id`).
+     *
+     * @return {Object|null}: The document, or `null` if missing.
+     */
+    queryDocument(theHandle)
+    {
+        ///
+        // Handle terms.
+        ///
+        const [ collection, key ] = theHandle.split('/')
+        if(collection === this.settings.collectionTerm) {
+            return this.terms.get(key) || null                          // ==>
+        }
+
+        ///
+        // Handle edges.
+        ///
+        if(collection === this.settings.collectionEdge) {
+            return this.edges.find( (edge) => edge._key === key ) || null // ==>
+        }
+
+        return this.documents.get(theHandle) || null                    // ==>
+
+    } // queryDocument()
+
+    /**
+     * collectionExists
+     *
+     * This method will return `true` if the provided collection exists, that
+     * is, if it is the terms or edges collection, or if any of the loaded
+     * documents belongs to it.
+     *
+     * @param theName {String}: The collection name.
+     *
+     * @return {Boolean}: `true` if the collection exists, `false` if not.
+     */
+    collectionExists(theName)
+    {
+        return this.collections.has(theName)                            // ==>
+
+    } // collectionExists()
+
+    /**
+     * revisions
+     *
+     * This method will return the current revisions of the terms and edges,
+     * which change each time data is loaded.
+     *
+     * @return {Object}: The terms and edges revisions.
+     */
+    revisions()
+    {
+        return {
+            terms: String(this.revision),
+            edges: String(this.revision)
+        }                                                               // ==>
+
+    } // revisions()
+
+    /**
+     * queryTerms
+     *
+     * This method will return the partial records of the provided list of
+     * terms.
+     *
+     * @param TheTermGIDList {[String]}: The term global identifiers list.
+     *
+     * @return {[Object]}: The list of found term records.
+     */
+    queryTerms(TheTermGIDList)
+    {
+        return Array.from(new Set(TheTermGIDList))
+            .filter( (key) => this.terms.has(key) )
+            .map( (key) => this.termRecord(this.terms.get(key)) )       // ==>
+
+    } // queryTerms()
+
+    /**
+     * queryStructuralTerms
+     *
+     * This method will return the partial records of all descriptors and
+     * object kinds.
+     *
+     * @return {[Object]}: The list of term records.
+     */
+    queryStructuralTerms()
+    {
+        return Array.from(this.terms.values())
+            .filter( (term) =>
+                term.hasOwnProperty(this.settings.sectionData) ||
+                term.hasOwnProperty(this.settings.sectionRule)
+            )
+            .map( (term) => this.termRecord(term) )                     // ==>
+
+    } // queryStructuralTerms()
+
+    /**
+     * queryEnumerationTerms
+     *
+     * This method will return the partial records of all enumeration
+     * elements.
+     *
+     * @return {[Object]}: The list of term records.
+     */
+    queryEnumerationTerms()
+    {
+        const keys = new Set()
+        this.enumerationEdges().forEach( (edge) => {
+            const [collection, key] = edge._from.split('/')
+            if(collection === this.settings.collectionTerm && this.terms.has(key)) {
+                keys.add(key)
+            }
+        })
+
+        return Array.from(keys)
+            .map( (key) => this.termRecord(this.terms.get(key)) )       // ==>
+
+    } // queryEnumerationTerms()
+
+    /**
+     * queryEnumIdentifiers
+     *
+     * This method will return the global identifiers of the elements of the
+     * provided enumeration type whose code section field matches the value.
+     *
+     * @param theField {String}: Name of the code section field.
+     * @param theValue {String}: Value of the field.
+     * @param theEnum {String}: The enumeration type global identifier.
+     *
+     * @return {[String]}: The list of matching term global identifiers.
+     */
+    queryEnumIdentifiers(theField, theValue, theEnum)
+    {
+        ///
+        // Select terms matching code.
+        ///
+        const terms = new Set()
+        this.terms.forEach( (term, key) => {
+            const code = term[this.settings.sectionCode]
+            if(code !== null && typeof code === 'object' && code.hasOwnProperty(theField)) {
+                const field = code[theField]
+                if(Array.isArray(field) ? field.includes(theValue) : (field === theValue)) {
+                    terms.add(`${this.settings.collectionTerm}/${key}`)
+                }
+            }
+        })
+
+        ///
+        // Select enumeration edges.
+        ///
+        const type = `${this.settings.collectionTerm}/${theEnum}`
+
+        return this.enumerationEdges()
+            .filter( (edge) =>
+                terms.has(edge._from) &&
+                Array.isArray(edge[this.settings.sectionPath]) &&
+                edge[this.settings.sectionPath].includes(type)
+            )
+            .map( (edge) => edge._from.split('/')[1] )                  // ==>
+
+    } // queryEnumIdentifiers()
+
+    /**
+     * queryEnumTerms
+     *
+     * This method will return the full records of the elements of the
+     * provided enumeration type whose code section field matches the value,
+     * as a list of objects keyed by term global identifier.
+     *
+     * @param theField {String}: Name of the code section field.
+     * @param theValue {String}: Value of the field.
+     * @param theEnum {String}: The enumeration type global identifier.
+     *
+     * @return {[Object]}: The list of matching term records.
+     */
+    queryEnumTerms(theField, theValue, theEnum)
+    {
+        return this.queryEnumIdentifiers(theField, theValue, theEnum)
+            .map( (key) => ({ [key]: this.terms.get(key) }) )           // ==>
+
+    } // queryEnumTerms()
+
+    /**
+     * enumerationEdges
+     *
+     * This method will return the list of edges featuring the enumeration
+     * predicate.
+     *
+     * @return {[Object]}: The list of enumeration edges.
+     */
+    enumerationEdges()
+    {
+        return this.edges.filter( (edge) =>
+            edge[this.settings.predicate] === this.settings.predicateEnumeration
+        )                                                               // ==>
+
+    } // enumerationEdges()
+
+    /**
+     * termRecord
+     *
+     * This method will return the partial record of the provided term: the
+     * `_key`, the data and rule sections and the `_path` collected from the
+     * enumeration edges whose origin is the term.
+     *
+     * @param theTerm {Object}: The term document.
+     *
+     * @return {Object}: The partial term record.
+     */
+    termRecord(theTerm)
+    {
+        ///
+        // Keep top level properties.
+        ///
+        const record = { _key: theTerm._key }
+        const sections = [this.settings.sectionData, this.settings.sectionRule]
+        sections.forEach( (section) => {
+            if(theTerm.hasOwnProperty(section)) {
+                record[section] = theTerm[section]
+            }
+        })
+
+        ///
+        // Collect enumeration path.
+        ///
+        const handle = `${this.settings.collectionTerm}/${theTerm._key}`
+        const path = []
+        this.enumerationEdges().forEach( (edge) => {
+            if(edge._from === handle && Array.isArray(edge[this.settings.sectionPath])) {
+                edge[this.settings.sectionPath].forEach( (item) => {
+                    path.push(item.split('/').pop())
+                })
+            }
+        })
+        if(path.length > 0) {
+            record[this.settings.sectionPath] = path
+        }
+
+        return record                                                   // ==>
+
+    } // termRecord()
+
+
+    /**
+     * STATIC LOADING METHODS
+     */
+
+
+    /**
+     * FromFiles
+     *
+     * Use this method to instantiate a source from JSON fixture files, such as
+     * those produced by `arangoexport`: each file may contain either a JSON
+     * array of documents or one JSON document per line.
+     *
+     * @param theTermsFile {String}: Path of the terms file.
+     * @param theEdgesFile {String}: Path of the edges file.
+     * @param theSettings {Object}: The service settings, defaults to the
+     *                              current environment settings.
+     *
+     * @return {MemorySource}: The data source.
+     */
+    static FromFiles(theTermsFile, theEdgesFile, theSettings = Environment.Settings())
+    {
+        return new MemorySource({
+            terms: MemorySource.ReadFile(theTermsFile),
+            edges: MemorySource.ReadFile(theEdgesFile)
+        }, theSettings)                                                 // ==>
+
+    } // FromFiles()
+
+    /**
+     * ReadFile
+     *
+     * Use this method to read the list of documents contained in the provided
+     * JSON or JSON lines file.
+     *
+     * @param theFile {String}: The file path.
+     *
+     * @return {[Object]}: The list of documents.
+     */
+    static ReadFile(theFile)
+    {
+        const text = require('fs').readFileSync(theFile, 'utf8').trim()
+        if(text.startsWith('[')) {
+            return JSON.parse(text)                                     // ==>
+        }
+
+        return text
+            .split('\n')
+            .filter( (line) => line.trim().length > 0 )
+            .map( (line) => JSON.parse(line) )                          // ==>
+
+    } // ReadFile()
+
+} // Class: MemorySource
+
+module.exports = MemorySource
@@ -0,0 +1,481 @@
+'use strict'
+
+///
+// Modules.
+///
+const Environment = require('./Environment')
+
+/**
+ * RequiredRules
+ *
+ * This class implements the evaluation of the required properties section of
+ * data kind rules, `_required`: the section is a dictionary in which each key
+ * is a selector and the value is the rule for that selector.
+ *
+ * Each selector is evaluated by a function that receives the rule, the list
+ * of object properties and the selector name, and returns the list of
+ * failure reasons, which is empty if the object respects the rule. Each
+ * reason is created with `Reason()`: it holds the status code constant in
+ * `status`, the selector in `rule`, the rule `properties` and the `offending`
+ * properties, along with eventual rule specific members.
+ *
+ * The following selectors are provided, named after the service settings:
+ *
+ * - `selectionDescriptorsOne`: List of descriptors, exactly one must be
+ *                              present.
+ * - `selectionDescriptorsOneNone`: List of descriptors, at most one can be
+ *                                  present.
+ * - `selectionDescriptorsAny`: List of descriptors, at least one must be
+ *                              present.
+ * - `selectionDescriptorsAnyOne`: List of descriptor lists, at most one
+ *                                 descriptor of each list can be present.
+ * - `selectionDescriptorsAll`: List of descriptors, all must be present.
+ * - `selectionDescriptorsExactly`: Object with the `count` number and the
+ *                                  `descriptors` list: exactly `count`
+ *                                  descriptors of the list must be present.
+ * - `selectionDescriptorsAtMost`: Object with the `count` number and the
+ *                                 `descriptors` list: at most `count`
+ *                                 descriptors of the list can be present.
+ * - `selectionDescriptorsIfThen`: Dictionary in which the keys are
+ *                                 descriptors and the values are descriptor
+ *                                 lists: if the key is present, all the
+ *                                 descriptors of the list must be present.
+ *
+ * New selectors can be added with `Register()`. Invalid rules raise an
+ * exception, unknown selectors are ignored.
+ */
+class RequiredRules
+{
+	/**
+	 * Static members.
+	 *
+	 * Here we store the evaluators: the built in ones are indexed by the
+	 * setting holding the selector name, the registered ones by selector.
+	 */
+	static evaluators =
+	{
+		selectionDescriptorsOne: (rule, properties, selector) =>
+			RequiredRules.One(rule, properties, selector),
+		selectionDescriptorsOneNone: (rule, properties, selector) =>
+			RequiredRules.OneNone(rule, properties, selector),
+		selectionDescriptorsAny: (rule, properties, selector) =>
+			RequiredRules.Any(rule, properties, selector),
+		selectionDescriptorsAnyOne: (rule, properties, selector) =>
+			RequiredRules.AnyOne(rule, properties, selector),
+		selectionDescriptorsAll: (rule, properties, selector) =>
+			RequiredRules.All(rule, properties, selector),
+		selectionDescriptorsExactly: (rule, properties, selector) =>
+			RequiredRules.Exactly(rule, properties, selector),
+		selectionDescriptorsAtMost: (rule, properties, selector) =>
+			RequiredRules.AtMost(rule, properties, selector),
+		selectionDescriptorsIfThen: (rule, properties, selector) =>
+			RequiredRules.IfThen(rule, properties, selector)
+	}
+
+	static registered = {}
+
+
+	/**
+	 * STATIC EVALUATION METHODS
+	 */
+
+
+	/**
+	 * Evaluate
+	 *
+	 * Use this method to evaluate all the rules of the provided required
+	 * section against the provided object properties.
+	 *
+	 * @param theRequired {Object}: The required section.
+	 * @param theProperties {Array}: The object properties.
+	 * @param theSettings {Object}: The service settings, defaults to the
+	 *                              current settings.
+	 *
+	 * @return {Array}: The failure reasons, empty if all rules passed.
+	 */
+	static Evaluate(
+		theRequired,
+		theProperties,
+		theSettings = Environment.Settings())
+	{
+		const table = RequiredRules.Table(theSettings)
+		const reasons = []
+		Object.entries(theRequired).forEach( ([selector, rule]) => {
+			if(table.hasOwnProperty(selector)) {
+				reasons.push(...table[selector](rule, theProperties, selector))
+			}
+		})
+
+		return reasons                                                  // ==>
+
+	} // RequiredRules::Evaluate()
+
+	/**
+	 * Table
+	 *
+	 * Use this method to retrieve the evaluators indexed by selector name.
+	 *
+	 * @param theSettings {Object}: The service settings.
+	 *
+	 * @return {Object}: The evaluators by selector.
+	 */
+	static Table(theSettings)
+	{
+		const table = {}
+		Object.entries(RequiredRules.evaluators).forEach( ([setting, evaluator]) => {
+			if(theSettings.hasOwnProperty(setting)) {
+				table[theSettings[setting]] = evaluator
+			}
+		})
+
+		return { ...table, ...RequiredRules.registered }                // ==>
+
+	} // RequiredRules::Table()
+
+	/**
+	 * Register
+	 *
+	 * Use this method to register, or replace, the evaluator of a selector.
+	 * The evaluator receives the rule, the object properties list and the
+	 * selector name, it should return the list of failure reasons, see
+	 * `Reason()`, and raise an exception if the rule is invalid.
+	 *
+	 * @param theSelector {String}: The selector name.
+	 * @param theEvaluator {Function}: The evaluator.
+	 */
+	static Register(theSelector, theEvaluator)
+	{
+		if(typeof theEvaluator !== 'function') {
+			throw new Error(
+				`Invalid evaluator for rule selector [${theSelector}].`
+			)                                                           // ==>
+		}
+
+		RequiredRules.registered[theSelector] = theEvaluator
+
+	} // RequiredRules::Register()
+
+	/**
+	 * Reason
+	 *
+	 * Use this method to create a failure reason.
+	 *
+	 * @param theStatus {String}: The status code constant.
+	 * @param theRule {String}: The selector name.
+	 * @param theProperties {Array}: The rule properties.
+	 * @param theOffending {Array}: The offending properties.
+	 * @param theCustomFields {Object}: Rule specific members, defaults to an
+	 *                                  empty object.
+	 *
+	 * @return {Object}: The failure reason.
+	 */
+	static Reason(
+		theStatus,
+		theRule,
+		theProperties,
+		theOffending,
+		theCustomFields = {})
+	{
+		return {
+			status: theStatus,
+			rule: theRule,
+			properties: theProperties,
+			offending: theOffending,
+			...theCustomFields
+		}                                                               // ==>
+
+	} // RequiredRules::Reason()
+
+
+	/**
+	 * STATIC EVALUATORS
+	 */
+
+
+	/**
+	 * One
+	 *
+	 * Exactly one descriptor of the list must be present.
+	 *
+	 * @param theRule {Array}: The descriptors list.
+	 * @param theProperties {Array}: The object properties.
+	 * @param theSelector {String}: The selector name.
+	 *
+	 * @return {Array}: The failure reasons.
+	 */
+	static One(theRule, theProperties, theSelector)
+	{
+		const present = RequiredRules.Present(theRule, theProperties, theSelector)
+		if(present.length === 0) {
+			return [ RequiredRules.Reason(
+				'kMISSING_ONE_OF', theSelector, theRule, present
+			) ]                                                         // ==>
+		}
+		if(present.length > 1) {
+			return [ RequiredRules.Reason(
+				'kTOO_MANY_ONE_OF', theSelector, theRule, present
+			) ]                                                         // ==>
+		}
+
+		return []                                                       // ==>
+
+	} // RequiredRules::One()
+
+	/**
+	 * OneNone
+	 *
+	 * At most one descriptor of the list can be present.
+	 *
+	 * @param theRule {Array}: The descriptors list.
+	 * @param theProperties {Array}: The object properties.
+	 * @param theSelector {String}: The selector name.
+	 *
+	 * @return {Array}: The failure reasons.
+	 */
+	static OneNone(theRule, theProperties, theSelector)
+	{
+		const present = RequiredRules.Present(theRule, theProperties, theSelector)
+		if(present.length > 1) {
+			return [ RequiredRules.Reason(
+				'kTOO_MANY_ONE_OF', theSelector, theRule, present
+			) ]                                                         // ==>
+		}
+
+		return []                                                       // ==>
+
+	} // RequiredRules::OneNone()
+
+	/**
+	 * Any
+	 *
+	 * At least one descriptor of the list must be present.
+	 *
+	 * @param theRule {Array}: The descriptors list.
+	 * @param theProperties {Array}: The object properties.
+	 * @param theSelector {String}: The selector name.
+	 *
+	 * @return {Array}: The failure reasons.
+	 */
+	static Any(theRule, theProperties, theSelector)
+	{
+		const present = RequiredRules.Present(theRule, theProperties, theSelector)
+		if(present.length === 0) {
+			return [ RequiredRules.Reason(
+				'kMISSING_ONE_OF', theSelector, theRule, present
+			) ]                                                         // ==>
+		}
+
+		return []                                                       // ==>
+
+	} // RequiredRules::Any()
+
+	/**
+	 * AnyOne
+	 *
+	 * At most one descriptor of each list can be present: there will be a
+	 * failure reason for each list that is not respected.
+	 *
+	 * @param theRule {Array}: The list of descriptors lists.
+	 * @param theProperties {Array}: The object properties.
+	 * @param theSelector {String}: The selector name.
+	 *
+	 * @return {Array}: The failure reasons.
+	 */
+	static AnyOne(theRule, theProperties, theSelector)
+	{
+		if(!Array.isArray(theRule)) {
+			throw new Error(
+				`Invalid rule section in ${theSelector}.`
+			)                                                           // ==>
+		}
+
+		const reasons = []
+		theRule.forEach( (choice) => {
+			reasons.push(...RequiredRules.OneNone(choice, theProperties, theSelector))
+		})
+
+		return reasons                                                  // ==>
+
+	} // RequiredRules::AnyOne()
+
+	/**
+	 * All
+	 *
+	 * All descriptors of the list must be present, the offending properties
+	 * are the missing ones.
+	 *
+	 * @param theRule {Array}: The descriptors list.
+	 * @param theProperties {Array}: The object properties.
+	 * @param theSelector {String}: The selector name.
+	 *
+	 * @return {Array}: The failure reasons.
+	 */
+	static All(theRule, theProperties, theSelector)
+	{
+		const present = RequiredRules.Present(theRule, theProperties, theSelector)
+		if(present.length !== theRule.length) {
+			return [ RequiredRules.Reason(
+				'kMISSING_ALL_OF', theSelector, theRule,
+				theRule.filter(item => !present.includes(item))
+			) ]                                                         // ==>
+		}
+
+		return []                                                       // ==>
+
+	} // RequiredRules::All()
+
+	/**
+	 * Exactly
+	 *
+	 * Exactly `count` descriptors of the `descriptors` list must be present.
+	 *
+	 * @param theRule {Object}: The `count` and the `descriptors` list.
+	 * @param theProperties {Array}: The object properties.
+	 * @param theSelector {String}: The selector name.
+	 *
+	 * @return {Array}: The failure reasons.
+	 */
+	static Exactly(theRule, theProperties, theSelector)
+	{
+		const present = RequiredRules.PresentCount(theRule, theProperties, theSelector)
+		if(present.length !== theRule.count) {
+			return [ RequiredRules.Reason(
+				'kNOT_EXACTLY_OF', theSelector, theRule.descriptors, present,
+				{ count: theRule.count }
+			) ]                                                         // ==>
+		}
+
+		return []                                                       // ==>
+
+	} // RequiredRules::Exactly()
+
+	/**
+	 * AtMost
+	 *
+	 * At most `count` descriptors of the `descriptors` list can be present.
+	 *
+	 * @param theRule {Object}: The `count` and the `descriptors` list.
+	 * @param theProperties {Array}: The object properties.
+	 * @param theSelector {String}: The selector name.
+	 *
+	 * @return {Array}: The failure reasons.
+	 */
+	static AtMost(theRule, theProperties, theSelector)
+	{
+		const present = RequiredRules.PresentCount(theRule, theProperties, theSelector)
+		if(present.length > theRule.count) {
+			return [ RequiredRules.Reason(
+				'kTOO_MANY_OF', theSelector, theRule.descriptors, present,
+				{ count: theRule.count }
+			) ]                                                         // ==>
+		}
+
+		return []                                                       // ==>
+
+	} // RequiredRules::AtMost()
+
+	/**
+	 * IfThen
+	 *
+	 * For each key of the rule that is present, all the descriptors of the
+	 * corresponding list must be present: there will be a failure reason for
+	 * each key whose dependents are missing, the key is in the `condition`
+	 * member.
+	 *
+	 * @param theRule {Object}: Descriptors dictionary of descriptors lists.
+	 * @param theProperties {Array}: The object properties.
+	 * @param theSelector {String}: The selector name.
+	 *
+	 * @return {Array}: The failure reasons.
+	 */
+	static IfThen(theRule, theProperties, theSelector)
+	{
+		if(theRule === null || typeof theRule !== 'object' || Array.isArray(theRule)) {
+			throw new Error(
+				`Invalid rule section in ${theSelector}.`
+			)                                                           // ==>
+		}
+
+		const reasons = []
+		Object.entries(theRule).forEach( ([condition, dependents]) => {
+			if(!Array.isArray(dependents)) {
+				throw new Error(
+					`Invalid rule section in ${theSelector}.`
+				)                                                       // ==>
+			}
+			if(theProperties.includes(condition)) {
+				const missing = dependents.filter(item => !theProperties.includes(item))
+				if(missing.length > 0) {
+					reasons.push(RequiredRules.Reason(
+						'kMISSING_DEPENDENT', theSelector, dependents, missing,
+						{ condition: condition }
+					))
+				}
+			}
+		})
+
+		return reasons                                                  // ==>
+
+	} // RequiredRules::IfThen()
+
+
+	/**
+	 * STATIC UTILITY METHODS
+	 */
+
+
+	/**
+	 * Present
+	 *
+	 * Use this method to assert the rule is a descriptors list and return the
+	 * descriptors present among the object properties.
+	 *
+	 * @param theRule {Array}: The descriptors list.
+	 * @param theProperties {Array}: The object properties.
+	 * @param theSelector {String}: The selector name.
+	 *
+	 * @return {Array}: The present descriptors.
+	 */
+	static Present(theRule, theProperties, theSelector)
+	{
+		if(!Array.isArray(theRule)) {
+			throw new Error(
+				`Invalid rule section in ${theSelector}.`
+			)                                                           // ==>
+		}
+
+		return theRule.filter(item => theProperties.includes(item))     // ==>
+
+	} // RequiredRules::Present()
+
+	/**
+	 * PresentCount
+	 *
+	 * Use this method to assert the rule has a non negative integer `count`
+	 * and a `descriptors` list and return the descriptors present among the
+	 * object properties.
+	 *
+	 * @param theRule {Object}: The `count` and the `descriptors` list.
+	 * @param theProperties {Array}: The object properties.
+	 * @param theSelector {String}: The selector name.
+	 *
+	 * @return {Array}: The present descriptors.
+	 */
+	static PresentCount(theRule, theProperties, theSelector)
+	{
+		if(theRule === null || typeof theRule !== 'object' ||
+		   !Number.isInteger(theRule.count) || theRule.count < 0) {
+			throw new Error(
+				`Invalid rule section in ${theSelector}.`
+			)                                                           // ==>
+		}
+
+		return RequiredRules.Present(
+			theRule.descriptors, theProperties, theSelector
+		)                                                               // ==>
+
+	} // RequiredRules::PresentCount()
+
+} // class: RequiredRules
+
+module.exports = RequiredRules
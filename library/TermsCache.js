@@ -13,18 +13,9 @@
 /**
  * Modules.
  */
-const {db, aql} = require('@arangodb')
-
-/**
- * Collections and Views.
- */
-const terms_view_object = db._view(module.context.configuration.viewTerm)
-const collection_terms = db._collection(module.context.configuration.collectionTerm)
-const collection_edges = db._collection(module.context.configuration.collectionEdge)
-const view_terms = {
-    isArangoCollection: true,
-    name: () => terms_view_object.name()
-}
+const CacheBackend = require('./CacheBackend')
+const MemoryCache = require('./MemoryCache')
+const Environment = require('./Environment')
 
 
 /**
@@ -33,7 +24,51 @@ const view_terms = {
  * This class functions as an interface between the database and the caller,
  * in which term queries can be cached in order to minimise database access.
  *
- * The class features a static `cache` member. When caching terms the class will
+ * The data dictionary is read from a DataSource, provided to the constructor:
+ * by default this is an ArangoSource reading the service database with the
+ * service settings, a MemorySource can be provided to work outside ArangoDB.
+ * The settings used by the object are those of its data source, they are
+ * available in the `settings` accessor.
+ *
+ * Each data source has its own cache, a dictionary of cache regions shared by
+ * all objects using the same source and available in the `regions`
+ * accessor; each region holds one kind of entry, so that lookups never
+ * confuse one kind of entry for another:
+ *
+ * - `terms`: Term records keyed by term global identifier.
+ * - `documents`: Document existence flags keyed by document handle.
+ * - `enums`: Enumeration code resolutions.
+ * - `collections`: Collection existence flags keyed by collection name.
+ *
+ * Each region is a storage backend instance with its own policy, set in the
+ * service settings: `cacheMaxEntries`, `cacheMaxBytes` and `cacheTTL` for
+ * terms, and the `cacheDocumentXXX`, `cacheEnumXXX` and `cacheCollectionXXX`
+ * settings for the other regions. Once the limits are reached, the least
+ * recently used entries are evicted. Entries also expire after the region time
+ * to live, unless a specific time to live is provided when caching them, and
+ * can be explicitly invalidated with the `invalidateXXX()` methods, so that
+ * changes to the data dictionary are reflected by the cache.
+ *
+ * The storage backend is selected by the `cacheBackend` service setting: by
+ * default regions are MemoryCache instances, private to the current process;
+ * the `collection` backend stores the regions in the `collectionCache`
+ * collection, so that several coordinators share the same cache; any other
+ * value is the path of a module exporting a CacheBackend derived class. The
+ * methods of this class behave in the same way whatever the backend.
+ *
+ * Writes to the terms and edges collections are also detected automatically:
+ * the class keeps the last seen revision of both collections and, every
+ * `cacheRevisionInterval` seconds, compares it with the current one; if a
+ * collection was changed, since it is not possible to know which documents
+ * were modified, all entries depending on terms and edges are flushed: the
+ * `terms` and `enums` regions are cleared and the terms and edges handles are
+ * removed from the `documents` region, while the other document handles and
+ * the `collections` region are kept. Writes performed through the service
+ * dictionary API evict only the affected entries and record the revision of
+ * the write, so that they do not trigger a flush, unless another process
+ * changed the collections meanwhile; removals always trigger a flush.
+ *
+ * When caching terms the class will
  * check if there is an edge containing the term as the relationship origin with
  * a predicate indicating that the term is an enumeration element: in that case
  * the `_path` property of the edge will be copied in the term top level.
@@ -50,47 +85,163 @@ const view_terms = {
 class TermsCache
 {
     ///
-    // Static cache.
+    // Default data source.
+    ///
+    static source = null
+
+    ///
+    // Cache regions and last seen revisions by data source.
+    ///
+    static states = new WeakMap()
+
+    ///
+    // Usage counters by method.
     ///
-    static cache = null
+    static statistics = {}
 
     ///
-    // List of top level term properties to keep.
+    // Data source and its state.
     ///
-    static props = [
-        '_key',
-        module.context.configuration.sectionData,
-        module.context.configuration.sectionRule,
-        module.context.configuration.sectionPath
-    ]
+    #source
+    #state
 
     /**
      * constructor
-     * Here we initialise the cache as an empty dictionary.
+     * Here we initialise the cache regions of the data source as empty bounded
+     * stores, if not already done, and check if the terms or edges collections
+     * were changed since the last check.
+     *
+     * If the data source is omitted, the default ArangoSource will be used.
+     *
+     * @param theSource {DataSource|null}: The data source, defaults to null.
      */
-    constructor()
+    constructor(theSource = null)
     {
+        ///
+        // Init data source.
+        ///
+        this.#source = (theSource === null) ? TermsCache.DefaultSource() : theSource
+
         ///
         // Initialise cache if not already done.
         ///
-        if(TermsCache.cache === null) {
-            TermsCache.cache = {}
+        if(!TermsCache.states.has(this.#source)) {
+            TermsCache.states.set(this.#source, {
+                revisions: null,
+                revisionsChecked: 0,
+                regions: this.createRegions()
+            })
         }
+        this.#state = TermsCache.states.get(this.#source)
+
+        ///
+        // Flush cache if the dictionary was changed.
+        ///
+        this.checkRevisions()
 
     } // constructor()
 
+    /**
+     * source
+     *
+     * The data source.
+     *
+     * @return {DataSource}: The data source.
+     */
+    get source()
+    {
+        return this.#source                                             // ==>
+
+    } // source()
+
+    /**
+     * settings
+     *
+     * The service settings of the data source.
+     *
+     * @return {Object}: The settings dictionary.
+     */
+    get settings()
+    {
+        return this.#source.settings                                    // ==>
+
+    } // settings()
+
+    /**
+     * regions
+     *
+     * The cache regions of the data source.
+     *
+     * @return {Object}: The dictionary of cache regions.
+     */
+    get regions()
+    {
+        return this.#state.regions                                      // ==>
+
+    } // regions()
+
+    /**
+     * createRegions
+     *
+     * This method will instantiate the cache regions with the policies set in
+     * the settings of the data source.
+     *
+     * @return {Object}: The dictionary of cache regions.
+     */
+    createRegions()
+    {
+        const settings = this.settings
+
+        return {
+            terms: TermsCache.CreateRegion(
+                'terms',
+                settings.cacheMaxEntries,
+                settings.cacheMaxBytes,
+                settings.cacheTTL,
+                settings.cacheBackend,
+                settings
+            ),
+            documents: TermsCache.CreateRegion(
+                'documents',
+                settings.cacheDocumentMaxEntries,
+                settings.cacheDocumentMaxBytes,
+                settings.cacheDocumentTTL,
+                settings.cacheBackend,
+                settings
+            ),
+            enums: TermsCache.CreateRegion(
+                'enums',
+                settings.cacheEnumMaxEntries,
+                settings.cacheEnumMaxBytes,
+                settings.cacheEnumTTL,
+                settings.cacheBackend,
+                settings
+            ),
+            collections: TermsCache.CreateRegion(
+                'collections',
+                settings.cacheCollectionMaxEntries,
+                settings.cacheCollectionMaxBytes,
+                settings.cacheCollectionTTL,
+                settings.cacheBackend,
+                settings
+            )
+        }                                                               // ==>
+
+    } // createRegions()
+
     /**
      * documentExists
      *
      * This method can be used to check if the provided document reference can
      * be resolved.
      *
-     * If `doCache` is true, the method will first check if the cache has a key
-     * matching the provided document handle, if that is the case it will return
-     * the value. If the handle cannot be matched in the cache, the method will
-     * check the database and if the handle can be resolved, `true` will be
-     * saved in the cache: if the handle was not resolved, and `doMissing` is
-     * true, `false` will be set in the cache.
+     * If `doCache` is true, the method will first check if the `documents`
+     * cache region has a key matching the provided document handle, if that
+     * is the case it will return the cached value. If the handle cannot be
+     * matched in the cache, the method will check the database and if the
+     * handle can be resolved, `true` will be saved in the cache: if the handle
+     * was not resolved, and `doMissing` is true, `false` will be set in the
+     * cache.
      *
      * If `doCache` is false, neither matched nor unmatched handles will be
      * stored in the cache.
@@ -102,59 +253,126 @@ class TermsCache
      * @param theHandle {String}: The document handle (`_id`).
      * @param doCache {Boolean}: Check and store to cache, defaults to `true`.
      * @param doMissing {Boolean}: Cache also missing terms, defaults to `true`.
+     * @param theTTL {Number|null}: Cache time to live in seconds, defaults to
+     *                              null (use the `cacheDocumentTTL` setting).
      *
      * @return {Boolean}: Whether the handle was resolved or not.
      */
     documentExists(
         theHandle,
         doCache = true,
-        doMissing = false
+        doMissing = false,
+        theTTL = null
     ){
         ///
         // Check cache.
         ///
         if(doCache)
         {
-            if(TermsCache.cache.hasOwnProperty(theHandle)) {
-                return true                                             // ==>
+            const cached = this.regions.documents.get(theHandle)
+            if(cached !== undefined) {
+                TermsCache.Count(
+                    'documentExists', (cached === false) ? 'negativeHits' : 'hits'
+                )
+                return cached                                           // ==>
             }
+            TermsCache.Count('documentExists', 'misses')
 
-            if(db._exists(theHandle) === false) {
+            if(!TermsCache.Timed('documentExists', () => this.source.documentExists(theHandle))) {
                 if(doMissing) {
-                    TermsCache.cache[theHandle] = false
+                    this.regions.documents.set(theHandle, false, theTTL)
                 }
 
                 return false
             }
 
-            if(doMissing) {
-                TermsCache.cache[theHandle] = true
-            }
+            this.regions.documents.set(theHandle, true, theTTL)
 
             return true                                                 // ==>
 
         } // Use cache.
 
-        return (db._exists(theHandle) !== false)                        // ==>
+        return TermsCache.Timed(
+            'documentExists', () => this.source.documentExists(theHandle)
+        )                                                               // ==>
 
     } // documentExists()
 
+    /**
+     * getDocument
+     *
+     * This method will return the document corresponding to the provided
+     * handle, or `null` if the handle cannot be resolved.
+     *
+     * Documents are not cached: the `documents` cache region only holds
+     * existence flags, callers reading the same document repeatedly should
+     * keep their own copy.
+     *
+     * @param theHandle {String}: The document handle (`_id`).
+     *
+     * @return {Object|null}: The document, or `null` if missing.
+     */
+    getDocument(theHandle)
+    {
+        return TermsCache.Timed(
+            'getDocument', () => this.source.queryDocument(theHandle)
+        )                                                               // ==>
+
+    } // getDocument()
+
     /**
      * collectionExists
      *
-     * Use this method to check if the provided collection documentExists.
+     * Use this method to check if the provided collection exists.
      *
-     * The method will return true if the collection documentExists, false if not.
+     * The method will return true if the collection exists, false if not.
      *
-     * The cache is not consulted by this method.
+     * If `doCache` is true, the `collections` cache region is consulted first
+     * and the result of the database check is stored in it; since collections
+     * are rarely created or dropped, both existing and missing collections
+     * are cached.
      *
      * @param theName {String}: Collection name.
+     * @param doCache {Boolean}: Check and store to cache, defaults to `true`.
+     * @param theTTL {Number|null}: Cache time to live in seconds, defaults to
+     *                              null (use the `cacheCollectionTTL` setting).
      *
      * @return {Boolean}: Returns true if the collection exists, or not.
      */
-    collectionExists(theName)
-    {
-        return (db._collection(theName) !== null)                       // ==>
+    collectionExists(
+        theName,
+        doCache = true,
+        theTTL = null
+    ){
+        ///
+        // Check cache.
+        ///
+        if(doCache) {
+            const cached = this.regions.collections.get(theName)
+            if(cached !== undefined) {
+                TermsCache.Count(
+                    'collectionExists', (cached === false) ? 'negativeHits' : 'hits'
+                )
+                return cached                                           // ==>
+            }
+            TermsCache.Count('collectionExists', 'misses')
+        }
+
+        ///
+        // Check database.
+        ///
+        const exists = TermsCache.Timed(
+            'collectionExists', () => this.source.collectionExists(theName)
+        )
+
+        ///
+        // Set in cache.
+        ///
+        if(doCache) {
+            this.regions.collections.set(theName, exists, theTTL)
+        }
+
+        return exists                                                   // ==>
 
     } // collectionExists()
 
@@ -179,7 +397,8 @@ class TermsCache
      * that will be returned by the method.
      *
      * If the term was retrieved from the database and the `doCache` flag is
-     * set, the record will be added to the cache.
+     * set, the record will be added to the cache. The entry will expire after
+     * `theTTL` seconds, or after the `cacheTTL` setting if omitted.
      *
      * If the term was not found, the returned value will be `false`. If the
      * `doMissing` flag is true in this situation, the method will also cache
@@ -189,55 +408,37 @@ class TermsCache
      * @param theTermGID {String}: The term global identifier (`_key`).
      * @param doCache {Boolean}: Check and store to cache, defaults to `true`.
      * @param doMissing {Boolean}: Cache also missing terms, defaults to `true`.
+     * @param theTTL {Number|null}: Cache time to live in seconds, defaults to
+     *                              null (use the `cacheTTL` setting).
      *
      * @return {Object|Boolean}: The term record or `false` if the term does not exist.
      */
     getTerm(
         theTermGID,
         doCache = true,
-        doMissing = false
+        doMissing = false,
+        theTTL = null
     ){
         ///
         // Check cache.
         ///
-        if(doCache && TermsCache.cache.hasOwnProperty(theTermGID)) {
-            return TermsCache.cache[theTermGID]                         // ==>
+        if(doCache) {
+            const cached = this.regions.terms.get(theTermGID)
+            if(cached !== undefined) {
+                TermsCache.Count(
+                    'getTerm', (cached === false) ? 'negativeHits' : 'hits'
+                )
+                return cached                                           // ==>
+            }
+            TermsCache.Count('getTerm', 'misses')
         }
 
         ///
         // Check database.
         ///
-        const result = db._query(aql`
-            LET term = (
-              FOR doc IN ${collection_terms}
-                FILTER doc._key == ${theTermGID}
-              RETURN KEEP(doc,
-                '_key',
-                ${module.context.configuration.sectionData},
-                ${module.context.configuration.sectionRule}
-              )
-            )
-            
-            LET enum = (
-                LET path = (
-                  FOR doc IN ${collection_edges}
-                    FILTER doc._from == CONCAT_SEPARATOR('/', ${module.context.configuration.collectionTerm}, ${theTermGID})
-                    FILTER doc.${module.context.configuration.predicate} == ${module.context.configuration.predicateEnumeration}
-
-                    FOR item IN doc.${module.context.configuration.sectionPath}
-                        RETURN PARSE_IDENTIFIER(item).key
-                )
-                RETURN
-                    (LENGTH(path) > 0) ? { ${module.context.configuration.sectionPath}: path }
-                                       : {}
-            )
-            
-            RETURN
-              (LENGTH(term) == 1) ?
-                (LENGTH(enum) == 1) ? MERGE(term[0], enum[0])
-                                    : term[0]
-                                  : false
-       `).toArray()
+        const result = TermsCache.Timed(
+            'getTerm', () => this.source.queryTerms([theTermGID])
+        )
 
         ///
         // Process found term.
@@ -248,7 +449,7 @@ class TermsCache
             // Set in cache.
             ///
             if(doCache) {
-                TermsCache.cache[theTermGID] = result[ 0 ]
+                this.regions.terms.set(theTermGID, result[ 0 ], theTTL)
             }
 
             return result[ 0 ]                                          // ==>
@@ -258,7 +459,7 @@ class TermsCache
         // Cache missing terms.
         ///
         if(doMissing) {
-            TermsCache.cache[theTermGID] = false
+            this.regions.terms.set(theTermGID, false, theTTL)
         }
 
         return false                                                    // ==>
@@ -280,6 +481,8 @@ class TermsCache
      * @param theTermGID {String}: The term global identifier (`_key`).
      * @param doCache {Boolean}: Check and store to cache, defaults to `true`.
      * @param doMissing {Boolean}: Cache also missing terms, defaults to `true`.
+     * @param theTTL {Number|null}: Cache time to live in seconds, defaults to
+     *                              null (use the `cacheTTL` setting).
      *
      * @return {Object|Boolean}: The term record or `false` if the term does not
      *                           exist or if the term is not a descriptor.
@@ -287,14 +490,15 @@ class TermsCache
     getDescriptor(
         theTermGID,
         doCache = true,
-        doMissing = false
+        doMissing = false,
+        theTTL = null
     ){
         ///
         // Resolve term.
         ///
-        const term = this.getTerm(theTermGID, doCache, doMissing)
+        const term = this.getTerm(theTermGID, doCache, doMissing, theTTL)
         if(term !== false) {
-            if(!term.hasOwnProperty(module.context.configuration.sectionData)) {
+            if(!term.hasOwnProperty(this.settings.sectionData)) {
                 return false                                            // ==>
             }
         }
@@ -309,30 +513,87 @@ class TermsCache
      * This method will return the list of term records corresponding to the
      * provided list of term global identifiers.
      * The result will be a key/value dictionary in which each element will be
-     * the result of the `getTerm()` method applied to the current element.
+     * the same value the `getTerm()` method would return for the current
+     * element.
      *
      * The method assumes the parameter to be an array of strings. If there are
      * eventual duplicates in the string array, these will be reduces to a set.
      *
+     * If `doCache` is set, the terms found in the cache will be served from
+     * memory; all the other terms will be retrieved from the database with a
+     * single query, rather than one query per term, and stored in the cache
+     * following the same rules as `getTerm()`.
+     *
      * The cache is consulted by this method.
      *
      * @param TheTermGIDList {[String]}: The term global identifiers list.
      * @param doCache {Boolean}: Check and store to cache, defaults to `true`.
      * @param doMissing {Boolean}: Cache also missing terms, defaults to `true`.
+     * @param theTTL {Number|null}: Cache time to live in seconds, defaults to
+     *                              null (use the `cacheTTL` setting).
      *
      * @return {Object}: Dictionary of matched terms.
      */
     getTerms(
         TheTermGIDList,
         doCache = true,
-        doMissing = false
+        doMissing = false,
+        theTTL = null
     ){
         ///
-        // Iterate list of term identifiers.
+        // Init local storage.
         ///
         const result = {}
-        TheTermGIDList.forEach( (term) => {
-            result[term] = this.getTerm(term, doCache, doMissing)
+        const missing = []
+
+        ///
+        // Check cache.
+        ///
+        new Set(TheTermGIDList).forEach( (term) => {
+            if(doCache) {
+                const cached = this.regions.terms.get(term)
+                if(cached !== undefined) {
+                    TermsCache.Count(
+                        'getTerms', (cached === false) ? 'negativeHits' : 'hits'
+                    )
+                    result[term] = cached
+                    return
+                }
+                TermsCache.Count('getTerms', 'misses')
+            }
+            missing.push(term)
+        })
+
+        ///
+        // Handle all terms cached.
+        ///
+        if(missing.length === 0) {
+            return result                                               // ==>
+        }
+
+        ///
+        // Check database.
+        ///
+        const found = {}
+        TermsCache.Timed('getTerms', () => this.source.queryTerms(missing)).forEach( (term) => {
+            found[term._key] = term
+        })
+
+        ///
+        // Process terms.
+        ///
+        missing.forEach( (term) => {
+            if(found.hasOwnProperty(term)) {
+                result[term] = found[term]
+                if(doCache) {
+                    this.regions.terms.set(term, found[term], theTTL)
+                }
+            } else {
+                result[term] = false
+                if(doMissing) {
+                    this.regions.terms.set(term, false, theTTL)
+                }
+            }
         })
 
         return result                                                   // ==>
@@ -345,31 +606,44 @@ class TermsCache
      * This method will return the list of descriptor records corresponding to
      * the provided list of term global identifiers.
      * The result will be a key/value dictionary in which each element will be
-     * the result of the `getDescriptor()` method applied to the current
+     * the same value the `getDescriptor()` method would return for the current
      * element.
      *
      * The method assumes the parameter to be an array of strings. If there are
      * eventual duplicates in the string array, these will be reduces to a set.
      *
+     * Terms are resolved with the `getTerms()` method, so that all terms not
+     * found in the cache are retrieved with a single query.
+     *
      * The cache is consulted by this method.
      *
      * @param TheTermGIDList {[String]}: The term global identifiers list.
      * @param doCache {Boolean}: Check and store to cache, defaults to `true`.
      * @param doMissing {Boolean}: Cache also missing terms, defaults to `true`.
+     * @param theTTL {Number|null}: Cache time to live in seconds, defaults to
+     *                              null (use the `cacheTTL` setting).
      *
      * @return {Object}: Dictionary of matched terms.
      */
     getDescriptors(
         TheTermGIDList,
         doCache = true,
-        doMissing = false
+        doMissing = false,
+        theTTL = null
     ){
         ///
-        // Iterate list of descriptor identifiers.
+        // Resolve terms.
         ///
-        const result = {}
-        TheTermGIDList.forEach( (term) => {
-            result[term] = this.getDescriptor(term, doCache, doMissing)
+        const result = this.getTerms(TheTermGIDList, doCache, doMissing, theTTL)
+
+        ///
+        // Discard terms that are not descriptors.
+        ///
+        Object.keys(result).forEach( (term) => {
+            if(result[term] !== false &&
+                !result[term].hasOwnProperty(this.settings.sectionData)) {
+                result[term] = false
+            }
         })
 
         return result                                                   // ==>
@@ -377,6 +651,477 @@ class TermsCache
     } // getDescriptors()
 
 
+    /**
+     * warmUp
+     *
+     * This method can be used to preload the cache with the terms that are
+     * most frequently used during validation: all descriptors, terms with a
+     * data section, and all object kinds, terms with a rule section. If
+     * `doEnums` is set, all enumeration elements will also be loaded, with
+     * their `_path`.
+     *
+     * Terms are read with one query for descriptors and object kinds and one
+     * query for enumeration elements; the records are the same as those
+     * returned by `getTerm()` and are stored in the cache with the provided
+     * time to live. Note that the cache limits still apply: if the dictionary
+     * is larger than the cache, the first loaded terms will be evicted.
+     *
+     * The method will return a report with the following members:
+     *
+     * - `terms`: Number of loaded terms.
+     * - `descriptors`: Number of loaded descriptors.
+     * - `structures`: Number of loaded object kinds.
+     * - `enumerations`: Number of loaded enumeration elements.
+     * - `evictions`: Number of cache entries evicted while loading.
+     * - `entries`: Number of cache entries after loading.
+     * - `elapsed`: Duration of the operation in milliseconds.
+     *
+     * @param doEnums {Boolean}: Load also enumeration elements, defaults to
+     *                           `false`.
+     * @param theTTL {Number|null}: Cache time to live in seconds, defaults to
+     *                              null (use the `cacheTTL` setting).
+     *
+     * @return {Object}: The warm-up report.
+     */
+    warmUp(doEnums = false, theTTL = null)
+    {
+        ///
+        // Init local storage.
+        ///
+        const start = Date.now()
+        const evictions = this.regions.terms.stats().evictions
+        const terms = {}
+
+        ///
+        // Load descriptors and object kinds.
+        ///
+        TermsCache.Timed('warmUp', () => this.source.queryStructuralTerms()).forEach( (term) => {
+            terms[term._key] = term
+        })
+
+        ///
+        // Load enumeration elements.
+        ///
+        if(doEnums) {
+            TermsCache.Timed('warmUp', () => this.source.queryEnumerationTerms()).forEach( (term) => {
+                terms[term._key] = term
+            })
+        }
+
+        ///
+        // Fill cache and count.
+        ///
+        const report = {
+            terms: 0,
+            descriptors: 0,
+            structures: 0,
+            enumerations: 0
+        }
+        Object.keys(terms).forEach( (key) => {
+            const term = terms[key]
+            this.regions.terms.set(key, term, theTTL)
+
+            report.terms++
+            if(term.hasOwnProperty(this.settings.sectionData)) {
+                report.descriptors++
+            }
+            if(term.hasOwnProperty(this.settings.sectionRule)) {
+                report.structures++
+            }
+            if(term.hasOwnProperty(this.settings.sectionPath)) {
+                report.enumerations++
+            }
+        })
+
+        report.evictions = this.regions.terms.stats().evictions - evictions
+        report.entries = this.regions.terms.stats().entries
+        report.elapsed = Date.now() - start
+
+        return report                                                   // ==>
+
+    } // warmUp()
+
+    /**
+     * invalidateTerm
+     *
+     * This method will remove the provided term from the cache, so that the
+     * next request will read it from the database. The term document handle
+     * is also removed from the `documents` region.
+     *
+     * The `enums` region is cleared: a change in the term code section or in
+     * its enumeration edges may change the resolution of any code, including
+     * codes that were not resolved, and the cached resolutions do not record
+     * which codes a term features.
+     *
+     * Use this method after changing the term record, or after changing the
+     * edges in which the term is the relationship origin.
+     *
+     * @param theTermGID {String}: The term global identifier (`_key`).
+     *
+     * @return {Boolean}: `true` if the term was cached, `false` if not.
+     */
+    invalidateTerm(theTermGID)
+    {
+        this.regions.enums.clear()
+        this.regions.documents.delete(
+            `${this.settings.collectionTerm}/${theTermGID}`
+        )
+
+        return this.regions.terms.delete(theTermGID)                // ==>
+
+    } // invalidateTerm()
+
+    /**
+     * invalidateTerms
+     *
+     * This method will remove the provided list of terms from the cache.
+     *
+     * @param TheTermGIDList {[String]}: The term global identifiers list.
+     *
+     * @return {Number}: The number of removed cache entries.
+     */
+    invalidateTerms(TheTermGIDList)
+    {
+        let count = 0
+        TheTermGIDList.forEach( (term) => {
+            if(this.invalidateTerm(term)) {
+                count++
+            }
+        })
+
+        return count                                                    // ==>
+
+    } // invalidateTerms()
+
+    /**
+     * invalidateEnumeration
+     *
+     * This method will remove from the cache all terms whose `_path` contains
+     * the provided enumeration type, that is, all cached elements of the
+     * enumeration. The enumeration type term itself is also removed, as well
+     * as all cached code resolutions in the enumeration.
+     *
+     * @param theEnum {String}: The enumeration type global identifier.
+     *
+     * @return {Number}: The number of removed cache entries.
+     */
+    invalidateEnumeration(theEnum)
+    {
+        const resolutions = this.regions.enums.prune( (terms, key) =>
+            TermsCache.ParseEnumKey(key).enum === theEnum
+        )
+
+        return resolutions + this.regions.terms.prune( (term, key) =>
+            (key === theEnum) ||
+            (term !== null && typeof term === 'object' &&
+                Array.isArray(term[this.settings.sectionPath]) &&
+                term[this.settings.sectionPath].includes(theEnum))
+        )                                                               // ==>
+
+    } // invalidateEnumeration()
+
+    /**
+     * invalidateEdge
+     *
+     * This method will remove from the cache the term that is the origin of
+     * the provided edge: since the cached term record includes the `_path` of
+     * its enumeration edges, any change to an edge affects its `_from` term.
+     *
+     * Edges whose origin is not in the terms collection are ignored. The edge
+     * document handle, if provided, is also removed from the `documents`
+     * region.
+     *
+     * @param theEdge {Object}: The edge document, or at least its `_from`.
+     *
+     * @return {Boolean}: `true` if the origin term was cached, `false` if not.
+     */
+    invalidateEdge(theEdge)
+    {
+        ///
+        // Remove edge handle.
+        ///
+        if(theEdge.hasOwnProperty('_id')) {
+            this.regions.documents.delete(theEdge._id)
+        }
+
+        ///
+        // Parse origin.
+        ///
+        const parts = String(theEdge._from).split('/')
+        if(parts.length === 2 &&
+            parts[0] === this.settings.collectionTerm) {
+            return this.invalidateTerm(parts[1])                        // ==>
+        }
+
+        return false                                                    // ==>
+
+    } // invalidateEdge()
+
+    /**
+     * invalidateAll
+     *
+     * This method will remove all entries from all cache regions.
+     *
+     * @return {Number}: The number of removed cache entries.
+     */
+    invalidateAll()
+    {
+        let count = 0
+        Object.values(this.regions).forEach( (region) => {
+            count += region.clear()
+        })
+
+        return count                                                    // ==>
+
+    } // invalidateAll()
+
+    /**
+     * checkRevisions
+     *
+     * This method will compare the current revisions of the terms and edges
+     * collections with the last seen ones: if any of them changed, all cached
+     * terms, enumeration resolutions and terms or edges document handles will
+     * be flushed.
+     *
+     * The check is performed at most once every `cacheRevisionInterval`
+     * seconds, unless `doForce` is set; an interval of `0` disables the
+     * automatic check.
+     *
+     * @param doForce {Boolean}: Ignore the check interval, defaults to `false`.
+     *
+     * @return {Boolean}: `true` if the cache was flushed, `false` if not.
+     */
+    checkRevisions(doForce = false)
+    {
+        ///
+        // Check interval.
+        ///
+        const interval = this.settings.cacheRevisionInterval * 1000
+        const now = Date.now()
+        if(!doForce) {
+            if(interval <= 0 || (now - this.#state.revisionsChecked) < interval) {
+                return false                                            // ==>
+            }
+        }
+        this.#state.revisionsChecked = now
+
+        ///
+        // Compare revisions.
+        ///
+        const current = this.collectionRevisions()
+        const previous = this.#state.revisions
+        this.#state.revisions = current
+
+        if(previous !== null &&
+            (previous.terms !== current.terms || previous.edges !== current.edges)) {
+            const terms = `${this.settings.collectionTerm}/`
+            const edges = `${this.settings.collectionEdge}/`
+
+            this.regions.terms.clear()
+            this.regions.enums.clear()
+            this.regions.documents.prune( (value, key) =>
+                key.startsWith(terms) || key.startsWith(edges)
+            )
+
+            return true                                                 // ==>
+        }
+
+        return false                                                    // ==>
+
+    } // checkRevisions()
+
+    /**
+     * syncRevisions
+     *
+     * This method should be called after writing to the terms or edges
+     * collections and after invalidating the affected entries: it expects the
+     * collection revisions read before the write operation and the revision
+     * returned by the write, keyed by collection, `terms` or `edges`.
+     *
+     * If the revisions read before the write match the last seen revisions,
+     * and the current revisions are those expected after our write, the
+     * current revisions are recorded, so that the write will not cause the
+     * next `checkRevisions()` to flush the cache.
+     *
+     * In all other cases another process may have changed the collections,
+     * before or after our write, so the last seen revisions are left
+     * untouched and the next check will flush the cache.
+     *
+     * @param theRevisions {Object}: Revisions read before the write.
+     * @param theWritten {Object}: Revision of the write, by collection.
+     *
+     * @return {Boolean}: `true` if the revisions were recorded, `false` if not.
+     */
+    syncRevisions(theRevisions, theWritten)
+    {
+        ///
+        // Check revisions before write.
+        ///
+        const previous = this.#state.revisions
+        if(previous === null ||
+            previous.terms !== theRevisions.terms ||
+            previous.edges !== theRevisions.edges) {
+            return false                                                // ==>
+        }
+
+        ///
+        // Check revisions after write.
+        ///
+        const expected = { ...theRevisions, ...theWritten }
+        const current = this.collectionRevisions()
+        if(current.terms === expected.terms && current.edges === expected.edges) {
+            this.#state.revisions = current
+            return true                                                 // ==>
+        }
+
+        return false                                                    // ==>
+
+    } // syncRevisions()
+
+    /**
+     * collectionRevisions
+     *
+     * This method will return the current revisions of the terms and edges
+     * collections of the data source, as an object with the `terms` and
+     * `edges` members.
+     *
+     * The cache is not consulted by this method.
+     *
+     * @return {Object}: The terms and edges collection revisions.
+     */
+    collectionRevisions()
+    {
+        return this.source.revisions()                                  // ==>
+
+    } // collectionRevisions()
+
+    /**
+     * cacheStatistics
+     *
+     * This method will return the cache statistics as an object with the
+     * following members:
+     *
+     * - `regions`: A dictionary keyed by cache region name whose values hold
+     *              the current size, limits and the hit, miss, eviction and
+     *              expiration counters of the region.
+     * - `methods`: A dictionary keyed by method name, such as `getTerm`,
+     *              `documentExists` or `queryEnumIdentifierByCode`, whose
+     *              values hold the following counters:
+     *   - `hits`: Values found in the cache.
+     *   - `negativeHits`: Missing values found in the cache (cached `false`).
+     *   - `misses`: Values not found in the cache.
+     *   - `queries`: Number of database requests.
+     *   - `queryTime`: Milliseconds spent in database requests.
+     *
+     * @return {Object}: The cache statistics.
+     */
+    cacheStatistics()
+    {
+        const regions = {}
+        Object.entries(this.regions).forEach( ([name, region]) => {
+            regions[name] = region.stats()
+        })
+
+        return {
+            regions: regions,
+            methods: JSON.parse(JSON.stringify(TermsCache.statistics))
+        }                                                               // ==>
+
+    } // cacheStatistics()
+
+    /**
+     * resetStatistics
+     *
+     * This method will reset all cache and method counters, the cache
+     * contents are not changed.
+     */
+    resetStatistics()
+    {
+        Object.values(this.regions).forEach( (region) => {
+            region.resetStats()
+        })
+        TermsCache.statistics = {}
+
+    } // resetStatistics()
+
+    /**
+     * cacheKeys
+     *
+     * This method will return the list of keys cached in the provided region,
+     * from the least to the most recently used, optionally filtered by prefix
+     * and limited in number.
+     *
+     * If the region does not exist, the method will raise an exception.
+     *
+     * @param theRegion {String}: The cache region name, defaults to `terms`.
+     * @param thePrefix {String}: Only return keys starting with this string,
+     *                            defaults to empty string (all keys).
+     * @param theLimit {Number}: Maximum number of keys, defaults to 0 (all).
+     *
+     * @return {[String]}: The list of cached keys.
+     */
+    cacheKeys(theRegion = 'terms', thePrefix = '', theLimit = 0)
+    {
+        const keys = this.region(theRegion).keys()
+            .filter( (key) => String(key).startsWith(thePrefix) )
+
+        return (theLimit > 0) ? keys.slice(0, theLimit) : keys          // ==>
+
+    } // cacheKeys()
+
+    /**
+     * cacheEntry
+     *
+     * This method will return the entry of the provided cache region
+     * corresponding to the provided key, without updating the usage order or
+     * the counters. The entry is an object with the following members:
+     *
+     * - `key`: The cache key.
+     * - `value`: The cached value.
+     * - `bytes`: The approximate size of the entry.
+     * - `expires`: The expiration timestamp in milliseconds, or `0`.
+     *
+     * If the region does not exist, the method will raise an exception.
+     *
+     * @param theRegion {String}: The cache region name.
+     * @param theKey {String}: The cache key.
+     *
+     * @return {Object|Boolean}: The cache entry, or `false` if not cached.
+     */
+    cacheEntry(theRegion, theKey)
+    {
+        const entry = this.region(theRegion).peek(theKey)
+        if(entry === undefined) {
+            return false                                                // ==>
+        }
+
+        return { key: theKey, ...entry }                                // ==>
+
+    } // cacheEntry()
+
+    /**
+     * region
+     *
+     * This method will return the cache region corresponding to the provided
+     * name, it will raise an exception if the region does not exist.
+     *
+     * @param theRegion {String}: The cache region name.
+     *
+     * @return {CacheBackend}: The cache region.
+     */
+    region(theRegion)
+    {
+        if(!this.regions.hasOwnProperty(theRegion)) {
+            throw new Error(
+                `Unknown cache region: [${theRegion}].`
+            )                                                           // ==>
+        }
+
+        return this.regions[theRegion]                                  // ==>
+
+    } // region()
+
+
     /**
      * STATIC ENUMERATION METHODS
      */
@@ -398,37 +1143,71 @@ class TermsCache
      * Any top level property of the code section can be used by this method: it
      * supports scalars and arrays.
      *
-     * The cache is not consulted by this method.
+     * If `doCache` is true, the method will first check the `enums` cache
+     * region for the combination of field, value and enumeration type and, if
+     * found, it will return the cached list. Otherwise, the database will be
+     * queried and the list will be cached, also if no term matched: since
+     * values are resolved against all the data kinds of a descriptor, most
+     * lookups are expected to miss. Empty lists expire after the
+     * `cacheEnumMissingTTL` setting, unless a time to live is provided.
      *
      * @param theField {String}: Name of the field.
      * @param theValue {String}: Value of the field.
      * @param theEnum {String}: The enumeration type global identifier.
+     * @param doCache {Boolean}: Check and store to cache, defaults to `true`.
+     * @param theTTL {Number|null}: Cache time to live in seconds, defaults to
+     *                              null (use the `cacheEnumTTL` setting, or the
+     *                              `cacheEnumMissingTTL` setting for empty
+     *                              lists).
      * @return {[String]}: The list of term global identifiers matching code and
      * type.
      */
-    queryEnumIdentifierByCode(theField, theValue, theEnum)
-    {
+    queryEnumIdentifierByCode(
+        theField,
+        theValue,
+        theEnum,
+        doCache = true,
+        theTTL = null
+    ){
+        ///
+        // Check cache.
+        ///
+        const key = TermsCache.EnumKey(theField, theValue, theEnum)
+        if(doCache) {
+            const cached = this.regions.enums.get(key)
+            if(cached !== undefined) {
+                TermsCache.Count(
+                    'queryEnumIdentifierByCode',
+                    (cached.length === 0) ? 'negativeHits' : 'hits'
+                )
+                return cached                                           // ==>
+            }
+            TermsCache.Count('queryEnumIdentifierByCode', 'misses')
+        }
+
         ///
         // Query the database.
         ///
-        return db._query(aql`
-            LET terms = (
-              FOR term IN ${view_terms}
-                SEARCH term.${module.context.configuration.sectionCode}.${theField} == ${theValue}
-              RETURN CONCAT_SEPARATOR('/', ${module.context.configuration.collectionTerm}, term._key)
-            )
-            
-            FOR edge IN ${collection_edges}
-              FILTER edge._from IN terms
-              FILTER edge.${module.context.configuration.predicate} == ${module.context.configuration.predicateEnumeration}
-              FILTER CONCAT_SEPARATOR("/", ${module.context.configuration.collectionTerm}, ${theEnum}) IN edge.${module.context.configuration.sectionPath}
-            RETURN PARSE_IDENTIFIER(edge._from).key
-        `).toArray()                                                    // ==>
+        const result = TermsCache.Timed('queryEnumIdentifierByCode', () =>
+            this.source.queryEnumIdentifiers(theField, theValue, theEnum)
+        )
+
+        ///
+        // Set in cache.
+        ///
+        if(doCache) {
+            const ttl = (theTTL === null && result.length === 0)
+                ? this.settings.cacheEnumMissingTTL
+                : theTTL
+            this.regions.enums.set(key, result, ttl)
+        }
+
+        return result                                                   // ==>
 
     } // queryEnumIdentifierByCode()
 
     /**
-     * QueryEnumTermByCode
+     * queryEnumTermByCode
      *
      * Use this method to retrieve the record of the term satisfying the
      * following conditions:
@@ -454,35 +1233,203 @@ class TermsCache
      * @return {[Object]}: The list of term records matching code and
      * type.
      */
-    static QueryEnumTermByCode(theField, theValue, theEnum)
+    queryEnumTermByCode(theField, theValue, theEnum)
     {
+        return TermsCache.Timed('queryEnumTermByCode', () =>
+            this.source.queryEnumTerms(theField, theValue, theEnum)
+        )                                                               // ==>
+
+    } // queryEnumTermByCode()
+
+
+    /**
+     * STATIC SOURCE METHODS
+     */
+
+
+    /**
+     * DefaultSource
+     *
+     * Use this method to retrieve the default data source: an ArangoSource
+     * using the service settings, instantiated on first use and shared by all
+     * objects instantiated without a data source.
+     *
+     * @return {DataSource}: The default data source.
+     */
+    static DefaultSource()
+    {
+        if(TermsCache.source === null) {
+            const ArangoSource = require('./ArangoSource')
+            TermsCache.source = new ArangoSource(Environment.Settings())
+        }
+
+        return TermsCache.source                                        // ==>
+
+    } // DefaultSource()
+
+
+    /**
+     * STATIC CACHE METHODS
+     */
+
+
+    /**
+     * CreateRegion
+     *
+     * Use this method to instantiate a cache region using the provided storage
+     * backend, the `cacheBackend` service setting:
+     *
+     * - `memory`: MemoryCache, the in-process store.
+     * - `collection`: CollectionCache, the store shared through the
+     *                 `collectionCache` collection.
+     * - Any other value is the path, relative to the service root, of a module
+     *   exporting a class derived from CacheBackend.
+     *
+     * The method will raise an exception if the backend does not derive from
+     * CacheBackend.
+     *
+     * @param theRegion {String}: The cache region name.
+     * @param theMaxEntries {Number}: Maximum number of entries.
+     * @param theMaxBytes {Number}: Maximum approximate size in bytes.
+     * @param theTTL {Number}: Default time to live in seconds.
+     * @param theBackend {String}: The storage backend, defaults to `memory`.
+     * @param theSettings {Object|null}: The data source settings, passed to
+     *                                   the backend, defaults to null.
+     *
+     * @return {CacheBackend}: The cache region.
+     */
+    static CreateRegion(
+        theRegion,
+        theMaxEntries,
+        theMaxBytes,
+        theTTL,
+        theBackend = 'memory',
+        theSettings = null
+    ){
         ///
-        // Query the database.
+        // Resolve backend class.
         ///
-        return db._query(aql`
-            LET terms = (
-              FOR term IN ${view_terms}
-                SEARCH term.${module.context.configuration.sectionCode}.${theField} == ${theValue}
-              RETURN CONCAT_SEPARATOR('/', ${module.context.configuration.collectionTerm}, term._key)
-            )
-            
-            LET enums = (
-                FOR edge IN ${collection_edges}
-                  FILTER edge._from IN terms
-                  FILTER edge.${module.context.configuration.predicate} == ${module.context.configuration.predicateEnumeration}
-                  FILTER CONCAT_SEPARATOR("/", ${module.context.configuration.collectionTerm}, ${theEnum}) IN edge.${module.context.configuration.sectionPath}
-                RETURN PARSE_IDENTIFIER(edge._from).key
-            )
-            
-            FOR enum IN enums
-              FOR term IN ${view_terms}
-                SEARCH term._key == enum
-              RETURN {
-                [enum]: term
-              }
-        `)                                                              // ==>
-
-    } // QueryEnumTermByCode()
+        let Backend
+        const backend = theBackend || 'memory'
+        switch(backend) {
+            case 'memory':
+                Backend = MemoryCache
+                break
+
+            case 'collection':
+                Backend = require('./CollectionCache')
+                break
+
+            default:
+                Backend = require(
+                    Environment.IsFoxx()
+                        ? module.context.fileName(backend)
+                        : require('path').join(__dirname, '..', backend)
+                )
+                break
+        }
+
+        ///
+        // Check backend class.
+        ///
+        if(typeof Backend !== 'function' || !(Backend.prototype instanceof CacheBackend)) {
+            throw new Error(
+                `Invalid cache backend: [${backend}] does not export a CacheBackend class.`
+            )                                                           // ==>
+        }
+
+        return new Backend(
+            theRegion, theMaxEntries, theMaxBytes, theTTL, theSettings
+        )                                                               // ==>
+
+    } // CreateRegion()
+
+    /**
+     * EnumKey
+     *
+     * Use this method to build the `enums` cache region key corresponding to
+     * the provided code section field, code value and enumeration type.
+     *
+     * @param theField {String}: Name of the field.
+     * @param theValue {String}: Value of the field.
+     * @param theEnum {String}: The enumeration type global identifier.
+     *
+     * @return {String}: The cache key.
+     */
+    static EnumKey(theField, theValue, theEnum)
+    {
+        return JSON.stringify([theField, theValue, theEnum])            // ==>
+
+    } // EnumKey()
+
+    /**
+     * ParseEnumKey
+     *
+     * Use this method to decode an `enums` cache region key into an object
+     * with the `field`, `value` and `enum` members.
+     *
+     * @param theKey {String}: The cache key.
+     *
+     * @return {Object}: The code section field, code value and enumeration
+     *                   type.
+     */
+    static ParseEnumKey(theKey)
+    {
+        const [field, value, type] = JSON.parse(theKey)
+
+        return { field: field, value: value, enum: type }               // ==>
+
+    } // ParseEnumKey()
+
+    /**
+     * Count
+     *
+     * Use this method to increment one of the usage counters of the provided
+     * method.
+     *
+     * @param theMethod {String}: The method name.
+     * @param theCounter {String}: The counter name.
+     */
+    static Count(theMethod, theCounter)
+    {
+        if(!TermsCache.statistics.hasOwnProperty(theMethod)) {
+            TermsCache.statistics[theMethod] = {
+                hits: 0,
+                negativeHits: 0,
+                misses: 0,
+                queries: 0,
+                queryTime: 0
+            }
+        }
+
+        TermsCache.statistics[theMethod][theCounter]++
+
+    } // Count()
+
+    /**
+     * Timed
+     *
+     * Use this method to run a database request on behalf of the provided
+     * method: the request count and the time spent will be added to the
+     * method usage counters.
+     *
+     * @param theMethod {String}: The method name.
+     * @param theRequest {Function}: The function performing the request.
+     *
+     * @return {*}: The result of the request.
+     */
+    static Timed(theMethod, theRequest)
+    {
+        const start = Date.now()
+        try {
+            return theRequest()                                         // ==>
+
+        } finally {
+            TermsCache.Count(theMethod, 'queries')
+            TermsCache.statistics[theMethod].queryTime += Date.now() - start
+        }
+
+    } // Timed()
 
 
     /**
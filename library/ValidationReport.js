@@ -7,6 +7,11 @@
  * definitions.
  */
 
+/**
+ * Modules.
+ */
+const Environment = require('./Environment')
+
 
 /**
  * Class: ValidationReport
@@ -28,11 +33,26 @@
  *              the status is idle, if there is an error the status will be
  *              replaced, but this is not an issue, since these changes are
  *              meant for correct values.
+ * - `pointer`: In error reports, the location of the incorrect value as an
+ *              RFC 6901 JSON Pointer, relative to the validated value, for
+ *              instance `/samples/3/_geo/coordinates`.
+ * - `descriptors`: In error reports, the list of descriptor global
+ *                  identifiers traversed to reach the incorrect value, from
+ *                  the outermost to the innermost one.
+ * - `patch`: The changes listed in `changes`, as RFC 6902 JSON Patch
+ *            operations relative to the validated value: applying them in
+ *            order to the value yields the corrected value.
+ * - `notices`: The list of warnings and informational reports, these do not
+ *              make the validation fail, unless the caller selects a lower
+ *              severity threshold.
  * - Other members providing information on the eventual errors.
  *
- * A report whose `status.code` is `0` means that there was no error; the
- * presence of the `changes` member indicates that some data was corrected.
- * Any `status.code` value other than `0` is considered an error.
+ * A report whose `status.code` is `0` means that there was no error; if some
+ * data was corrected, the report features the `changes` member and, once
+ * validation is complete, the `kMODIFIED_VALUE` informational status,
+ * unless the validator is in `dry-run` mode, where nothing is modified. Any `status.code` value other than `0` is considered an error, unless its
+ * `status.severity` is `warning` or `info`: such reports are only found in
+ * the `notices` list.
  */
 class ValidationReport
 {
@@ -51,17 +71,20 @@ class ValidationReport
 	 * @param theDescriptor {String}: The descriptor global identifier.
 	 * @param theValue {Array|Object|Boolean|Number|String}: The incorrect value.
 	 * @param theLanguage {String}: The message language code.
+	 * @param theSeverity {String|null}: The severity, defaults to null, the
+	 *                                   status record severity.
 	 */
 	constructor(
 		theStatusCode = 'kOK',
 		theDescriptor = '',
 		theValue = null,
-		theLanguage = module.context.configuration.language
+		theLanguage = Environment.Settings().language,
+		theSeverity = null
 	){
 		///
 		// Create status entry.
 		///
-		this.status = new ValidationStatus(theStatusCode, theLanguage)
+		this.status = new ValidationStatus(theStatusCode, theLanguage, theSeverity)
 
 		///
 		// Set descriptor reference.
@@ -79,17 +102,63 @@ class ValidationReport
 
 	} // constructor()
 
+	/**
+	 * Static members.
+	 *
+	 * The severity levels, from the lowest to the highest.
+	 */
+	static severities = [ 'info', 'warning', 'error' ]
+
+	/**
+	 * IsStatus
+	 *
+	 * Use this method to check whether the provided status code constant
+	 * exists.
+	 *
+	 * @param theCode {String}: The status code constant.
+	 *
+	 * @return {Boolean}: `true` if the status exists.
+	 */
+	static IsStatus(theCode)
+	{
+		return ValidationStatus.statusRecords.hasOwnProperty(theCode)   // ==>
+
+	} // ValidationReport::IsStatus()
+
+	/**
+	 * IsSeverity
+	 *
+	 * Use this method to check whether the provided severity has at least the
+	 * provided threshold level.
+	 *
+	 * @param theSeverity {String}: The severity.
+	 * @param theThreshold {String}: The threshold severity.
+	 *
+	 * @return {Boolean}: `true` if the severity reaches the threshold.
+	 */
+	static IsSeverity(theSeverity, theThreshold)
+	{
+		return (
+			ValidationReport.severities.indexOf(theSeverity) >=
+			ValidationReport.severities.indexOf(theThreshold)
+		)                                                               // ==>
+
+	} // ValidationReport::IsSeverity()
+
 } // Class: ValidationReport
 
 /**
  * Class: ValidationStatus
  *
- * This class implements a status report consisting of two members:
+ * This class implements a status report consisting of three members:
  *
  * - `code`: The status code.
+ * - `severity`: The status severity: `error`, `warning` or `info`.
  * - `message`: The status message.
  *
- * A code of `0` indicates an idle status, any other value indicates an error.
+ * A code of `0` indicates an idle status, any other value indicates an error,
+ * a warning or an information, depending on the severity. Each status record
+ * has its default severity, which the validator may downgrade to `warning`.
  */
 class ValidationStatus
 {
@@ -105,8 +174,10 @@ class ValidationStatus
 	 *
 	 * @param theCode {String}: The status code constant.
 	 * @param theLanguage {string}: The status message language.
+	 * @param theSeverity {String|null}: The severity, defaults to null, the
+	 *                                   status record severity.
 	 */
-	constructor(theCode, theLanguage)
+	constructor(theCode, theLanguage, theSeverity = null)
 	{
 		///
 		// Check status code.
@@ -127,6 +198,13 @@ class ValidationStatus
 		///
 		this.code = status.statusCode
 
+		///
+		// Set status severity.
+		///
+		this.severity = (theSeverity === null)
+			? status.statusSeverity
+			: theSeverity
+
 		///
 		// Set status message.
 		// If provided language cannot be found, use default language.
@@ -134,7 +212,7 @@ class ValidationStatus
 		///
 		this.message = (status.statusMessage.hasOwnProperty(theLanguage))
 						   ? status.statusMessage[theLanguage]
-						   : status.statusMessage[module.context.configuration.language]
+						   : status.statusMessage[Environment.Settings().language]
 
 	} // constructor()
 
@@ -147,48 +225,56 @@ class ValidationStatus
 	{
 		"kINVALID_DICT_VALUE_SECTION": {
 			"statusCode": -7,
+			"statusSeverity": "error",
 			"statusMessage": {
 				"iso_639_3_eng": "Invalid dictionary values section."
 			}
 		},
 		"kINVALID_DICT_KEY_SECTION": {
 			"statusCode": -6,
+			"statusSeverity": "error",
 			"statusMessage": {
 				"iso_639_3_eng": "Invalid dictionary keys section."
 			}
 		},
 		"kMISSING_DICT_VALUE_SECTION": {
 			"statusCode": -5,
+			"statusSeverity": "error",
 			"statusMessage": {
 				"iso_639_3_eng": "Missing dictionary values section."
 			}
 		},
 		"kMISSING_DICT_KEY_SECTION": {
 			"statusCode": -4,
+			"statusSeverity": "error",
 			"statusMessage": {
 				"iso_639_3_eng": "Missing dictionary keys section."
 			}
 		},
 		"kMISSING_SET_SCALAR": {
 			"statusCode": -3,
+			"statusSeverity": "error",
 			"statusMessage": {
 				"iso_639_3_eng": "Missing set scalar section in data section."
 			}
 		},
 		"kMISSING_DATA_TYPE": {
 			"statusCode": -2,
+			"statusSeverity": "error",
 			"statusMessage": {
 				"iso_639_3_eng": `Invalid descriptor: missing data type.`
 			}
 		},
 		"kEXPECTING_DATA_DIMENSION": {
 			"statusCode": -1,
+			"statusSeverity": "error",
 			"statusMessage": {
-				"iso_639_3_eng": `Invalid data section: expecting. \`${module.context.configuration.sectionScalar}\`, \`${module.context.configuration.sectionArray}\`, \`${module.context.configuration.sectionSet}\` or \`${module.context.configuration.sectionDict}\`, but none provided.`
+				"iso_639_3_eng": `Invalid data section: expecting. \`${Environment.Settings().sectionScalar}\`, \`${Environment.Settings().sectionArray}\`, \`${Environment.Settings().sectionSet}\` or \`${Environment.Settings().sectionDict}\`, but none provided.`
 			}
 		},
 		"kOK": {
 			"statusCode": 0,
+			"statusSeverity": "info",
 			"statusMessage": {
 				"iso_639_3_eng": "Idle.",
 				"iso_639_3_ita": "Operativo.",
@@ -200,237 +286,542 @@ class ValidationStatus
 		},
 		"kMODIFIED_VALUE": {
 			"statusCode": 1,
+			"statusSeverity": "info",
 			"statusMessage": {
 				"iso_639_3_eng": "The value of at least one property was updated: check report."
 			}
 		},
 		"kNOT_AN_ARRAY": {
 			"statusCode": 2,
+			"statusSeverity": "error",
 			"statusMessage": {
 				"iso_639_3_eng": "Expecting an array."
 			}
 		},
 		"kEMPTY_OBJECT": {
 			"statusCode": 3,
+			"statusSeverity": "error",
 			"statusMessage": {
 				"iso_639_3_eng": "The object is empty."
 			}
 		},
 		"kUNKNOWN_TERM": {
 			"statusCode": 4,
+			"statusSeverity": "error",
 			"statusMessage": {
 				"iso_639_3_eng": "Term not found."
 			}
 		},
 		"kNOT_A_DESCRIPTOR": {
 			"statusCode": 5,
+			"statusSeverity": "error",
 			"statusMessage": {
 				"iso_639_3_eng": "The value is not a descriptor reference."
 			}
 		},
 		"kNOT_A_SCALAR": {
 			"statusCode": 6,
+			"statusSeverity": "error",
 			"statusMessage": {
 				"iso_639_3_eng": "The value is not a scalar."
 			}
 		},
 		"kNOT_A_BOOLEAN": {
 			"statusCode": 8,
+			"statusSeverity": "error",
 			"statusMessage": {
 				"iso_639_3_eng": "The value is not a boolean."
 			}
 		},
 		"kNOT_AN_INTEGER": {
 			"statusCode": 9,
+			"statusSeverity": "error",
 			"statusMessage": {
 				"iso_639_3_eng": "The value is not an integer."
 			}
 		},
 		"kNOT_A_NUMBER": {
 			"statusCode": 10,
+			"statusSeverity": "error",
 			"statusMessage": {
 				"iso_639_3_eng": "The value is not a number."
 			}
 		},
 		"kVALUE_OUT_OF_RANGE": {
 			"statusCode": 11,
+			"statusSeverity": "error",
 			"statusMessage": {
 				"iso_639_3_eng": "The value out of range."
 			}
 		},
 		"kVALUE_LOW_RANGE": {
 			"statusCode": 12,
+			"statusSeverity": "error",
 			"statusMessage": {
 				"iso_639_3_eng": "The value is smaller than valid range."
 			}
 		},
 		"kVALUE_HIGH_RANGE": {
 			"statusCode": 13,
+			"statusSeverity": "error",
 			"statusMessage": {
 				"iso_639_3_eng": "The value is greater than valid range."
 			}
 		},
 		"kVALUE_NOT_A_TIMESTAMP": {
 			"statusCode": 14,
+			"statusSeverity": "error",
 			"statusMessage": {
 				"iso_639_3_eng": "The value cannot be interpreted as a timestamp."
 			}
 		},
 		"kUNSUPPORTED_DATA_TYPE": {
 			"statusCode": 15,
+			"statusSeverity": "error",
 			"statusMessage": {
 				"iso_639_3_eng": "Unsupported data type."
 			}
 		},
 		"kNOT_A_STRING": {
 			"statusCode": 16,
+			"statusSeverity": "error",
 			"statusMessage": {
 				"iso_639_3_eng": "The value is not a string."
 			}
 		},
 		"kNO_MATCH_REGEXP": {
 			"statusCode": 17,
+			"statusSeverity": "error",
 			"statusMessage": {
 				"iso_639_3_eng": "String does not match regular expression."
 			}
 		},
 		"kEMPTY_KEY": {
 			"statusCode": 18,
+			"statusSeverity": "error",
 			"statusMessage": {
 				"iso_639_3_eng": "The provided document key cannot be an empty string."
 			}
 		},
 		"kNOT_AN_ENUM": {
 			"statusCode": 19,
+			"statusSeverity": "error",
 			"statusMessage": {
 				"iso_639_3_eng": "The referenced term is not an enumeration element."
 			}
 		},
 		"kNOT_A_STRUCTURE_DEFINITION": {
 			"statusCode": 20,
+			"statusSeverity": "error",
 			"statusMessage": {
 				"iso_639_3_eng": "The referenced term is not a structure definition."
 			}
 		},
 		"kNO_REF_DEFAULT_NAMESPACE_KEY": {
 			"statusCode": 21,
+			"statusSeverity": "error",
 			"statusMessage": {
 				"iso_639_3_eng": "You cannot use this value as a document key: it is reserved to the default namespace. If you want to reference the default namespace, use an empty string."
 			}
 		},
 		"kUNKNOWN_DOCUMENT": {
 			"statusCode": 22,
+			"statusSeverity": "error",
 			"statusMessage": {
 				"iso_639_3_eng": "Document not found in the database."
 			}
 		},
 		"kBAD_KEY_VALUE": {
 			"statusCode": 23,
+			"statusSeverity": "error",
 			"statusMessage": {
 				"iso_639_3_eng": "Invalid document key."
 			}
 		},
 		"kBAD_HANDLE_VALUE": {
 			"statusCode": 24,
+			"statusSeverity": "error",
 			"statusMessage": {
 				"iso_639_3_eng": "Invalid document handle."
 			}
 		},
 		"kBAD_COLLECTION_NAME": {
 			"statusCode": 25,
+			"statusSeverity": "error",
 			"statusMessage": {
 				"iso_639_3_eng": "Invalid collection name."
 			}
 		},
 		"kUNKNOWN_COLLECTION": {
 			"statusCode": 26,
+			"statusSeverity": "error",
 			"statusMessage": {
 				"iso_639_3_eng": "Collection does not exist in the database."
 			}
 		},
 		"kNOT_CORRECT_ENUM_TYPE": {
 			"statusCode": 27,
+			"statusSeverity": "error",
 			"statusMessage": {
 				"iso_639_3_eng": "Enumeration element does not belong to any of the required data kinds."
 			}
 		},
 		"kUNKNOWN_DESCRIPTOR": {
 			"statusCode": 28,
+			"statusSeverity": "error",
 			"statusMessage": {
 				"iso_639_3_eng": "Unknown descriptor."
 			}
 		},
 		"kPROPERTY_NOT_DESCRIPTOR": {
 			"statusCode": 29,
+			"statusSeverity": "error",
 			"statusMessage": {
 				"iso_639_3_eng": "The property is not a descriptor."
 			}
 		},
 		"kVALUE_NOT_TERM": {
 			"statusCode": 30,
+			"statusSeverity": "error",
 			"statusMessage": {
 				"iso_639_3_eng": "The value is not a term reference: term not found."
 			}
 		},
 		"kNOT_AN_OBJECT": {
 			"statusCode": 31,
+			"statusSeverity": "error",
 			"statusMessage": {
 				"iso_639_3_eng": "The value is not an object."
 			}
 		},
 		"kUNKNOWN_PROPERTY": {
 			"statusCode": 32,
+			"statusSeverity": "error",
 			"statusMessage": {
 				"iso_639_3_eng": "Unknown property."
 			}
 		},
 		"kINVALID_DATE_FORMAT": {
 			"statusCode": 33,
+			"statusSeverity": "error",
 			"statusMessage": {
 				"iso_639_3_eng": "The date has an invalid format: use YYYY, YYYYMM, YYYYMMDD or YYYY-YYYY."
 			}
 		},
 		"kINVALID_OBJECT_STRUCTURE": {
 			"statusCode": 34,
+			"statusSeverity": "error",
 			"statusMessage": {
 				"iso_639_3_eng": "Invalid object structure: data kind object structure rules failed."
 			}
 		},
 		"kVALUE_NOT_AN_ARRAY": {
 			"statusCode": 35,
+			"statusSeverity": "error",
 			"statusMessage": {
 				"iso_639_3_eng": "Value should be an array."
 			}
 		},
 		"kARRAY_HAS_TOO_FEW_ELEMENTS": {
 			"statusCode": 36,
+			"statusSeverity": "error",
 			"statusMessage": {
 				"iso_639_3_eng": "Array does not have enough elements."
 			}
 		},
 		"kARRAY_HAS_TOO_MANY_ELEMENTS": {
 			"statusCode": 37,
+			"statusSeverity": "error",
 			"statusMessage": {
 				"iso_639_3_eng": "Array has too many elements."
 			}
 		},
 		"kGEOJSON_MISSING_TYPE": {
 			"statusCode": 38,
+			"statusSeverity": "error",
 			"statusMessage": {
 				"iso_639_3_eng": "GeoJSON object is missing its 'type' property."
 			}
 		},
 		"kGEOJSON_MISSING_COORDINATES": {
 			"statusCode": 39,
+			"statusSeverity": "error",
 			"statusMessage": {
 				"iso_639_3_eng": "GeoJSON object is missing its 'coordinates' property."
 			}
 		},
 		"kGEOJSON_INVALID_COORDINATES": {
 			"statusCode": 40,
+			"statusSeverity": "error",
 			"statusMessage": {
 				"iso_639_3_eng": "GeoJSON 'coordinates' property should be an array."
 			}
+		},
+		"kRESOLVED_ENUM_CODE": {
+			"statusCode": 41,
+			"statusSeverity": "info",
+			"statusMessage": {
+				"iso_639_3_eng": "The enumeration code was replaced by the matching term global identifier."
+			}
+		},
+		"kCONVERTED_TIMESTAMP": {
+			"statusCode": 42,
+			"statusSeverity": "info",
+			"statusMessage": {
+				"iso_639_3_eng": "The date string was converted to a timestamp."
+			}
+		},
+		"kDEFAULT_VALUE": {
+			"statusCode": 43,
+			"statusSeverity": "info",
+			"statusMessage": {
+				"iso_639_3_eng": "The missing property was set to its default value."
+			}
+		},
+		"kMISSING_ONE_OF": {
+			"statusCode": 44,
+			"statusSeverity": "error",
+			"statusMessage": {
+				"iso_639_3_eng": "Invalid object structure: none of the required properties is present."
+			}
+		},
+		"kTOO_MANY_ONE_OF": {
+			"statusCode": 45,
+			"statusSeverity": "error",
+			"statusMessage": {
+				"iso_639_3_eng": "Invalid object structure: only one of these properties may be present."
+			}
+		},
+		"kMISSING_ALL_OF": {
+			"statusCode": 46,
+			"statusSeverity": "error",
+			"statusMessage": {
+				"iso_639_3_eng": "Invalid object structure: not all the required properties are present."
+			}
+		},
+		"kBANNED_PROPERTY": {
+			"statusCode": 47,
+			"statusSeverity": "error",
+			"statusMessage": {
+				"iso_639_3_eng": "Invalid object structure: the object contains banned properties."
+			}
+		},
+		"kNOT_EXACTLY_OF": {
+			"statusCode": 48,
+			"statusSeverity": "error",
+			"statusMessage": {
+				"iso_639_3_eng": "Invalid object structure: the object does not contain the required number of these properties."
+			}
+		},
+		"kTOO_MANY_OF": {
+			"statusCode": 49,
+			"statusSeverity": "error",
+			"statusMessage": {
+				"iso_639_3_eng": "Invalid object structure: the object contains too many of these properties."
+			}
+		},
+		"kMISSING_DEPENDENT": {
+			"statusCode": 50,
+			"statusSeverity": "error",
+			"statusMessage": {
+				"iso_639_3_eng": "Invalid object structure: a property requires other properties that are missing."
+			}
+		},
+		"kCONDITIONAL_RULE": {
+			"statusCode": 51,
+			"statusSeverity": "error",
+			"statusMessage": {
+				"iso_639_3_eng": "Invalid object structure: the rules that apply under the object condition are not respected."
+			}
+		},
+		"kCOMPARISON_FAILED": {
+			"statusCode": 52,
+			"statusSeverity": "error",
+			"statusMessage": {
+				"iso_639_3_eng": "Invalid object structure: the comparison between property values failed."
+			}
+		},
+		"kCOMPARISON_INVALID": {
+			"statusCode": 53,
+			"statusSeverity": "error",
+			"statusMessage": {
+				"iso_639_3_eng": "Invalid object structure: the property values cannot be compared."
+			}
+		},
+		"kGEOJSON_UNKNOWN_TYPE": {
+			"statusCode": 54,
+			"statusSeverity": "error",
+			"statusMessage": {
+				"iso_639_3_eng": "Unknown or unexpected GeoJSON object type."
+			}
+		},
+		"kGEOJSON_TYPE_NOT_ALLOWED": {
+			"statusCode": 55,
+			"statusSeverity": "error",
+			"statusMessage": {
+				"iso_639_3_eng": "The GeoJSON object type is not allowed by the descriptor."
+			}
+		},
+		"kGEOJSON_INVALID_POSITION": {
+			"statusCode": 56,
+			"statusSeverity": "error",
+			"statusMessage": {
+				"iso_639_3_eng": "GeoJSON position should be an array of two or three numbers."
+			}
+		},
+		"kGEOJSON_LONGITUDE_RANGE": {
+			"statusCode": 57,
+			"statusSeverity": "error",
+			"statusMessage": {
+				"iso_639_3_eng": "GeoJSON longitude should be between -180 and 180."
+			}
+		},
+		"kGEOJSON_LATITUDE_RANGE": {
+			"statusCode": 58,
+			"statusSeverity": "error",
+			"statusMessage": {
+				"iso_639_3_eng": "GeoJSON latitude should be between -90 and 90."
+			}
+		},
+		"kGEOJSON_TOO_FEW_POSITIONS": {
+			"statusCode": 59,
+			"statusSeverity": "error",
+			"statusMessage": {
+				"iso_639_3_eng": "GeoJSON line string should have at least two positions."
+			}
+		},
+		"kGEOJSON_RING_TOO_SMALL": {
+			"statusCode": 60,
+			"statusSeverity": "error",
+			"statusMessage": {
+				"iso_639_3_eng": "GeoJSON linear ring should have at least four positions."
+			}
+		},
+		"kGEOJSON_RING_NOT_CLOSED": {
+			"statusCode": 61,
+			"statusSeverity": "error",
+			"statusMessage": {
+				"iso_639_3_eng": "GeoJSON linear ring should end with its first position."
+			}
+		},
+		"kGEOJSON_RING_WINDING": {
+			"statusCode": 62,
+			"statusSeverity": "error",
+			"statusMessage": {
+				"iso_639_3_eng": "GeoJSON exterior rings should be counterclockwise and holes clockwise."
+			}
+		},
+		"kGEOJSON_MISSING_GEOMETRIES": {
+			"statusCode": 63,
+			"statusSeverity": "error",
+			"statusMessage": {
+				"iso_639_3_eng": "GeoJSON geometry collection is missing its 'geometries' array."
+			}
+		},
+		"kGEOJSON_INVALID_FEATURE": {
+			"statusCode": 64,
+			"statusSeverity": "error",
+			"statusMessage": {
+				"iso_639_3_eng": "GeoJSON feature should have the 'geometry' and 'properties' members, and a string or number 'id'."
+			}
+		},
+		"kGEOJSON_MISSING_FEATURES": {
+			"statusCode": 65,
+			"statusSeverity": "error",
+			"statusMessage": {
+				"iso_639_3_eng": "GeoJSON feature collection is missing its 'features' array."
+			}
+		},
+		"kGEOJSON_INVALID_BBOX": {
+			"statusCode": 66,
+			"statusSeverity": "error",
+			"statusMessage": {
+				"iso_639_3_eng": "GeoJSON 'bbox' should be an array of four or six numbers."
+			}
+		},
+		"kGEOJSON_OUTSIDE_BBOX": {
+			"statusCode": 67,
+			"statusSeverity": "error",
+			"statusMessage": {
+				"iso_639_3_eng": "GeoJSON position is outside the descriptor bounding box."
+			}
+		},
+		"kGEOJSON_TOO_MANY_VERTICES": {
+			"statusCode": 68,
+			"statusSeverity": "error",
+			"statusMessage": {
+				"iso_639_3_eng": "GeoJSON object has more vertices than the descriptor allows."
+			}
+		},
+		"kGEOJSON_AREA_TOO_LARGE": {
+			"statusCode": 69,
+			"statusSeverity": "error",
+			"statusMessage": {
+				"iso_639_3_eng": "GeoJSON object area is larger than the descriptor allows."
+			}
+		},
+		"kGEOJSON_TOO_FAR": {
+			"statusCode": 70,
+			"statusSeverity": "error",
+			"statusMessage": {
+				"iso_639_3_eng": "GeoJSON position is farther from the center than the descriptor allows."
+			}
+		},
+		"kGEOJSON_NOT_WITHIN": {
+			"statusCode": 71,
+			"statusSeverity": "error",
+			"statusMessage": {
+				"iso_639_3_eng": "GeoJSON object is not within the descriptor container polygon."
+			}
+		},
+		"kINVALID_DATE": {
+			"statusCode": 72,
+			"statusSeverity": "error",
+			"statusMessage": {
+				"iso_639_3_eng": "The date does not exist: invalid month or day."
+			}
+		},
+		"kINVALID_DATE_RANGE": {
+			"statusCode": 73,
+			"statusSeverity": "error",
+			"statusMessage": {
+				"iso_639_3_eng": "The date range start is after its end."
+			}
+		},
+		"kNORMALIZED_DATE": {
+			"statusCode": 74,
+			"statusSeverity": "info",
+			"statusMessage": {
+				"iso_639_3_eng": "The date was normalized to the YYYY, YYYYMM or YYYYMMDD format."
+			}
+		},
+		"kAMBIGUOUS_DATE": {
+			"statusCode": 75,
+			"statusSeverity": "error",
+			"statusMessage": {
+				"iso_639_3_eng": "The date day and month order is ambiguous: provide the date order."
+			}
+		},
+		"kTIMESTAMP_MISSING_OFFSET": {
+			"statusCode": 76,
+			"statusSeverity": "error",
+			"statusMessage": {
+				"iso_639_3_eng": "The timestamp string has no explicit time zone offset."
+			}
+		},
+		"kTIMESTAMP_UNIT_MISMATCH": {
+			"statusCode": 77,
+			"statusSeverity": "error",
+			"statusMessage": {
+				"iso_639_3_eng": "The timestamp does not seem to be expressed in the descriptor unit."
+			}
+		},
+		"kWEEK_SPANS_MONTHS": {
+			"statusCode": 78,
+			"statusSeverity": "error",
+			"statusMessage": {
+				"iso_639_3_eng": "The ISO week spans two months and cannot be expressed as a month: provide the week day."
+			}
 		}
 	}
 
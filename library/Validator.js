@@ -8,9 +8,13 @@ const _ = require('lodash')
 ///
 // Modules.
 ///
-const crypto = require('@arangodb/crypto')
+const Environment = require('./Environment')
 const TermsCache = require('./TermsCache')
 const ValidationReport = require('./ValidationReport')
+const ValidatorOptions = require('./ValidatorOptions')
+const RequiredRules = require('./RequiredRules')
+const GeoJSON = require('./GeoJSON')
+const Dates = require('./Dates')
 
 /**
  * Validator
@@ -18,9 +22,10 @@ const ValidationReport = require('./ValidationReport')
  * This class instantiates an object that can be used to validate values
  * associated to terms belonging to the data dictionary.
  *
- * Once instantiated, you can call the validate() method that will check if
- * the provided value respects the constraints defined in the data dictionary
- * term that represents the value's descriptor.
+ * The object is configured once, with an options dictionary, then you can
+ * call the validate() method as many times as needed: it will check if the
+ * provided value respects the constraints defined in the data dictionary term
+ * that represents the value's descriptor.
  *
  * Validation errors will be saved in the current object, dictionary errors will
  * be thrown as exceptions, this means that an exception signals a corrupted
@@ -31,104 +36,168 @@ class Validator
 	/**
 	 * Constructor
 	 *
-	 * The constructor expects the following parameters:
-	 *
-	 * - `theValue`: The value to be checked. It can be of any type if you
-	 *               also provide the descriptor, or it must be either an
-	 *               object or an array of objects if you omit the descriptor.
-	 *               Note that `null` or an empty object are considered an
-	 *               error and the constructor will fail raising an exception.
-	 * - `theTerm`: The global identifier of the term representing the value
-	 *              descriptor. If the term cannot be referenced, or if the term
-	 *              is not a descriptor, the constructor will raise an
-	 *              exception. The term can be omitted, in which case the value
-	 *              must either be an object or an array of objects: the
-	 *              validation will scan all object properties and check those
-	 *              properties that correspond to data dictionary descriptor
-	 *              terms. Note that *any property matching a dictionary term*
-	 *              will be expected to be a descriptor.
-	 * - `doZip`: This boolean flag indicates whether all values should be
-	 *            matched with the provided descriptor. If set, the value *must
-	 *            be an array* and all elements of the array will be validated
-	 *            against the provided descriptor. If set, and no descriptor was
-	 *            provided, or if the value is not an array, the constructor
-	 *            will raise an exception.
-	 * - `doCache`: This boolean flag can be used to force caching of all
-	 *              resolved terms. If false, no terms will be cached. This
-	 *              value is passed to all TermsCache methods.
-	 * - `doCacheMissing`: This boolean flag is related to the `doCache` flag and
-	 *                     is only used if the cache flag is set. If this flag is
-	 *                     set, terms that were not resolved will also be set
-	 *                     with a `false` value; if this flag is not set, only
-	 *                     resolved terms will be cached. This flag can be
-	 *                     useful when objects contain a consistent set of
-	 *                     properties that should be checked.
-	 * - `doOnlyTerms`: This boolean flag can be used to expect all object
-	 *                  properties to be descriptors. If the flag is set, when
-	 *                  traversing objects we expect all properties to be
-	 *                  descriptors. If the flag is off, object properties that
-	 *                  do not match a term will be ignored, this is the
-	 *                  default behaviour.
-	 * - `doDataType`: This boolean flag can be used to have all values require
-	 *                 their data type. If the flag is set, all data definitions
-	 *                 must have the data type. If the flag is off, omitting the
-	 *                 data type means that the value can be of any type, which
-	 *                 is the default option.
-	 * - `doResolve`: There are cases in which values are not fully compliant:
-	 *                you could have provided the local identifier of an
-	 *                enumeration or a string to be converted into a timestamp,
-	 *                in these cases the validation process can resolve these
-	 *                values. If this flag is set: if an enumeration code
-	 *                doesn't match, the validator will check if the provided
-	 *                value matches a property in the code section of the term
-	 *                and is an element of the descriptor's enumeration type: if
-	 *                that is the case, the value will be replaced with the
-	 *                correct entry and no error issued. All resolved values are
-	 *                logged in the `resolved` data member.
-	 * - `doDefaultNamespace`: By default, any user-defined term that references
-	 *                         another term by key, cannot do so if the key is an
-	 *                         empty string. This prevents the use of the default
-	 *                         namespace. This flag will disable this check only
-	 *                         for the term namespace, this means that the term
-	 *                         namespace value will be allowed to be an empty
-	 *                         string, all other descriptors will require non
-	 *                         empty strings. *Note that the empty string will
-	 *                         have to be replaced by `:` for referencing the
-	 *                         default namespace, and that only to query the
-	 *                         database.
-	 * - `resolveCode`: This parameter is linked to the previous flag: if the
-	 *                  `doResolve` flag is set, this parameter allows you to
-	 *                  indicate which terms code section field should be
-	 *                  searched for matching the code in the value. By default,
-	 *                  the local identifier, `_lid`, is searched, but this
-	 *                  field allows you to search others, such as official
-	 *                  identifiers, `_aid`.
-	 *
-	 * The provided parameters will be checked and set in the object that will
+	 * The constructor expects a dictionary of options, the option names,
+	 * their defaults and the available presets are documented in the
+	 * ValidatorOptions class; unknown options or invalid option values will
+	 * raise an exception. The options are:
+	 *
+	 * - `preset`: The name of a registered preset, whose options will be
+	 *             overridden by the other provided options. Use
+	 *             `ValidatorOptions.SavePreset()` to register presets.
+	 * - `term`: The global identifier of the term representing the value
+	 *           descriptor. If the term cannot be referenced, or if the term
+	 *           is not a descriptor, the constructor will raise an exception.
+	 *           The term can be omitted, in which case the value must either
+	 *           be an object or an array of objects: the validation will scan
+	 *           all object properties and check those properties that
+	 *           correspond to data dictionary descriptor terms. Note that *any
+	 *           property matching a dictionary term* will be expected to be a
+	 *           descriptor. The descriptor can also be provided to validate().
+	 * - `zip`: This boolean flag indicates whether all values should be
+	 *          matched with the provided descriptor. If set, the value *must
+	 *          be an array* and all elements of the array will be validated
+	 *          against the provided descriptor. If set, and no descriptor was
+	 *          provided, or if the value is not an array, validate() will
+	 *          raise an exception.
+	 * - `useCache`: This boolean flag can be used to force caching of all
+	 *               resolved terms. If false, no terms will be cached. This
+	 *               value is passed to all TermsCache methods.
+	 * - `cacheMissing`: This boolean flag is related to the `useCache` flag and
+	 *                   is only used if the cache flag is set. If this flag is
+	 *                   set, terms that were not resolved will also be set
+	 *                   with a `false` value; if this flag is not set, only
+	 *                   resolved terms will be cached. This flag can be
+	 *                   useful when objects contain a consistent set of
+	 *                   properties that should be checked. Unresolved
+	 *                   enumeration codes are cached regardless of this flag.
+	 * - `onlyTerms`: This boolean flag can be used to expect all object
+	 *                properties to be descriptors. If the flag is set, when
+	 *                traversing objects we expect all properties to be
+	 *                descriptors. If the flag is off, object properties that
+	 *                do not match a term will be ignored, this is the
+	 *                default behaviour.
+	 * - `dataType`: This boolean flag can be used to have all values require
+	 *               their data type. If the flag is set, all data definitions
+	 *               must have the data type. If the flag is off, omitting the
+	 *               data type means that the value can be of any type, which
+	 *               is the default option.
+	 * - `resolve`: There are cases in which values are not fully compliant:
+	 *              you could have provided the local identifier of an
+	 *              enumeration or a string to be converted into a timestamp,
+	 *              in these cases the validation process can resolve these
+	 *              values. If this flag is set: if an enumeration code
+	 *              doesn't match, the validator will check if the provided
+	 *              value matches a property in the code section of the term
+	 *              and is an element of the descriptor's enumeration type: if
+	 *              that is the case, the value will be replaced with the
+	 *              correct entry and no error issued. All resolved values are
+	 *              logged in the `changes` member of the report.
+	 * - `fillDefaults`: Object data kinds may declare, in the default value
+	 *                   rules section, the default values of their
+	 *                   properties. If this flag is set, once an object
+	 *                   matched a data kind, its missing properties will be
+	 *                   set to the default values, which will be validated
+	 *                   as the other properties and logged in the `changes`
+	 *                   member of the report.
+	 * - `normalizeDates`: Date strings must be in the `YYYY`, `YYYYMM`,
+	 *                     `YYYYMMDD` or `YYYY-YYYY` formats. If this flag is
+	 *                     set, other recognized formats, such as `2023-05-17`,
+	 *                     `17/05/2023`, `May 2023` or ISO week dates, will be
+	 *                     converted to the canonical format and logged in the
+	 *                     `changes` member of the report.
+	 * - `dateOrder`: When normalizing dates, numeric dates such as
+	 *                `05/06/2023` are ambiguous and rejected, unless this
+	 *                option provides the order: `dmy` or `mdy`.
+	 * - `requireOffset`: Timestamp strings without explicit time zone offset
+	 *                    are interpreted as descriptors declare, UTC by
+	 *                    default: if this flag is set, they are rejected.
+	 * - `geoWinding`: GeoJSON values are checked according to RFC 7946, which
+	 *                 does not require polygon rings to follow the right-hand
+	 *                 rule: if this flag is set, exterior rings must be
+	 *                 counterclockwise and holes clockwise.
+	 * - `mode`: Resolving codes, converting timestamps, normalizing dates and
+	 *           filling defaults change the validated value, this option
+	 *           selects what is changed: `in-place`, the default, patches the
+	 *           provided value; `copy` validates a deep copy, which will be
+	 *           available in the `corrected` member after validation;
+	 *           `dry-run` validates a deep copy and discards it, leaving the
+	 *           provided value untouched. In all modes the changes are listed
+	 *           in the `patch` member of the report as RFC 6902 JSON Patch
+	 *           operations; only `in-place` and `copy` set the
+	 *           `kMODIFIED_VALUE` status.
+	 * - `defaultNamespace`: By default, any user-defined term that references
+	 *                       another term by key, cannot do so if the key is an
+	 *                       empty string. This prevents the use of the default
+	 *                       namespace. This flag will disable this check only
+	 *                       for the term namespace, this means that the term
+	 *                       namespace value will be allowed to be an empty
+	 *                       string, all other descriptors will require non
+	 *                       empty strings. *Note that the empty string will
+	 *                       have to be replaced by `:` for referencing the
+	 *                       default namespace, and that only to query the
+	 *                       database.
+	 * - `resolveCode`: This option is linked to the `resolve` flag: it allows
+	 *                  you to indicate which terms code section field should
+	 *                  be searched for matching the code in the value. By
+	 *                  default, the local identifier, `_lid`, is searched, but
+	 *                  this field allows you to search others, such as
+	 *                  official identifiers, `_aid`.
+	 * - `language`: The language code for report messages, by default the
+	 *               `language` setting.
+	 * - `exhaustive`: By default validation stops at the first error and the
+	 *                 report describes it. If this flag is set, all object
+	 *                 properties, array elements and dictionary entries are
+	 *                 checked and the report will feature the `errors` member,
+	 *                 the list of all errors, its `status` will be that of the
+	 *                 first error.
+	 * - `maxErrors`: In exhaustive mode, the maximum number of errors reported
+	 *                for each value: once reached, the value is no longer
+	 *                checked. `0`, the default, means no limit.
+	 * - `warnings`: The list of status code constants that should be reported
+	 *               as warnings: these reports are added to the `notices` list
+	 *               of the report and do not make the validation fail. Listing
+	 *               `kUNKNOWN_PROPERTY` will also report unknown properties
+	 *               when the `onlyTerms` flag is off; listing the
+	 *               informational `kRESOLVED_ENUM_CODE`,
+	 *               `kCONVERTED_TIMESTAMP` and `kNORMALIZED_DATE` statuses
+	 *               will raise them to warnings.
+	 * - `cache`: The TermsCache object used to access the data dictionary: by
+	 *            default it will read the service database, provide a
+	 *            TermsCache instantiated with a MemorySource to validate
+	 *            outside ArangoDB. The service settings used by the validator
+	 *            are those of the cache data source.
+	 *
+	 * The provided options will be checked and set in the object that will
 	 * feature the following members:
 	 *
-	 * - `value`: Will receive `theValue`.
-	 * - `term`: Will receive the term record corresponding to `theTerm`.
 	 * - `cache`: Will receive the TermsCache object implementing the interface
-	 *            to the data dictionary database.
-	 * - `zip`: Will receive the `doZip` flag.
-	 * - `resolve`: Will receive the `doResolve` flag.
+	 *            to the data dictionary database, the `cache` option.
+	 * - `descriptor`: Will receive the `term` option.
+	 * - `zip`: Will receive the `zip` flag.
+	 * - `resolve`: Will receive the `resolve` flag.
+	 * - `fillDefaults`: Will receive the `fillDefaults` flag.
+	 * - `normalizeDates`: Will receive the `normalizeDates` flag.
+	 * - `dateOrder`: Will receive the `dateOrder` option.
+	 * - `requireOffset`: Will receive the `requireOffset` flag.
+	 * - `geoWinding`: Will receive the `geoWinding` flag.
+	 * - `mode`: Will receive the `mode` option.
 	 * - `resolver`: Will receive the `resolveCode` value.
-	 * - `useCache`: Will receive the `doCache` flag.
-	 * - `cacheMissing`: Will receive the `doMissing` flag.
-	 * - `expectTerms`: Will receive thw `doOnlyTerms` flag.
-	 * - `expectType`: Will receive the `doDataType` flag.
-	 * - `defNamespace`: Will receive the `allowDefaultNamespace` flag.
-	 * - `language`: Will receive the language provided in validate() for report
-	 *               messages.
-	 *
-	 * If you want to check a specific value, provide the value and descriptor.
-	 * If you want to check a list of values of the same type, provide the list
-	 * of values, the descriptor and set the `doZip` flag.
-	 * If you want to check the properties of an object, provide the object in
-	 * `theValue` and omit the descriptor.
-	 * If you want to check the properties of a list of objects provide an array
-	 * of objects in `theValue` and omit the descriptor.
+	 * - `useCache`: Will receive the `useCache` flag.
+	 * - `cacheMissing`: Will receive the `cacheMissing` flag.
+	 * - `expectTerms`: Will receive the `onlyTerms` flag.
+	 * - `expectType`: Will receive the `dataType` flag.
+	 * - `defNamespace`: Will receive the `defaultNamespace` flag.
+	 * - `language`: Will receive the `language` option, or the language
+	 *               provided in validate(), for report messages.
+	 * - `exhaustive`: Will receive the `exhaustive` flag.
+	 * - `maxErrors`: Will receive the `maxErrors` option.
+	 * - `warnings`: Will receive the `warnings` option.
+	 *
+	 * If you want to check a specific value, provide the descriptor.
+	 * If you want to check a list of values of the same type, provide the
+	 * descriptor and set the `zip` flag.
+	 * If you want to check the properties of an object, or of a list of
+	 * objects, omit the descriptor.
 	 * If you want to check a set of key/value pairs, provide a dictionary as
 	 * the value and omit the descriptor.
 	 *
@@ -137,93 +206,247 @@ class Validator
 	 * and the`_path` property of the edge in which the term is the relationship
 	 * origin.
 	 *
-	 * Note that the validation report is not initialised here, it will be set
-	 * in the validate() method in order to match the value dimensions.
+	 * To trigger validation, once instantiated, call the validate() method
+	 * with the value: the same object can validate any number of values.
+	 * Unless in `dry-run` mode, the validated value, with its corrections,
+	 * is available in the `corrected` member.
 	 *
-	 * To trigger validation, once instantiated, call the validate() method.
+	 * Error reports locate the offending value with the `pointer` member, an
+	 * RFC 6901 JSON Pointer relative to the validated value, and with the
+	 * `descriptors` member, the chain of descriptors traversed to reach it.
 	 *
-	 * @param theValue {Array|Object|Number|String}: The value to be checked.
-	 * @param theTerm {String}: The descriptor global identifier, defaults to
-	 *                          an empty string (no descriptor).
-	 * @param doZip {Boolean}: If true, match the descriptor with each element
-	 *                         of the provided list of values, defaults to
-	 *                         false.
-	 * @param doCache {Boolean}: Flag for caching terms, defaults to true.
-	 * @param doCacheMissing {Boolean}: Flag for caching non resolved terms,
-	 *                                  defaults to false.
-	 * @param doOnlyTerms {Boolean}: Flag to expect all object properties to be
-	 *                               term descriptors.
-	 * @param doDataType {Boolean}: Flag to require data type for all values.
-	 * @param doResolve {Boolean}: If true, resolve timestamps and eventual
-	 *                             unmatched enumerations, defaults to false.
-	 * @param doDefaultNamespace {Boolean}: If true, allow default namespace to
-	 *                                      be used, defaults to false.
-	 * @param resolveCode {String}: If doResolve is set, provide the term code
-	 *                              section property name where to match codes,
-	 *                              defaults to the local identifier code,
-	 *                              `_lid`.
-	 */
-	constructor(
-		theValue,
-		theTerm = '',
-		doZip = false,
-		doCache = true,
-		doCacheMissing = false,
-		doOnlyTerms = false,
-		doDataType = false,
-		doResolve = false,
-		doDefaultNamespace = false,
-		resolveCode = module.context.configuration.localIdentifier
-	){
+	 * @param theOptions {Object}: The validator options, defaults to an empty
+	 *                             object (all defaults).
+	 */
+	constructor(theOptions = {})
+	{
 		///
-		// Init value.
-		// We are optimistic.
+		// Resolve options.
 		///
-		this.value = theValue
+		const options = ValidatorOptions.Resolve(theOptions)
 
 		///
 		// Init cache.
 		///
-		this.cache = new TermsCache()
+		this.cache = (options.cache === null) ? new TermsCache() : options.cache
 
 		///
 		// Init global flags.
 		///
-		this.zip = Boolean(doZip)
-		this.resolve =  Boolean(doResolve)
-		this.useCache =  Boolean(doCache)
-		this.cacheMissing =  Boolean(doCacheMissing)
-		this.expectTerms =  Boolean(doOnlyTerms)
-		this.expectType = Boolean(doDataType)
-		this.defNamespace = Boolean(doDefaultNamespace)
-		this.resolver = resolveCode
+		this.zip = options.zip
+		this.resolve = options.resolve
+		this.fillDefaults = options.fillDefaults
+		this.normalizeDates = options.normalizeDates
+		this.dateOrder = options.dateOrder
+		this.requireOffset = options.requireOffset
+		this.geoWinding = options.geoWinding
+		this.mode = options.mode
+		this.useCache = options.useCache
+		this.cacheMissing = options.cacheMissing
+		this.expectTerms = options.onlyTerms
+		this.expectType = options.dataType
+		this.defNamespace = options.defaultNamespace
+		this.resolver = (options.resolveCode === null)
+			? this.settings.localIdentifier
+			: options.resolveCode
+		this.language = (options.language === null)
+			? this.settings.language
+			: options.language
+		this.exhaustive = options.exhaustive
+		this.maxErrors = options.maxErrors
+		this.warnings = options.warnings
+
+		///
+		// Init GeoJSON container polygons by reference.
+		///
+		this.containers = new Map()
+
+		///
+		// Init default descriptor.
+		// We resolve it here, so that errors are raised early.
+		///
+		this.descriptor = options.term
+		if(this.descriptor.length > 0) {
+			this.resolveDescriptor(this.descriptor)
+		}
+
+	} // constructor()
+
+	/**
+	 * settings
+	 *
+	 * The service settings, those of the data dictionary interface.
+	 *
+	 * @return {Object}: The settings dictionary.
+	 */
+	get settings()
+	{
+		return this.cache.settings                                      // ==>
+
+	} // settings()
+
+	/**
+	 * validate
+	 *
+	 * This method can be used to launch the validation process on the
+	 * provided value, it will return a boolean indicating whether the
+	 * validation succeeded, `true`, or failed, `false`. The validation report
+	 * will be set in the `report` member, replacing the report of the
+	 * previous validation.
+	 *
+	 * The method handles the following object configurations:
+	 *
+	 * - Zipped: the value is an array of values and the descriptor was
+	 *           provided.
+	 * - Objects array: and array of objects wasprovided without a descriptor.
+	 * - Object: an object was provided without descriptor.
+	 * - Descriptor and value: both descriptor and value were provided.
+	 *
+	 * The descriptor is the `term` option, unless provided here. The method
+	 * will raise an exception if the descriptor cannot be resolved or if the
+	 * value does not match the configuration.
+	 *
+	 * By default only errors make the validation fail, warnings and
+	 * informational reports are collected in the `notices` list of the
+	 * report. The threshold parameter sets the lowest severity that makes the
+	 * validation fail: `error`, `warning` or `info`.
+	 *
+	 * *Be aware that validation will not check the actual value of a term
+	 * global identifier, this should be done by the caller*.
+	 *
+	 * @param theValue {Array|Object|Number|String}: The value to be checked.
+	 * @param theTerm {String|null}: The descriptor global identifier, defaults
+	 *                               to null (the `term` option).
+	 * @param theLanguage {String|null}: Language code for report messages of
+	 *                                   this call, defaults to null (the
+	 *                                   `language` option).
+	 * @param theThreshold {String}: The lowest failing severity, defaults to
+	 *                               `error`.
+	 *
+	 * @return {Boolean}: `true` means valid, `false` means error.
+	 */
+	validate(
+		theValue,
+		theTerm = null,
+		theLanguage = null,
+		theThreshold = 'error')
+	{
+		///
+		// Check threshold.
+		///
+		if(!ValidationReport.severities.includes(theThreshold)) {
+			throw new Error(
+				`Invalid severity threshold: [${theThreshold}], expecting one of ${ValidationReport.severities.join(', ')}.`
+			)                                                           // ==>
+		}
 
 		///
-		// Handle descriptor.
+		// Init value.
 		///
-		if(theTerm.length > 0)
-		{
+		this.setValue(
+			(this.mode === 'in-place') ? theValue : _.cloneDeep(theValue),
+			(theTerm === null) ? this.descriptor : theTerm
+		)
+
+		///
+		// Set call language, restored after validation.
+		///
+		const language = this.language
+		if(theLanguage !== null) {
+			this.language = theLanguage
+		}
+
+		try {
 			///
-			// Resolve term.
+			// Validate.
 			///
-			const term =
-				this.cache.getDescriptor(theTerm, this.useCache, this.cacheMissing)
-			if(term === false)
-			{
-				throw new Error(
-					`Provided descriptor, ${theTerm}, either does not exist or is not a descriptor.`
-				)                                                       // ==>
+			let status
+			if(this.zip) {
+				status = this.validateZipped()
+			} else if(!this.hasOwnProperty('term')) {
+				if(Validator.IsArray(this.value)) {
+					status = this.validateObjects()
+				} else if(Validator.IsObject(this.value)) {
+					status = this.validateObject(this.value)
+				} else {
+					throw new Error(
+						"Unchecked case: when omitting the descriptor, the value must be either an object or an array of objects."
+					)                                                   // ==>
+				}
+			} else {
+				const container = { [this.term._key]: this.value }
+				status = this.validateObject(container)
+				this.value = container[this.term._key]
 			}
 
+			///
+			// Set corrected value.
+			///
+			this.corrected = (this.mode === 'dry-run') ? null : this.value
+
+			///
+			// Signal modified values.
+			///
+			this.setModifiedStatus()
+
+			///
+			// Apply threshold to notices.
+			///
+			if(status && theThreshold !== 'error') {
+				return !this.hasNotices(theThreshold)                   // ==>
+			}
+
+			return status                                               // ==>
+
+		} finally {
+			this.language = language
+		}
+
+	} // validate()
+
+	/**
+	 * setValue
+	 *
+	 * This method will set the value to be validated and its descriptor,
+	 * clearing the report and the descriptor of the previous validation.
+	 *
+	 * If the descriptor is provided, the value will be matched to it and
+	 * the descriptor will be resolved in the `term` member: if the `zip` flag
+	 * is set, the value must be an array. If the descriptor is omitted, the
+	 * value must be an object or an array of objects, and the `zip` flag
+	 * must be off.
+	 *
+	 * The method will raise an exception if these conditions are not met.
+	 *
+	 * @param theValue {Array|Object|Number|String}: The value to be checked.
+	 * @param theTerm {String}: The descriptor global identifier, or an empty
+	 *                          string.
+	 */
+	setValue(theValue, theTerm)
+	{
+		///
+		// Reset state.
+		///
+		this.value = theValue
+		this.location = []
+		this.corrected = null
+		delete this.term
+		delete this.report
+
+		///
+		// Handle descriptor.
+		///
+		if(theTerm.length > 0)
+		{
 			///
 			// Init term.
 			///
-			this.term = term
+			this.term = this.resolveDescriptor(theTerm)
 
 			///
 			// Handle zip.
 			///
-			if(doZip)
+			if(this.zip)
 			{
 				if(!Validator.IsArray(theValue)) {
 					throw new Error(
@@ -244,6 +467,12 @@ class Validator
 			// Handle array.
 			///
 			if(Validator.IsArray(theValue)) {
+				if(this.zip) {
+					throw new Error(
+						"To zip you must provide the descriptor."
+					)                                                   // ==>
+				}
+
 				theValue.forEach( (item) => {
 					if(!Validator.IsObject(item)) {
 						throw new Error(
@@ -258,7 +487,7 @@ class Validator
 			///
 			else
 			{
-				if(doZip) {
+				if(this.zip) {
 					throw new Error(
 						"To zip you must provide the descriptor."
 					)                                                   // ==>
@@ -273,80 +502,63 @@ class Validator
 
 		} // No descriptor provided.
 
-	} // constructor()
+	} // setValue()
 
 	/**
-	 * validate
-	 *
-	 * This method can be used to launch the validation process, it will
-	 * return a boolean indicating whether the validation succeeded, `true`, or
-	 * failed, `false`.
-	 *
-	 * The method handles the following object configurations:
-	 *
-	 * - Zipped: the value is an array of values and the descriptor was
-	 *           provided.
-	 * - Objects array: and array of objects wasprovided without a descriptor.
-	 * - Object: an object was provided without descriptor.
-	 * - Descriptor and value: both descriptor and value were provided.
-	 *
-	 * *Be aware that validation will not check the actual value of a term
-	 * global identifier, this should be done by the caller*.
+	 * resolveDescriptor
 	 *
-	 * The method returns a boolean: `true` means the validation was successful,
-	 * if the validation failed, the method will return `false`.
+	 * This method will return the descriptor record corresponding to the
+	 * provided global identifier, it will raise an exception if the term
+	 * cannot be found or is not a descriptor.
 	 *
-	 * @param theLanguage {String}: Language code for report messages, defaults
-	 *                              to default language.
+	 * @param theTerm {String}: The descriptor global identifier.
 	 *
-	 * @return {Boolean}: `true` means valid, `false` means error.
+	 * @return {Object}: The descriptor record.
 	 */
-	validate(theLanguage = module.context.configuration.language)
+	resolveDescriptor(theTerm)
 	{
-		///
-		// Set used language.
-		///
-		this.language = theLanguage
-
-		///
-		// Handle zipped data.
-		///
-		if(this.zip) {
-			return this.validateZipped()                                // ==>
+		const term =
+			this.cache.getDescriptor(theTerm, this.useCache, this.cacheMissing)
+		if(term === false)
+		{
+			throw new Error(
+				`Provided descriptor, ${theTerm}, either does not exist or is not a descriptor.`
+			)                                                           // ==>
 		}
 
-		///
-		// Handle no descriptor.
-		///
-		if(!this.hasOwnProperty('term'))
-		{
-			///
-			// Array of objects.
-			///
-			if(Validator.IsArray(this.value)) {
-				return this.validateObjects()                           // ==>
-			}
+		return term                                                     // ==>
 
-			///
-			// Object.
-			///
-			if(Validator.IsObject(this.value)) {
-				return this.validateObject(this.value)                  // ==>
-			}
+	} // resolveDescriptor()
 
-			throw new Error(
-				"Unchecked case: when omitting the descriptor, the value must be either an object or an array of objects."
-			)                                                           // ==>
+	/**
+	 * isDateDescriptor
+	 *
+	 * This method will return `true` if the provided global identifier
+	 * corresponds to a descriptor of string dates, `false` if not, or if the
+	 * descriptor cannot be found.
+	 *
+	 * @param theTerm {String|Array}: The descriptor global identifier.
+	 *
+	 * @return {Boolean}: `true` if the descriptor holds dates.
+	 */
+	isDateDescriptor(theTerm)
+	{
+		if(!Validator.IsString(theTerm)) {
+			return false                                                // ==>
 		}
 
-		///
-		// Handle provided descriptor.
-		///
-		return this.validateObject(
-			{ [this.term._key]: this.value }
+		const term =
+			this.cache.getDescriptor(theTerm, this.useCache, this.cacheMissing)
+		const section = (term !== false)
+			? term[this.settings.sectionData][this.settings.sectionScalar]
+			: undefined
+
+		return (
+			Validator.IsObject(section) &&
+			section[this.settings.scalarType] === this.settings.typeDate
 		)                                                               // ==>
 
-	} // validate()
+	} // isDateDescriptor()
 
 
 	/**
@@ -382,7 +594,7 @@ class Validator
 		///
 		let status = true
 		const key = this.term._key
-		const section = this.term[module.context.configuration.sectionData]
+		const section = this.term[this.settings.sectionData]
 
 		///
 		// Instantiate report.
@@ -403,9 +615,12 @@ class Validator
 			// Validate.
 			///
 			const container = { [key]: this.value[index] }
-			if(!this.doValidateDataSection(container, key, section, index)) {
+			if(!this.traverse(null, key, () =>
+				this.doValidateDataSection(container, key, section, index)
+			)) {
 				status = false
 			}
+			this.value[index] = container[key]
 		})
 
 		return status                                                   // ==>
@@ -578,32 +793,32 @@ class Validator
 		// Traverse data section.
 		// We know the descriptor has the data section.
 		///
-		if(theSection.hasOwnProperty(module.context.configuration.sectionScalar)) {
+		if(theSection.hasOwnProperty(this.settings.sectionScalar)) {
 			return this.doValidateScalar(
 				theContainer,
 				theKey,
-				theSection[module.context.configuration.sectionScalar],
+				theSection[this.settings.sectionScalar],
 				theReportIndex
 			)                                                           // ==>
-		} else if(theSection.hasOwnProperty(module.context.configuration.sectionArray)) {
+		} else if(theSection.hasOwnProperty(this.settings.sectionArray)) {
 			return this.doValidateArray(
 				theContainer,
 				theKey,
-				theSection[module.context.configuration.sectionArray],
+				theSection[this.settings.sectionArray],
 				theReportIndex
 			)                                                           // ==>
-		} else if(theSection.hasOwnProperty(module.context.configuration.sectionSet)) {
+		} else if(theSection.hasOwnProperty(this.settings.sectionSet)) {
 			return this.doValidateSet(
 				theContainer,
 				theKey,
-				theSection[module.context.configuration.sectionSet],
+				theSection[this.settings.sectionSet],
 				theReportIndex
 			)                                                           // ==>
-		} else if(theSection.hasOwnProperty(module.context.configuration.sectionDict)) {
+		} else if(theSection.hasOwnProperty(this.settings.sectionDict)) {
 			return this.doValidateDict(
 				theContainer,
 				theKey,
-				theSection[module.context.configuration.sectionDict],
+				theSection[this.settings.sectionDict],
 				theReportIndex
 			)                                                           // ==>
 		}
@@ -683,11 +898,11 @@ class Validator
 		// Traverse data section.
 		// We know the descriptor has the data section.
 		///
-		if(theSection.hasOwnProperty(module.context.configuration.sectionSetScalar)) {
+		if(theSection.hasOwnProperty(this.settings.sectionSetScalar)) {
 			return this.doValidateSetElement(
 				theContainer,
 				theKey,
-				theSection[module.context.configuration.sectionSetScalar],
+				theSection[this.settings.sectionSetScalar],
 				theReportIndex
 			)                                                           // ==>
 		}
@@ -752,72 +967,69 @@ class Validator
 			///
 			// Handle type.
 			///
-			if(theSection.hasOwnProperty(module.context.configuration.scalarType))
+			if(theSection.hasOwnProperty(this.settings.scalarType))
 			{
 				///
 				// Parse data type.
 				///
-				switch(theSection[module.context.configuration.scalarType])
+				switch(theSection[this.settings.scalarType])
 				{
-					case module.context.configuration.typeBoolean:
+					case this.settings.typeBoolean:
 						return this.doValidateBoolean(
 							theContainer, theKey, theSection, theReportIndex
 						)                                               // ==>
 
-					case module.context.configuration.typeInteger:
+					case this.settings.typeInteger:
 						return this.doValidateInteger(
 							theContainer, theKey, theSection, theReportIndex
 						)                                               // ==>
 
-					case module.context.configuration.typeNumber:
+					case this.settings.typeNumber:
 						return this.doValidateNumber(
 							theContainer, theKey, theSection, theReportIndex
 						)                                               // ==>
 
-					case module.context.configuration.typeTypestamp:
+					case this.settings.typeTypestamp:
 						return this.doValidateTimeStamp(
 							theContainer, theKey, theSection, theReportIndex
 						)                                               // ==>
 
-					case module.context.configuration.typeString:
+					case this.settings.typeString:
 						return this.doValidateString(
 							theContainer, theKey, theSection, theReportIndex
 						)                                               // ==>
 
-					case module.context.configuration.typeKey:
+					case this.settings.typeKey:
 						return this.doValidateKey(
 							theContainer, theKey, theSection, theReportIndex
 						)                                               // ==>
 
-					case module.context.configuration.typeHandle:
+					case this.settings.typeHandle:
 						return this.doValidateHandle(
 							theContainer, theKey, theSection, theReportIndex
 						)                                               // ==>
 
-					case module.context.configuration.typeEnum:
+					case this.settings.typeEnum:
 						return this.doValidateEnum(
 							theContainer, theKey, theSection, theReportIndex
 						)                                               // ==>
 
-					case module.context.configuration.typeDate:
+					case this.settings.typeDate:
 						return this.doValidateDate(
 							theContainer, theKey, theSection, theReportIndex
 						)                                               // ==>
 
-					case module.context.configuration.typeStruct:
+					case this.settings.typeStruct:
 						return this.doValidateStruct(
 							theContainer, theKey, theSection, theReportIndex
 						)                                               // ==>
 
-					case module.context.configuration.typeObject:
+					case this.settings.typeObject:
 						return this.doValidateObject(
 							theContainer, theKey, theSection, theReportIndex
 						)                                               // ==>
 
-					case module.context.configuration.typeGeoJSON:
-						///
-						// TODO: Looking for suitable library or inspiration.
-						///
+					case this.settings.typeGeoJSON:
 						return this.doValidateGeoJSON(
 							theContainer, theKey, theSection, theReportIndex
 						)                                               // ==>
@@ -890,24 +1102,33 @@ class Validator
 			///
 			// Assert number of elements.
 			///
+			let status = true
 			if(!this.checkArrayElements(
 				theContainer, theKey, theSection, theReportIndex
 			)) {
-				return false                                            // ==>
+				if(!this.continueValidation(theReportIndex)) {
+					return false                                        // ==>
+				}
+				status = false
 			}
 
 			///
 			// Iterate elements.
 			///
 			for(let i = 0; i < value.length; i++) {
-				if(!this.doValidateDataSection(
-					value, i, theSection, theReportIndex
+				if(!this.traverse(i, null, () =>
+					this.doValidateDataSection(
+						value, i, theSection, theReportIndex
+					)
 				)) {
-					return false                                        // ==>
+					if(!this.continueValidation(theReportIndex)) {
+						return false                                    // ==>
+					}
+					status = false
 				}
 			}
 
-			return true                                                 // ==>
+			return status                                               // ==>
 
 		} // Is an array.
 
@@ -954,24 +1175,33 @@ class Validator
 			///
 			// Assert number of elements.
 			///
+			let status = true
 			if(!this.checkArrayElements(
 				theContainer, theKey, theSection, theReportIndex
 			)) {
-				return false                                            // ==>
+				if(!this.continueValidation(theReportIndex)) {
+					return false                                        // ==>
+				}
+				status = false
 			}
 
 			///
 			// Iterate elements.
 			///
 			for(let i = 0; i < value.length; i++) {
-				if(!this.doValidateSetSection(
-					value, i, theSection, theReportIndex
+				if(!this.traverse(i, null, () =>
+					this.doValidateSetSection(
+						value, i, theSection, theReportIndex
+					)
 				)) {
-					return false                                        // ==>
+					if(!this.continueValidation(theReportIndex)) {
+						return false                                    // ==>
+					}
+					status = false
 				}
 			}
 
-			return true                                                 // ==>
+			return status                                               // ==>
 
 		} // Is an array.
 
@@ -1024,54 +1254,54 @@ class Validator
 			///
 			// Handle type.
 			///
-			if(theSection.hasOwnProperty(module.context.configuration.setScalarType))
+			if(theSection.hasOwnProperty(this.settings.setScalarType))
 			{
 				///
 				// Parse data type.
 				///
-				switch(theSection[module.context.configuration.setScalarType])
+				switch(theSection[this.settings.setScalarType])
 				{
-					case module.context.configuration.typeBoolean:
+					case this.settings.typeBoolean:
 						return this.doValidateBoolean(
 							theContainer, theKey, theSection, theReportIndex
 						)                                               // ==>
 
-					case module.context.configuration.typeInteger:
+					case this.settings.typeInteger:
 						return this.doValidateInteger(
 							theContainer, theKey, theSection, theReportIndex
 						)                                               // ==>
 
-					case module.context.configuration.typeNumber:
+					case this.settings.typeNumber:
 						return this.doValidateNumber(
 							theContainer, theKey, theSection, theReportIndex
 						)                                               // ==>
 
-					case module.context.configuration.typeTypestamp:
+					case this.settings.typeTypestamp:
 						return this.doValidateTimeStamp(
 							theContainer, theKey, theSection, theReportIndex
 						)                                               // ==>
 
-					case module.context.configuration.typeString:
+					case this.settings.typeString:
 						return this.doValidateString(
 							theContainer, theKey, theSection, theReportIndex
 						)                                               // ==>
 
-					case module.context.configuration.typeKey:
+					case this.settings.typeKey:
 						return this.doValidateKey(
 							theContainer, theKey, theSection, theReportIndex
 						)                                               // ==>
 
-					case module.context.configuration.typeHandle:
+					case this.settings.typeHandle:
 						return this.doValidateHandle(
 							theContainer, theKey, theSection, theReportIndex
 						)                                               // ==>
 
-					case module.context.configuration.typeEnum:
+					case this.settings.typeEnum:
 						return this.doValidateEnum(
 							theContainer, theKey, theSection, theReportIndex
 						)                                               // ==>
 
-					case module.context.configuration.typeDate:
+					case this.settings.typeDate:
 						return this.doValidateDate(
 							theContainer, theKey, theSection, theReportIndex
 						)                                               // ==>
@@ -1132,6 +1362,7 @@ class Validator
 		///
 		// Init local storage.
 		///
+		let status = true
 		const value = (theKey !== null)
 			? theContainer[theKey]
 			: theContainer
@@ -1144,7 +1375,7 @@ class Validator
 			///
 			// Assert dictionary key section exists.
 			///
-			if(!theSection.hasOwnProperty(module.context.configuration.sectionDictKey)) {
+			if(!theSection.hasOwnProperty(this.settings.sectionDictKey)) {
 				return this.setStatusReport(
 					'kMISSING_DICT_KEY_SECTION',
 					theKey, theSection, theReportIndex
@@ -1154,7 +1385,7 @@ class Validator
 			///
 			// Assert dictionary key section is an object.
 			///
-			if(!Validator.IsObject(theSection[module.context.configuration.sectionDictKey]))
+			if(!Validator.IsObject(theSection[this.settings.sectionDictKey]))
 			{
 				return this.setStatusReport(
 					'kINVALID_DICT_KEY_SECTION',
@@ -1165,18 +1396,21 @@ class Validator
 			///
 			// Handle keys section.
 			///
-			if(Object.keys(theSection[module.context.configuration.sectionDictKey]).length !== 0)
+			if(Object.keys(theSection[this.settings.sectionDictKey]).length !== 0)
 			{
 				///
 				// Check if section has type.
 				///
-				const section = theSection[module.context.configuration.sectionDictKey]
-				if(section.hasOwnProperty(module.context.configuration.keyScalarType))
+				const section = theSection[this.settings.sectionDictKey]
+				if(section.hasOwnProperty(this.settings.keyScalarType))
 				{
 					if(!this.doValidateDictKeys(
 						theContainer, theKey, section, theReportIndex
 					)) {
-						return false                                    // ==>
+						if(!this.continueValidation(theReportIndex)) {
+							return false                                // ==>
+						}
+						status = false
 					}
 
 				} else {
@@ -1191,7 +1425,7 @@ class Validator
 			///
 			// Assert dictionary value section exists.
 			///
-			if(!theSection.hasOwnProperty(module.context.configuration.sectionDictValue)) {
+			if(!theSection.hasOwnProperty(this.settings.sectionDictValue)) {
 				return this.setStatusReport(
 					'kMISSING_DICT_VALUE_SECTION',
 					theKey, theSection, theReportIndex
@@ -1201,7 +1435,7 @@ class Validator
 			///
 			// Assert dictionary value section is an object.
 			///
-			if(!Validator.IsObject(theSection[module.context.configuration.sectionDictValue]))
+			if(!Validator.IsObject(theSection[this.settings.sectionDictValue]))
 			{
 				return this.setStatusReport(
 					'kINVALID_DICT_VALUE_SECTION',
@@ -1212,14 +1446,14 @@ class Validator
 			///
 			// Handle values section.
 			///
-			if(Object.keys(theSection[module.context.configuration.sectionDictValue]).length !== 0)
+			if(Object.keys(theSection[this.settings.sectionDictValue]).length !== 0)
 			{
 				///
 				// Check if section has type.
 				///
 				if(!this.doValidateDictValues(
 					theContainer, theKey,
-					theSection[module.context.configuration.sectionDictValue],
+					theSection[this.settings.sectionDictValue],
 					theReportIndex
 				)) {
 					return false                                        // ==>
@@ -1227,7 +1461,7 @@ class Validator
 
 			} // Section is not empty.
 
-			return true                                                 // ==>
+			return status                                               // ==>
 
 		} // Value is an object.
 
@@ -1276,6 +1510,7 @@ class Validator
 		// Init local storage.
 		///
 		let changed = false
+		let status = true
 		const value = (theKey !== null)
 			? theContainer[theKey]
 			: theContainer
@@ -1285,19 +1520,25 @@ class Validator
 		///
 		// Parse data type.
 		///
-		switch(theSection[module.context.configuration.keyScalarType])
+		switch(theSection[this.settings.keyScalarType])
 		{
 			///
 			// String.
 			///
-			case module.context.configuration.typeString:
+			case this.settings.typeString:
 				for(let i = 0; i < keys.length; i++)
 				{
 					const key = keys[i]
-					if(!this.doValidateString(
-						keys, i, theSection, theReportIndex
+					if(!this.traverse(key, null, () =>
+						this.doValidateString(
+							keys, i, theSection, theReportIndex
+						)
 					)) {
-						return false                                    // ==>
+						if(!this.continueValidation(theReportIndex)) {
+							return false                                // ==>
+						}
+						status = false
+						continue
 					}
 
 					changes[key] = keys[i]
@@ -1310,14 +1551,20 @@ class Validator
 			///
 			// Document key.
 			///
-			case module.context.configuration.typeKey:
+			case this.settings.typeKey:
 				for(let i = 0; i < keys.length; i++)
 				{
 					const key = keys[i]
-					if(!this.doValidateKey(
-						keys, i, theSection, theReportIndex
+					if(!this.traverse(key, null, () =>
+						this.doValidateKey(
+							keys, i, theSection, theReportIndex
+						)
 					)) {
-						return false                                    // ==>
+						if(!this.continueValidation(theReportIndex)) {
+							return false                                // ==>
+						}
+						status = false
+						continue
 					}
 
 					changes[key] = keys[i]
@@ -1330,14 +1577,20 @@ class Validator
 			///
 			// Document handle.
 			///
-			case module.context.configuration.typeHandle:
+			case this.settings.typeHandle:
 				for(let i = 0; i < keys.length; i++)
 				{
 					const key = keys[i]
-					if(!this.doValidateHandle(
-						keys, i, theSection, theReportIndex
+					if(!this.traverse(key, null, () =>
+						this.doValidateHandle(
+							keys, i, theSection, theReportIndex
+						)
 					)) {
-						return false                                    // ==>
+						if(!this.continueValidation(theReportIndex)) {
+							return false                                // ==>
+						}
+						status = false
+						continue
 					}
 
 					changes[key] = keys[i]
@@ -1350,14 +1603,20 @@ class Validator
 			///
 			// Enumeration.
 			///
-			case module.context.configuration.typeEnum:
+			case this.settings.typeEnum:
 				for(let i = 0; i < keys.length; i++)
 				{
 					const key = keys[i]
-					if(!this.doValidateEnum(
-						keys, i, theSection, theReportIndex
+					if(!this.traverse(key, null, () =>
+						this.doValidateEnum(
+							keys, i, theSection, theReportIndex
+						)
 					)) {
-						return false                                    // ==>
+						if(!this.continueValidation(theReportIndex)) {
+							return false                                // ==>
+						}
+						status = false
+						continue
 					}
 
 					changes[key] = keys[i]
@@ -1370,14 +1629,20 @@ class Validator
 			///
 			// Date.
 			///
-			case module.context.configuration.typeDate:
+			case this.settings.typeDate:
 				for(let i = 0; i < keys.length; i++)
 				{
 					const key = keys[i]
-					if(!this.doValidateDate(
-						keys, i, theSection, theReportIndex
+					if(!this.traverse(key, null, () =>
+						this.doValidateDate(
+							keys, i, theSection, theReportIndex
+						)
 					)) {
-						return false                                    // ==>
+						if(!this.continueValidation(theReportIndex)) {
+							return false                                // ==>
+						}
+						status = false
+						continue
 					}
 
 					changes[key] = keys[i]
@@ -1397,11 +1662,34 @@ class Validator
 
 		///
 		// Reconcile resolved keys.
+		// Key changes were recorded as replacements of the entries,
+		// here we turn them into moves.
 		///
 		if(changed) {
 			const resolved = {}
+			const report = (theReportIndex !== null)
+				? this.report[theReportIndex]
+				: this.report
 			Object.keys(changes).forEach(key => {
 				resolved[changes[key]] = value[key]
+				if(changes[key] !== key) {
+					const from = this.traverse(key, null, () => this.locationPointer())
+					const move = {
+						"op": 'move',
+						"from": from,
+						"path": this.traverse(changes[key], null, () => this.locationPointer())
+					}
+					const index = (report.hasOwnProperty('patch'))
+						? report.patch.findIndex( (operation) =>
+							operation.op === 'replace' && operation.path === from
+						)
+						: -1
+					if(index < 0) {
+						this.addPatch(move, theReportIndex)
+					} else {
+						report.patch[index] = move
+					}
+				}
 			})
 
 			if(theKey !== null) {
@@ -1411,7 +1699,7 @@ class Validator
 			}
 		}
 
-		return true                                                     // ==>
+		return status                                                   // ==>
 
 	} // doValidateDictKeys()
 
@@ -1461,11 +1749,13 @@ class Validator
 		// Iterate dictionary object keys.
 		///
 		Object.keys(value).some( (key) => {
-			if(!this.doValidateDataSection(
-				value, key, theSection, theReportIndex
+			if(!this.traverse(key, null, () =>
+				this.doValidateDataSection(
+					value, key, theSection, theReportIndex
+				)
 			)) {
 				status = false
-				return true
+				return !this.continueValidation(theReportIndex)
 			}
 
 			return false
@@ -1631,16 +1921,29 @@ class Validator
 	 *
 	 * This method will validate the provided timestamp value.
 	 *
-	 * If the value is a number, the function will assume it is a unix time,
-	 * if the value is a string, the function will try to interpret it as a
-	 * date.
+	 * The descriptor section may declare the timestamp unit in the
+	 * `timestampUnit` property, `ms`, milliseconds, or `s`, seconds, and the
+	 * handling of strings without time zone offset in the `timestampZone`
+	 * property, see `Dates.Timestamp()`: `utc`, the default, `offset`, to
+	 * reject them, or a fixed offset such as `+02:00`. The `requireOffset`
+	 * flag rejects strings without offset for all descriptors.
+	 *
+	 * If the value is a number, it is the Unix time in the descriptor unit:
+	 * if the unit is declared, values whose magnitude matches the other unit,
+	 * milliseconds from `1e11` or seconds below `1e10`, are rejected with the
+	 * `kTIMESTAMP_UNIT_MISMATCH` status.
+	 *
+	 * If the value is a string, it must be an ISO 8601 date and time, which
+	 * will be converted to the descriptor unit, milliseconds by default,
+	 * independently of the server time zone: the value will be replaced, the
+	 * change logged and signalled by the `kCONVERTED_TIMESTAMP` notice.
 	 *
 	 * If there is a range, the method will check the range: note that the
-	 * method expects a numeric range.
+	 * method expects a numeric range in the descriptor unit.
 	 *
 	 * Validation workflow:
 	 *
-	 * - If value is numeric, return check range status.
+	 * - If value is numeric, check unit and return check range status.
 	 * - If value is string, convert to timestamp and check range.
 	 *
 	 * The method will return `true` if there were no errors, or `false`.
@@ -1664,11 +1967,38 @@ class Validator
 		const value = (theKey !== null)
 			? theContainer[theKey]
 			: theContainer
+		const unit = (theSection.hasOwnProperty(this.settings.timestampUnit))
+			? theSection[this.settings.timestampUnit]
+			: null
+		const zone = (this.requireOffset)
+			? 'offset'
+			: (theSection.hasOwnProperty(this.settings.timestampZone))
+				? theSection[this.settings.timestampZone]
+				: 'utc'
+
+		///
+		// Check unit.
+		///
+		if(unit !== null && unit !== 'ms' && unit !== 's') {
+			throw new Error(
+				`Invalid timestamp unit [${unit}], expecting ms or s, in ${theKey}.`
+			)                                                           // ==>
+		}
 
 		///
 		// Check if UNIX timestamp.
 		///
-		if(Validator.IsNumber(value)) {
+		if(Validator.IsNumber(value))
+		{
+			if((unit === 's' && Math.abs(value) >= 1e11) ||
+			   (unit === 'ms' && value !== 0 && Math.abs(value) < 1e10)) {
+				return this.setStatusReport(
+					'kTIMESTAMP_UNIT_MISMATCH',
+					theKey, value, theReportIndex,
+					{ "unit": unit }
+				)                                                       // ==>
+			}
+
 			return this.checkNumericRange(
 				theContainer, theKey, theSection, theReportIndex
 			)                                                           // ==>
@@ -1682,38 +2012,46 @@ class Validator
 			///
 			// Convert to timestamp.
 			///
-			const timestamp = new Date(value)
-			if(!isNaN(timestamp.valueOf()))
-			{
-				///
-				// Log resolved value.
-				///
-				this.logResolvedValues(
-					theKey, value, timestamp.valueOf(), theReportIndex
-				)
+			const result = Dates.Timestamp(value, zone)
+			if(result.hasOwnProperty('status')) {
+				return this.setStatusReport(
+					result.status, theKey, value, theReportIndex
+				)                                                       // ==>
+			}
+			const timestamp = (unit === 's')
+				? result.timestamp / 1000
+				: result.timestamp
 
-				///
-				// Update original value.
-				///
-				if(theKey !== null) {
-					theContainer[theKey] = timestamp.valueOf()
-				} else {
-					theContainer = timestamp.valueOf()
-				}
+			///
+			// Log resolved value.
+			///
+			this.logResolvedValues(
+				theKey, value, timestamp, theReportIndex
+			)
 
-				///
-				// Update status report.
-				// TODO: Replace status, in report, with kMODIFIED_VALUE.
-				///
+			///
+			// Update original value.
+			///
+			if(theKey !== null) {
+				theContainer[theKey] = timestamp
+			} else {
+				theContainer = timestamp
+			}
 
-				///
-				// Check timestamp valid range.
-				///
-				return this.checkNumericRange(
-					theContainer, theKey, theSection, theReportIndex
-				)                                                       // ==>
+			///
+			// Signal conversion.
+			///
+			this.setStatusReport(
+				'kCONVERTED_TIMESTAMP', theKey, value, theReportIndex,
+				{ "resolved": timestamp }
+			)
 
-			} // Converted to timestamp.
+			///
+			// Check timestamp valid range.
+			///
+			return this.checkNumericRange(
+				theContainer, theKey, theSection, theReportIndex
+			)                                                           // ==>
 
 		} // Value is string.
 
@@ -1860,7 +2198,7 @@ class Validator
 			// Handle dictionary term and namespace field.
 			///
 			if(this.defNamespace &&
-				theKey === module.context.configuration.namespaceIdentifier) {
+				theKey === this.settings.namespaceIdentifier) {
 				return true                                             // ==>
 			}
 
@@ -1868,7 +2206,7 @@ class Validator
 			// Handle user term or field other than _nid.
 			///
 			if((!this.defNamespace) ||
-				(theKey !== module.context.configuration.namespaceIdentifier)) {
+				(theKey !== this.settings.namespaceIdentifier)) {
 				return this.setStatusReport(
 					'kEMPTY_KEY', theKey, value, theReportIndex
 				)                                                       // ==>
@@ -1897,12 +2235,12 @@ class Validator
 		///
 		// Handle data kind.
 		///
-		if(theSection.hasOwnProperty(module.context.configuration.dataKind))
+		if(theSection.hasOwnProperty(this.settings.dataKind))
 		{
 			///
 			// Assert kind is an array.
 			///
-			const kinds = theSection[module.context.configuration.dataKind]
+			const kinds = theSection[this.settings.dataKind]
 			if(Validator.IsArray(kinds))
 			{
 				///
@@ -1932,11 +2270,11 @@ class Validator
 				// Loop breaks on first status === true.
 				for(const kind of kinds) {
 					switch(kind) {
-						case module.context.configuration.anyTerm:
+						case this.settings.anyTerm:
 							return true                                 // ==>
 
-						case module.context.configuration.anyEnum:
-							if(Validator.IsEnum(term)) {
+						case this.settings.anyEnum:
+							if(Validator.IsEnum(term, '', this.settings)) {
 								return true                             // ==>
 							}
 							statusReport = {
@@ -1948,8 +2286,8 @@ class Validator
 							}
 							break
 
-						case module.context.configuration.anyDescriptor:
-							if(Validator.IsDescriptor(term)) {
+						case this.settings.anyDescriptor:
+							if(Validator.IsDescriptor(term, this.settings)) {
 								return true                             // ==>
 							}
 							statusReport = {
@@ -1961,8 +2299,8 @@ class Validator
 							}
 							break
 
-						case module.context.configuration.anyObject:
-							if(Validator.IsStruct(term)) {
+						case this.settings.anyObject:
+							if(Validator.IsStruct(term, '', this.settings)) {
 								return true                             // ==>
 							}
 							statusReport = {
@@ -2066,7 +2404,7 @@ class Validator
 				///
 				// Check collection.
 				///
-				if(this.cache.collectionExists(parts[0]))
+				if(this.cache.collectionExists(parts[0], this.useCache))
 				{
 					///
 					// Check document key.
@@ -2198,7 +2536,7 @@ class Validator
 		///
 		// Check if it is an enumeration element.
 		///
-		if(!term.hasOwnProperty(module.context.configuration.sectionPath)) {
+		if(!term.hasOwnProperty(this.settings.sectionPath)) {
 			return this.setStatusReport(
 				'kNOT_AN_ENUM', theKey, value, theReportIndex
 			)                                                           // ==>
@@ -2207,17 +2545,17 @@ class Validator
 		///
 		// Save paths.
 		///
-		const paths = term[module.context.configuration.sectionPath]
+		const paths = term[this.settings.sectionPath]
 
 		///
 		// Assert data kind.
 		///
-		if(theSection.hasOwnProperty(module.context.configuration.dataKind))
+		if(theSection.hasOwnProperty(this.settings.dataKind))
 		{
 			///
 			// Save data kinds.
 			///
-			const kinds = theSection[module.context.configuration.dataKind]
+			const kinds = theSection[this.settings.dataKind]
 
 			///
 			// Assert data kinds.
@@ -2258,13 +2596,18 @@ class Validator
 	 *
 	 * This method will validate the provided string date.
 	 *
-	 * The method will not validate the actual date, it will only ensure the
-	 * value is in the correct format.
+	 * The date must be in one of the `YYYY`, `YYYYMM`, `YYYYMMDD` or
+	 * `YYYY-YYYY` formats and must exist in the calendar, see the Dates
+	 * class.
 	 *
 	 * Validation workflow:
 	 *
 	 * - Assert value is a string.
-	 * - Check string format.
+	 * - If the `normalizeDates` flag is set and the format is not canonical,
+	 *   normalize the date, see `doNormalizeDate()`.
+	 * - Check string format, `kINVALID_DATE_FORMAT`.
+	 * - Check month and day, `kINVALID_DATE`, or years range order,
+	 *   `kINVALID_DATE_RANGE`.
 	 * - Check date range.
 	 *
 	 * The method will return `true` if enum, or `false` if not.
@@ -2294,17 +2637,26 @@ class Validator
 		///
 		if(Validator.IsString(value)) {
 			///
-			// Validate string format.
+			// Normalize date.
 			///
-			const regexp = new RegExp("^[0-9]{4}$|^[0-9]{6}$|^[0-9]{8}$|^[0-9]{4}-[0-9]{4}$")
-			if (value.match(regexp)) {
-				return this.checkDateRange(
+			const status = Dates.Check(value)
+			if(status === 'kINVALID_DATE_FORMAT' && this.normalizeDates) {
+				return this.doNormalizeDate(
 					theContainer, theKey, theSection, theReportIndex
 				)                                                       // ==>
 			}
 
-			return this.setStatusReport(
-				'kINVALID_DATE_FORMAT', theKey, value, theReportIndex
+			///
+			// Validate date.
+			///
+			if(status === null) {
+				return this.checkDateRange(
+					theContainer, theKey, theSection, theReportIndex
+				)                                                       // ==>
+			}
+
+			return this.setStatusReport(
+				status, theKey, value, theReportIndex
 			)                                                           // ==>
 		}
 
@@ -2314,12 +2666,96 @@ class Validator
 
 	} // doValidateDate()
 
+	/**
+	 * doNormalizeDate
+	 *
+	 * This method will convert the provided free-form string date to the
+	 * canonical format and validate it, see `Dates.Normalize()`.
+	 *
+	 * The normalized date replaces the original value, the change is logged
+	 * in the report and signalled by the `kNORMALIZED_DATE` notice; if the
+	 * format is not recognized, the `kINVALID_DATE_FORMAT` status is set, if
+	 * the day and month order is ambiguous and the `dateOrder` option is not
+	 * set, the `kAMBIGUOUS_DATE` status is set with the `candidates` list and,
+	 * if an ISO week spans two months, the `kWEEK_SPANS_MONTHS` status is set.
+	 *
+	 * The method will return `true` if there were no errors, or `false`.
+	 *
+	 * @param theContainer {Object}: The value container.
+	 * @param theKey {String|Number|null}: The key to the value in the container.
+	 * @param theSection {Object}: Data or array term section.
+	 * @param theReportIndex {Number}: Container key for value, defaults to null.
+	 *
+	 * @return {Boolean}: `true` if valid, `false` if not.
+	 */
+	doNormalizeDate(
+		theContainer,
+		theKey,
+		theSection,
+		theReportIndex)
+	{
+		///
+		// Init local storage.
+		///
+		const value = (theKey !== null)
+			? theContainer[theKey]
+			: theContainer
+
+		///
+		// Normalize date.
+		///
+		const result = Dates.Normalize(value, this.dateOrder)
+		if(result === null) {
+			return this.setStatusReport(
+				'kINVALID_DATE_FORMAT', theKey, value, theReportIndex
+			)                                                           // ==>
+		}
+		if(result.hasOwnProperty('status')) {
+			return this.setStatusReport(
+				result.status, theKey, value, theReportIndex,
+				(result.hasOwnProperty('candidates'))
+					? { "candidates": result.candidates }
+					: {}
+			)                                                           // ==>
+		}
+
+		///
+		// Update original value.
+		///
+		this.logResolvedValues(theKey, value, result.date, theReportIndex)
+		if(theKey !== null) {
+			theContainer[theKey] = result.date
+		} else {
+			theContainer = result.date
+		}
+		this.setStatusReport(
+			'kNORMALIZED_DATE', theKey, value, theReportIndex,
+			{ "resolved": result.date }
+		)
+
+		///
+		// Check date range.
+		///
+		return this.checkDateRange(
+			theContainer, theKey, theSection, theReportIndex
+		)                                                               // ==>
+
+	} // doNormalizeDate()
+
 	/**
 	 * doValidateStruct
 	 *
 	 * This method will validate the provided struct value.
 	 *
-	 * The method only asserts if the value is an object.
+	 * A struct is validated as an object, see `doValidateObject()`, with the
+	 * difference that all its data kinds must be structure definitions, that
+	 * is, terms with a rule section.
+	 *
+	 * Validation workflow:
+	 *
+	 * - Assert value is an object.
+	 * - Assert all data kinds are structure definitions.
+	 * - Validate the object rules and properties.
 	 *
 	 * The method will return `true` if there were no errors, or `false`.
 	 *
@@ -2344,15 +2780,38 @@ class Validator
 			: theContainer
 
 		///
-		// Check if boolean.
+		// Check if object.
 		///
-		if(Validator.IsObject(value)) {
-			return true                                                 // ==>
+		if(!Validator.IsObject(value)) {
+			return this.setStatusReport(
+				'kNOT_AN_OBJECT',
+				theKey, value, theReportIndex
+			)                                                           // ==>
 		}
 
-		return this.setStatusReport(
-			'kNOT_AN_OBJECT',
-			theKey, value, theReportIndex
+		///
+		// Assert data kinds are structure definitions.
+		///
+		if(theSection.hasOwnProperty(this.settings.dataKind) &&
+		   Validator.IsArray(theSection[this.settings.dataKind])) {
+			for(const kind of theSection[this.settings.dataKind]) {
+				const term = this.cache.getTerm(
+					kind, this.useCache, this.cacheMissing
+				)
+				if(term === false || !Validator.IsStruct(term, '', this.settings)) {
+					return this.setStatusReport(
+						'kNOT_A_STRUCTURE_DEFINITION',
+						theKey, kind, theReportIndex
+					)                                                   // ==>
+				}
+			}
+		}
+
+		///
+		// Validate object.
+		///
+		return this.doValidateObject(
+			theContainer, theKey, theSection, theReportIndex
 		)                                                               // ==>
 
 	} // doValidateStruct()
@@ -2368,8 +2827,14 @@ class Validator
 	 *
 	 * - Assert value is an object.
 	 * - Validate object rules.
+	 * - Resolve all object properties with a single cache request.
 	 * - Validate object keys/values.
 	 *
+	 * Properties that are not terms are handled according to the closed flag
+	 * in the rule section of the data kind the object matched: if `true` they
+	 * are errors, if `false` they are ignored; if the flag is missing, or the
+	 * object has no data kind, the `expectTerms` flag applies.
+	 *
 	 * Note that this method may be called directly from the top level, so
 	 * both the descriptor and the section may be missing (null): be attentive
 	 * when setting status reports.
@@ -2404,69 +2869,51 @@ class Validator
 			///
 			// Validate object structure.
 			///
+			let status = true
+			const match = {}
 			if(theSection !== null) {
+				const reasons = []
 				if(!this.doValidateObjectStructure(
-					theContainer, theKey, theSection, theReportIndex)
+					theContainer, theKey, theSection, theReportIndex, reasons,
+					match)
 				){
-					return this.setStatusReport(
-						'kINVALID_OBJECT_STRUCTURE',
-						theKey, value, theReportIndex,
-						{"section": theSection}
-					)                                                   // ==>
+					status = this.setObjectStructureReport(
+						theKey, value, theSection, theReportIndex, reasons
+					)
+					if(!this.continueValidation(theReportIndex)) {
+						return status                                   // ==>
+					}
 				}
 			}
 
+			///
+			// Prefetch properties.
+			///
+			const terms =
+				this.cache.getTerms(
+					Object.keys(value), this.useCache, this.cacheMissing
+				)
+
 			///
 			// Validate object.
+			// The root object of a provided descriptor only wraps the value,
+			// so its property is not part of the location pointer.
 			///
-			let status = true
+			const wrapper = (theKey === null && this.hasOwnProperty('term'))
+			const closed = (
+				match.hasOwnProperty('kind') &&
+				match.kind[this.settings.sectionRule].hasOwnProperty(this.settings.sectionRuleClosed)
+			)
+				? match.kind[this.settings.sectionRule][this.settings.sectionRuleClosed] === true
+				: this.expectTerms
 			Object.keys(value).some( (property) => {
-
-				///
-				// Resolve property.
-				///
-				const term =
-					this.cache.getTerm(
-						property, this.useCache, this.cacheMissing
-					)
-
-				///
-				// Term not found.
-				///
-				if(term === false) {
-					if(this.expectTerms) {
-						status = this.setStatusReport(
-							'kUNKNOWN_PROPERTY',
-							property, value, theReportIndex
-						)
-
-						return true
-					}
-
-					return false
-				}
-
-				///
-				// Assert term is a descriptor.
-				///
-				if(!Validator.IsDescriptor(term)) {
-					status = this.setStatusReport(
-						'kPROPERTY_NOT_DESCRIPTOR',
-						property, value, theReportIndex
+				if(!this.traverse((wrapper) ? null : property, property, () =>
+					this.doValidateProperty(
+						value, property, terms[property], theReportIndex, closed
 					)
-
-					return true
-				}
-
-				///
-				// Validate property/value pair.
-				///
-				if(!this.doValidateDataSection(
-					value, property, term[module.context.configuration.sectionData],
-					theReportIndex
 				)) {
 					status = false
-					return true
+					return !this.continueValidation(theReportIndex)
 				}
 
 				return false
@@ -2482,19 +2929,90 @@ class Validator
 
 	} // doValidateObject()
 
+	/**
+	 * doValidateProperty
+	 *
+	 * This method will validate the provided object property.
+	 *
+	 * Validation workflow:
+	 *
+	 * - If the property is not a term, raise an error if the provided closed
+	 *   flag is set, or return true if not set; if the unknown property status
+	 *   is downgraded to warning, report it in both cases.
+	 * - Assert the term is a descriptor.
+	 * - Validate the property value according to the descriptor data section.
+	 *
+	 * The method will return `true` if there were no errors, or `false`.
+	 *
+	 * @param theObject {Object}: The object containing the property.
+	 * @param theProperty {String}: The property name.
+	 * @param theTerm {Object|Boolean}: The property term, or `false`.
+	 * @param theReportIndex {Number}: Container key for value, defaults to null.
+	 * @param theClosed {Boolean}: Expect the property to be a term, defaults
+	 *                             to the `expectTerms` flag.
+	 *
+	 * @return {Boolean}: `true` if valid, `false` if not.
+	 */
+	doValidateProperty(
+		theObject,
+		theProperty,
+		theTerm,
+		theReportIndex,
+		theClosed = this.expectTerms)
+	{
+		///
+		// Term not found.
+		///
+		if(theTerm === false) {
+			if(theClosed || this.warnings.includes('kUNKNOWN_PROPERTY')) {
+				return this.setStatusReport(
+					'kUNKNOWN_PROPERTY',
+					theProperty, theObject, theReportIndex
+				)                                                       // ==>
+			}
+
+			return true                                                 // ==>
+		}
+
+		///
+		// Assert term is a descriptor.
+		///
+		if(!Validator.IsDescriptor(theTerm, this.settings)) {
+			return this.setStatusReport(
+				'kPROPERTY_NOT_DESCRIPTOR',
+				theProperty, theObject, theReportIndex
+			)                                                           // ==>
+		}
+
+		///
+		// Validate property/value pair.
+		///
+		return this.doValidateDataSection(
+			theObject, theProperty, theTerm[this.settings.sectionData],
+			theReportIndex
+		)                                                               // ==>
+
+	} // doValidateProperty()
+
 	/**
 	 * doValidateGeoJSON
 	 *
-	 * This method will validate the provided GeoJSON object value.
+	 * This method will validate the provided GeoJSON object value according
+	 * to RFC 7946, the checks are implemented in the GeoJSON class: any
+	 * geometry, `Feature` and `FeatureCollection` objects are accepted,
+	 * unless the section features the data kind list, in which case all
+	 * objects, including those nested in features and collections, must have
+	 * one of the listed types, such as `Point` or `Polygon`.
 	 *
-	 * TODO: Need to find a suitable library for checking GeoJSON objects.
+	 * Polygon rings winding order is only checked if the `geoWinding` flag
+	 * is set.
 	 *
-	 * Validation workflow:
+	 * Once the object is valid, the geospatial constraints of the section are
+	 * checked, see `checkGeoConstraints()`.
 	 *
-	 * - Assert value is an object.
-	 * - Assert value has "type" property.
-	 * - Assert value has "coordinates" property.
-	 * - Assert the "coordinates" property is an array.
+	 * Each failure has its own status code, the report pointer locates the
+	 * offending member, for instance the position or the coordinate, and the
+	 * report holds the section in the `section` member.
 	 *
 	 * Note that the value will correspond to the "geometry" property, but
 	 * may have another name.
@@ -2524,88 +3042,66 @@ class Validator
 		const value = (theKey !== null)
 			? theContainer[theKey]
 			: theContainer
+		const types = (
+			Validator.IsObject(theSection) &&
+			Validator.IsArray(theSection[this.settings.dataKind])
+		)
+			? theSection[this.settings.dataKind]
+			: null
 
 		///
-		// Check if object.
+		// Validate object.
 		///
-		if(Validator.IsObject(value))
-		{
-			///
-			// Assert object has type property.
-			///
-			if(!value.hasOwnProperty('type')) {
-				return this.setStatusReport(
-					'kGEOJSON_MISSING_TYPE',
-					theKey, value, theReportIndex,
-					{ "section": theSection }
-				)                                                       // ==>
-			}
-
-			///
-			// Assert object has coordinates property.
-			///
-			if(!value.hasOwnProperty('coordinates')) {
-				return this.setStatusReport(
-					'kGEOJSON_MISSING_COORDINATES',
-					theKey, value, theReportIndex,
-					{ "section": theSection }
-				)                                                       // ==>
-			}
-
-			///
-			// Assert coordinates is an array.
-			///
-			if(!Validator.IsArray(value['coordinates'])) {
-				return this.setStatusReport(
-					'kGEOJSON_INVALID_COORDINATES',
-					theKey, value, theReportIndex,
-					{ "section": theSection }
-				)                                                       // ==>
-			}
-
-			return true                                                 // ==>
+		const failure = GeoJSON.Validate(value, types, this.geoWinding)
+		if(failure === null) {
+			return (Validator.IsObject(theSection))
+				? this.checkGeoConstraints(
+					theContainer, theKey, theSection, theReportIndex
+				)
+				: true                                                  // ==>
 		}
 
-		return this.setStatusReport(
-			'kNOT_AN_OBJECT',
-			theKey, value, theReportIndex,
-			{ "section": theSection }
+		const { status, path, value: offending, ...custom } = failure
+
+		return this.setGeoJSONReport(
+			status, theKey, path, offending, theReportIndex,
+			{ "section": theSection, ...custom }
 		)                                                               // ==>
 
 	} // doValidateGeoJSON()
 
-
-	/**
-	 * PRIVATE VALIDATION UTILITIES
-	 */
-
-
 	/**
-	 * doResolveEnum
-	 *
-	 * This method will try to resolve the current value into a valid
-	 * enumeration by testing if the current value corresponds to the value in
-	 * the field set in the current `resolver` property of the current object.
-	 *
-	 * The method will first check if the `resolve` property of the current
-	 * object is set, if that is not the case, the method will return a
-	 * `kVALUE_NOT_TERM` error.
-	 *
-	 * Then it will check if the current value corresponds to the value of the
-	 * code section field whose name is in the `resolver` property of the
-	 * current object, and if the eventual matched term is an enumeration
-	 * belonging to one of the data kinds of the current descriptor. If that id
-	 * the case, the current value will be replaced with the matching term's
-	 * global identifier, the value change will be logged and the method will
-	 * return true.
-	 *
-	 * If the value cannot be resolved, the method will return a
-	 * `kVALUE_NOT_TERM` error report.
-	 *
-	 * *The method expects the descriptor to have the data kinds section and
-	 * that the value is an array.*
+	 * checkGeoConstraints
+	 *
+	 * This method will assert if the provided valid GeoJSON object respects
+	 * the geospatial constraints of the section:
+	 *
+	 * - `geoBoundingBox`: Array of four numbers, minimum longitude, minimum
+	 *                     latitude, maximum longitude and maximum latitude:
+	 *                     all positions must be within the box; if the
+	 *                     minimum longitude is greater than the maximum, the
+	 *                     box crosses the antimeridian.
+	 * - `geoMaxVertices`: The maximum number of positions.
+	 * - `geoMaxArea`: The maximum area, in square meters, of the polygons.
+	 * - `geoMaxDistance`: Object with the `center` position and the maximum
+	 *                     `distance` in meters: all positions must be within
+	 *                     that distance from the center.
+	 * - `geoWithin`: Reference to the polygon that must contain the object:
+	 *                a term global identifier, whose rule section holds the
+	 *                geometry in the `geoGeometry` property, or a document
+	 *                handle, the document `geoGeometry` property holding the
+	 *                geometry, or the document itself being the geometry.
+	 *                Polygons, multi polygons and features or collections of
+	 *                them can be referenced.
+	 *
+	 * Distances and areas are computed on the WGS84 ellipsoid, see the
+	 * GeoJSON class. Reports of positions outside the box or too far locate
+	 * the offending position.
+	 *
+	 * Invalid constraints raise an exception; unresolved references are
+	 * reported with the `kUNKNOWN_TERM` or `kUNKNOWN_DOCUMENT` status.
 	 *
-	 * The method will return `true` if resolved, or `false` if not.
+	 * The method will return `true` if there were no errors, or `false`.
 	 *
 	 * @param theContainer {Object}: The value container.
 	 * @param theKey {String|Number|null}: The key to the value in the container.
@@ -2614,7 +3110,7 @@ class Validator
 	 *
 	 * @return {Boolean}: `true` if valid, `false` if not.
 	 */
-	doResolveEnum(
+	checkGeoConstraints(
 		theContainer,
 		theKey,
 		theSection,
@@ -2628,40 +3124,299 @@ class Validator
 			: theContainer
 
 		///
-		// Check the resolve flag.
+		// Check bounding box.
 		///
-		if(!this.resolve) {
-			return this.setStatusReport(
-				'kVALUE_NOT_TERM', theKey, value, theReportIndex
-			)                                                           // ==>
+		if(theSection.hasOwnProperty(this.settings.geoBoundingBox))
+		{
+			const bbox = theSection[this.settings.geoBoundingBox]
+			if(!Validator.IsArray(bbox) ||
+			   bbox.length !== 4 ||
+			   !bbox.every( (item) => Validator.IsNumber(item) )) {
+				throw new Error(
+					`The bounding box constraint is not an array of four numbers, in ${theKey}.`
+				)                                                       // ==>
+			}
+
+			const [ minLon, minLat, maxLon, maxLat ] = bbox
+			const outside = GeoJSON.Positions(value).find( ([ [ lon, lat ] ]) =>
+				lat < minLat || lat > maxLat ||
+				((minLon <= maxLon)
+					? (lon < minLon || lon > maxLon)
+					: (lon < minLon && lon > maxLon))
+			)
+			if(outside !== undefined) {
+				return this.setGeoJSONReport(
+					'kGEOJSON_OUTSIDE_BBOX',
+					theKey, outside[1], outside[0], theReportIndex,
+					{ "section": bbox }
+				)                                                       // ==>
+			}
 		}
 
 		///
-		// Iterate data kinds.
+		// Check vertices.
 		///
-		let resolved = null
-		theSection[module.context.configuration.dataKind].some( (type) => {
-			const terms = this.cache.queryEnumIdentifierByCode(
-				this.resolver, value, type
-			)
+		if(theSection.hasOwnProperty(this.settings.geoMaxVertices))
+		{
+			const limit = theSection[this.settings.geoMaxVertices]
+			if(!Validator.IsInteger(limit) || limit < 0) {
+				throw new Error(
+					`The maximum vertices constraint is not a positive integer, in ${theKey}.`
+				)                                                       // ==>
+			}
 
-			if(terms.length === 1) {
-				resolved = terms[0]
-				return true
+			const count = GeoJSON.Positions(value).length
+			if(count > limit) {
+				return this.setStatusReport(
+					'kGEOJSON_TOO_MANY_VERTICES',
+					theKey, value, theReportIndex,
+					{ "section": limit, "vertices": count }
+				)                                                       // ==>
 			}
-		})
+		}
 
 		///
-		// Found a match.
+		// Check area.
 		///
-		if(resolved !== null)
+		if(theSection.hasOwnProperty(this.settings.geoMaxArea))
 		{
-			///
-			// Replace value.
-			///
-			if(theKey !== null) {
-				theContainer[theKey] = resolved
-			} else {
+			const limit = theSection[this.settings.geoMaxArea]
+			if(!Validator.IsNumber(limit) || limit < 0) {
+				throw new Error(
+					`The maximum area constraint is not a positive number, in ${theKey}.`
+				)                                                       // ==>
+			}
+
+			const area = GeoJSON.Area(value)
+			if(area > limit) {
+				return this.setStatusReport(
+					'kGEOJSON_AREA_TOO_LARGE',
+					theKey, value, theReportIndex,
+					{ "section": limit, "area": area }
+				)                                                       // ==>
+			}
+		}
+
+		///
+		// Check distance.
+		///
+		if(theSection.hasOwnProperty(this.settings.geoMaxDistance))
+		{
+			const limit = theSection[this.settings.geoMaxDistance]
+			if(!Validator.IsObject(limit) ||
+			   GeoJSON.Position(limit.center, []) !== null ||
+			   !Validator.IsNumber(limit.distance)) {
+				throw new Error(
+					`The maximum distance constraint requires the center position and the distance, in ${theKey}.`
+				)                                                       // ==>
+			}
+
+			for(const [ position, path ] of GeoJSON.Positions(value)) {
+				const distance = GeoJSON.Distance(limit.center, position)
+				if(distance > limit.distance) {
+					return this.setGeoJSONReport(
+						'kGEOJSON_TOO_FAR',
+						theKey, path, position, theReportIndex,
+						{ "section": limit, "distance": distance }
+					)                                                   // ==>
+				}
+			}
+		}
+
+		///
+		// Check container.
+		///
+		if(theSection.hasOwnProperty(this.settings.geoWithin))
+		{
+			const reference = theSection[this.settings.geoWithin]
+			const polygons = this.getGeoContainer(reference, theKey)
+			if(polygons === false) {
+				return this.setStatusReport(
+					(reference.includes('/')) ? 'kUNKNOWN_DOCUMENT' : 'kUNKNOWN_TERM',
+					theKey, reference, theReportIndex
+				)                                                       // ==>
+			}
+
+			const outside = GeoJSON.Contains(polygons, value)
+			if(outside !== null) {
+				return this.setGeoJSONReport(
+					'kGEOJSON_NOT_WITHIN',
+					theKey, outside, _.get(value, outside, value), theReportIndex,
+					{ "section": reference }
+				)                                                       // ==>
+			}
+		}
+
+		return true                                                     // ==>
+
+	} // checkGeoConstraints()
+
+	/**
+	 * getGeoContainer
+	 *
+	 * This method will return the polygons of the geometry referenced by the
+	 * `geoWithin` constraint, see `checkGeoConstraints()`, or `false` if the
+	 * reference cannot be resolved.
+	 *
+	 * Resolved polygons are kept in the `containers` member, so that each
+	 * reference is read once per validator.
+	 *
+	 * If the reference is not a string, or if the referenced geometry is not
+	 * a valid GeoJSON object featuring polygons, the method will raise an
+	 * exception.
+	 *
+	 * @param theReference {String}: Term global identifier or document handle.
+	 * @param theKey {String|Number|null}: The key to the value in the container.
+	 *
+	 * @return {Array|Boolean}: The list of polygons, or `false`.
+	 */
+	getGeoContainer(theReference, theKey)
+	{
+		///
+		// Check reference.
+		///
+		if(!Validator.IsString(theReference)) {
+			throw new Error(
+				`The container constraint is not a term or document reference, in ${theKey}.`
+			)                                                           // ==>
+		}
+		if(this.containers.has(theReference)) {
+			return this.containers.get(theReference)                    // ==>
+		}
+
+		///
+		// Resolve geometry.
+		///
+		let geometry
+		if(theReference.includes('/'))
+		{
+			const document = this.cache.getDocument(theReference)
+			if(document === null) {
+				return false                                            // ==>
+			}
+			geometry = (document.hasOwnProperty(this.settings.geoGeometry))
+				? document[this.settings.geoGeometry]
+				: document
+		}
+		else
+		{
+			const term = this.cache.getTerm(
+				theReference, this.useCache, this.cacheMissing
+			)
+			if(term === false) {
+				return false                                            // ==>
+			}
+			geometry = _.get(
+				term, [this.settings.sectionRule, this.settings.geoGeometry], null
+			)
+		}
+
+		///
+		// Extract polygons.
+		///
+		const polygons = (GeoJSON.Validate(geometry) === null)
+			? GeoJSON.Polygons(geometry)
+			: []
+		if(polygons.length === 0) {
+			throw new Error(
+				`The container ${theReference} has no valid polygon geometry, in ${theKey}.`
+			)                                                           // ==>
+		}
+
+		this.containers.set(theReference, polygons)
+
+		return polygons                                                 // ==>
+
+	} // getGeoContainer()
+
+
+	/**
+	 * PRIVATE VALIDATION UTILITIES
+	 */
+
+
+	/**
+	 * doResolveEnum
+	 *
+	 * This method will try to resolve the current value into a valid
+	 * enumeration by testing if the current value corresponds to the value in
+	 * the field set in the current `resolver` property of the current object.
+	 *
+	 * The method will first check if the `resolve` property of the current
+	 * object is set, if that is not the case, the method will return a
+	 * `kVALUE_NOT_TERM` error.
+	 *
+	 * Then it will check if the current value corresponds to the value of the
+	 * code section field whose name is in the `resolver` property of the
+	 * current object, and if the eventual matched term is an enumeration
+	 * belonging to one of the data kinds of the current descriptor. If that id
+	 * the case, the current value will be replaced with the matching term's
+	 * global identifier, the value change will be logged and the method will
+	 * return true.
+	 *
+	 * If the value cannot be resolved, the method will return a
+	 * `kVALUE_NOT_TERM` error report.
+	 *
+	 * *The method expects the descriptor to have the data kinds section and
+	 * that the value is an array.*
+	 *
+	 * The method will return `true` if resolved, or `false` if not.
+	 *
+	 * @param theContainer {Object}: The value container.
+	 * @param theKey {String|Number|null}: The key to the value in the container.
+	 * @param theSection {Object}: Data or array term section.
+	 * @param theReportIndex {Number}: Container key for value, defaults to null.
+	 *
+	 * @return {Boolean}: `true` if valid, `false` if not.
+	 */
+	doResolveEnum(
+		theContainer,
+		theKey,
+		theSection,
+		theReportIndex)
+	{
+		///
+		// Init local storage.
+		///
+		const value = (theKey !== null)
+			? theContainer[theKey]
+			: theContainer
+
+		///
+		// Check the resolve flag.
+		///
+		if(!this.resolve) {
+			return this.setStatusReport(
+				'kVALUE_NOT_TERM', theKey, value, theReportIndex
+			)                                                           // ==>
+		}
+
+		///
+		// Iterate data kinds.
+		///
+		let resolved = null
+		theSection[this.settings.dataKind].some( (type) => {
+			const terms = this.cache.queryEnumIdentifierByCode(
+				this.resolver, value, type, this.useCache
+			)
+
+			if(terms.length === 1) {
+				resolved = terms[0]
+				return true
+			}
+		})
+
+		///
+		// Found a match.
+		///
+		if(resolved !== null)
+		{
+			///
+			// Replace value.
+			///
+			if(theKey !== null) {
+				theContainer[theKey] = resolved
+			} else {
 				theContainer = resolved
 			}
 
@@ -2672,7 +3427,10 @@ class Validator
 				theKey, value, resolved, theReportIndex
 			)
 
-			return true                                                 // ==>
+			return this.setStatusReport(
+				'kRESOLVED_ENUM_CODE', theKey, value, theReportIndex,
+				{ "resolved": resolved }
+			)                                                           // ==>
 		}
 
 		return this.setStatusReport(
@@ -2699,12 +3457,21 @@ class Validator
 	 * an object refer to one or another object type, that may also require
 	 * different properties...
 	 *
+	 * The caller can instead use the provided reasons list, which will receive
+	 * the reason for which each data kind was rejected: the `kind` global
+	 * identifier, the rule status code constant in `status`, the `rule`
+	 * section name, the rule `properties` and the `offending` properties.
+	 *
 	 * The method will return `true` if valid, or `false` if not.
 	 *
 	 * @param theContainer {Object}: The object container.
 	 * @param theKey {String|Number|null}: The key to the value in the container.
 	 * @param theSection {Object}: Data or array term section.
 	 * @param theReportIndex {Number}: Container key for value, defaults to null.
+	 * @param theReasons {Array}: Receives the rejection reasons, defaults to
+	 *                            an empty array.
+	 * @param theMatch {Object}: Receives the matched data kind term in the
+	 *                           `kind` member, defaults to an empty object.
 	 *
 	 * @return {Boolean}: `true` if valid, `false` if not.
 	 */
@@ -2712,17 +3479,19 @@ class Validator
 		theContainer,
 		theKey,
 		theSection,
-		theReportIndex)
+		theReportIndex,
+		theReasons = [],
+		theMatch = {})
 	{
 		///
 		// Check if the descriptor has a data kind.
 		///
-		if(theSection.hasOwnProperty(module.context.configuration.dataKind))
+		if(theSection.hasOwnProperty(this.settings.dataKind))
 		{
 			///
 			// Handle data kinds.
 			///
-			const kinds = theSection[module.context.configuration.dataKind]
+			const kinds = theSection[this.settings.dataKind]
 			if(Validator.IsArray(kinds))
 			{
 				///
@@ -2746,7 +3515,7 @@ class Validator
 					///
 					// Assert data kind has rule.
 					///
-					if(!term.hasOwnProperty(module.context.configuration.sectionRule))
+					if(!term.hasOwnProperty(this.settings.sectionRule))
 					{
 						throw new Error(
 							`Term ${term._key} is missing the required rule section.`
@@ -2757,7 +3526,7 @@ class Validator
 					///
 					// Assert rule section is an object.
 					///
-					if(!Validator.IsObject(term[module.context.configuration.sectionRule])) {
+					if(!Validator.IsObject(term[this.settings.sectionRule])) {
 						throw new Error(
 							`Term ${term._key} has an invalid rule section.`
 						)                                               // ==>
@@ -2766,12 +3535,22 @@ class Validator
 					///
 					// Validate rule.
 					///
+					const reasons = []
 					if(this.doValidateObjectRule(
-						theContainer, theKey, theSection, theReportIndex, term )
-					){
+						theContainer, theKey, theSection, theReportIndex, term,
+						reasons
+					)){
+						theMatch.kind = term
 						status = true
 						return true
 					}
+
+					///
+					// Collect rejection reasons.
+					///
+					reasons.forEach( (reason) => {
+						theReasons.push({ kind: term._key, ...reason })
+					})
 				})
 
 				return status                                           // ==>
@@ -2799,8 +3578,18 @@ class Validator
 	 * The method expects the rule section to be there and to be an object, it
 	 * will check if the rules section is empty.
 	 *
+	 * The rules are evaluated in this order: required properties, banned
+	 * properties, comparisons, conditional rules and default values. Default
+	 * values are only applied once all the other rules passed, so they cannot
+	 * be used to satisfy them.
+	 *
+	 * Note that rules are evaluated before the object properties are
+	 * validated, so comparisons and conditions apply to the provided values,
+	 * before any resolution.
+	 *
 	 * Note that any error triggered from this method will not set a status
-	 * report: this should be done by the caller.
+	 * report: this should be done by the caller, the reason of the failure is
+	 * added to the provided reasons list.
 	 *
 	 * The method will return `true` if valid, or `false` if not.
 	 *
@@ -2809,6 +3598,8 @@ class Validator
 	 * @param theSection {Object}: Data or array term section.
 	 * @param theReportIndex {Number}: Container key for value, defaults to null.
 	 * @param theObjectType {Object}: The current data kind object.
+	 * @param theReasons {Array}: Receives the failure reason, defaults to an
+	 *                            empty array.
 	 *
 	 * @return {Boolean}: `true` if valid, `false` if not.
 	 */
@@ -2817,12 +3608,13 @@ class Validator
 		theKey,
 		theSection,
 		theReportIndex,
-		theObjectType)
+		theObjectType,
+		theReasons = [])
 	{
 		///
 		// Init local storage.
 		///
-		const rules = theObjectType[module.context.configuration.sectionRule]
+		const rules = theObjectType[this.settings.sectionRule]
 
 		///
 		// Handle empty rule section.
@@ -2832,9 +3624,10 @@ class Validator
 			///
 			// Handle required properties.
 			///
-			if(rules.hasOwnProperty(module.context.configuration.sectionRuleRequired)) {
+			if(rules.hasOwnProperty(this.settings.sectionRuleRequired)) {
 				if(!this.doValidateObjectRuleRequired(
-					theContainer, theKey, theSection, theReportIndex, rules
+					theContainer, theKey, theSection, theReportIndex, rules,
+					theReasons
 				)) {
 					return false                                        // ==>
 				}
@@ -2843,14 +3636,48 @@ class Validator
 			///
 			// Handle banned properties.
 			///
-			if(rules.hasOwnProperty(module.context.configuration.sectionRuleBanned)) {
+			if(rules.hasOwnProperty(this.settings.sectionRuleBanned)) {
 				if(!this.doValidateObjectRuleBanned(
-					theContainer, theKey, theSection, theReportIndex, rules
+					theContainer, theKey, theSection, theReportIndex, rules,
+					theReasons
 				)) {
 					return false                                        // ==>
 				}
 			}
 
+			///
+			// Handle comparisons.
+			///
+			if(rules.hasOwnProperty(this.settings.sectionRuleCompare)) {
+				if(!this.doValidateObjectRuleCompare(
+					theContainer, theKey, theSection, theReportIndex, rules,
+					theReasons
+				)) {
+					return false                                        // ==>
+				}
+			}
+
+			///
+			// Handle conditional rules.
+			///
+			if(rules.hasOwnProperty(this.settings.sectionRuleConditional)) {
+				if(!this.doValidateObjectRuleConditional(
+					theContainer, theKey, theSection, theReportIndex, rules,
+					theObjectType, theReasons
+				)) {
+					return false                                        // ==>
+				}
+			}
+
+			///
+			// Handle default values.
+			///
+			if(rules.hasOwnProperty(this.settings.sectionRuleDefault)) {
+				this.doValidateObjectRuleDefault(
+					theContainer, theKey, theSection, theReportIndex, rules
+				)
+			}
+
 		} // Rules section not empty.
 
 		return true                                                     // ==>
@@ -2866,10 +3693,76 @@ class Validator
 	 * The method will ensure that all required properties are in the object.
 	 *
 	 * The method expects the rule section to be there and to be an object, and
+	 * to contain the required properties section: all its rules are evaluated
+	 * by the RequiredRules class.
+	 *
+	 * Note that any error triggered from this method will not set a status
+	 * report: this should be done by the caller, the reason of each failed
+	 * rule is added to the provided reasons list.
+	 *
+	 * The method will return `true` if valid, or `false` if not.
+	 *
+	 * @param theContainer {Object}: The object container.
+	 * @param theKey {String|Number|null}: The key to the value in the container.
+	 * @param theSection {Object}: Data or array term section.
+	 * @param theReportIndex {Number}: Container key for value, defaults to null.
+	 * @param theObjectRules {Object}: The current data kind rules section.
+	 * @param theReasons {Array}: Receives the failure reasons, defaults to an
+	 *                            empty array.
+	 *
+	 * @return {Boolean}: `true` if valid, `false` if not.
+	 */
+	doValidateObjectRuleRequired(
+		theContainer,
+		theKey,
+		theSection,
+		theReportIndex,
+		theObjectRules,
+		theReasons = [])
+	{
+		///
+		// Init local storage.
+		///
+		const required = theObjectRules[this.settings.sectionRuleRequired]
+		const value = (theKey !== null)
+			? theContainer[theKey]
+			: theContainer
+
+		///
+		// Assert required section is an object.
+		///
+		if(!Validator.IsObject(required)) {
+			throw new Error(
+				`Invalid rule section in ${this.settings.sectionRuleRequired}.`
+			)                                                           // ==>
+		}
+
+		///
+		// Evaluate rules.
+		///
+		const reasons = RequiredRules.Evaluate(
+			required, Object.keys(value), this.settings
+		)
+		theReasons.push(...reasons)
+
+		return (reasons.length === 0)                                   // ==>
+
+	} // doValidateObjectRuleRequired()
+
+	/**
+	 * doValidateObjectRuleBanned
+	 *
+	 * This method will validate the structure of the provided object against
+	 * the required properties in the rules section of the current data kind.
+	 *
+	 * The method will ensure that all required properties are in the object.
+	 *
+	 * The method expects the rule section to be there and to be an object, and
 	 * to contain the required properties section.
 	 *
 	 * Note that any error triggered from this method will not set a status
-	 * report: this should be done by the caller.
+	 * report: this should be done by the caller, the reason of the failure is
+	 * added to the provided reasons list, see `RequiredRules.Reason()`.
 	 *
 	 * The method will return `true` if valid, or `false` if not.
 	 * The method exits on first false.
@@ -2879,182 +3772,439 @@ class Validator
 	 * @param theSection {Object}: Data or array term section.
 	 * @param theReportIndex {Number}: Container key for value, defaults to null.
 	 * @param theObjectRules {Object}: The current data kind rules section.
+	 * @param theReasons {Array}: Receives the failure reason, defaults to an
+	 *                            empty array.
 	 *
 	 * @return {Boolean}: `true` if valid, `false` if not.
 	 */
-	doValidateObjectRuleRequired(
+	doValidateObjectRuleBanned(
 		theContainer,
 		theKey,
 		theSection,
 		theReportIndex,
-		theObjectRules)
+		theObjectRules,
+		theReasons = [])
 	{
 		///
 		// Init local storage.
 		///
-		const required = theObjectRules[module.context.configuration.sectionRuleRequired]
+		const banned = theObjectRules[this.settings.sectionRuleBanned]
 		const value = (theKey !== null)
 			? theContainer[theKey]
 			: theContainer
 
 		///
-		// Handle required.
+		// Handle banned.
 		///
-		let selector = null
 		const properties = Object.keys(value)
-		if(Object.keys(required).length > 0)
+		if(Object.keys(banned).length > 0)
+		{
+			const intersection = banned.filter(item => properties.includes(item))
+			if(intersection.length > 0) {
+				theReasons.push(RequiredRules.Reason(
+					'kBANNED_PROPERTY', this.settings.sectionRuleBanned,
+					banned, intersection
+				))
+				return false                                            // ==>
+			}
+
+		} // Has banned.
+
+		return true                                                     // ==>
+
+	} // doValidateObjectRuleBanned()
+
+	/**
+	 * doValidateObjectRuleCompare
+	 *
+	 * This method will validate the provided object against the comparison
+	 * rules in the rules section of the current data kind.
+	 *
+	 * The comparisons section is a list of rules with the following members:
+	 *
+	 * - `left`: A descriptor, or a list of descriptors whose values are summed.
+	 * - `operator`: One of `==`, `!=`, `<`, `<=`, `>` or `>=`.
+	 * - `right`: A descriptor, or a list of descriptors whose values are
+	 *            summed; or:
+	 * - `value`: A constant number or string.
+	 *
+	 * For example `{"left": "_date_end", "operator": ">=", "right":
+	 * "_date_start"}` or `{"left": ["_pct_a", "_pct_b"], "operator": "==",
+	 * "value": 100}`.
+	 *
+	 * A rule is skipped if none of the descriptors of one of its sides is in
+	 * the object, use the required rules to enforce their presence. Numbers
+	 * are compared with a tolerance for rounding errors, strings are compared
+	 * in lexical order; all other operands cannot be compared. If the left
+	 * operand and the right descriptor are string dates, and the values are
+	 * valid dates, these are compared as intervals, see `Dates.Compare()`:
+	 * this also applies to a constant `value`, if the left operand is a
+	 * string date.
+	 *
+	 * Each failed rule adds a `kCOMPARISON_FAILED` or `kCOMPARISON_INVALID`
+	 * reason to the provided list, with the rule members and the compared
+	 * `values`.
+	 *
+	 * The method will raise an exception if the section is invalid.
+	 *
+	 * The method will return `true` if valid, or `false` if not.
+	 *
+	 * @param theContainer {Object}: The object container.
+	 * @param theKey {String|Number|null}: The key to the value in the container.
+	 * @param theSection {Object}: Data or array term section.
+	 * @param theReportIndex {Number}: Container key for value, defaults to null.
+	 * @param theObjectRules {Object}: The current data kind rules section.
+	 * @param theReasons {Array}: Receives the failure reasons, defaults to an
+	 *                            empty array.
+	 *
+	 * @return {Boolean}: `true` if valid, `false` if not.
+	 */
+	doValidateObjectRuleCompare(
+		theContainer,
+		theKey,
+		theSection,
+		theReportIndex,
+		theObjectRules,
+		theReasons = [])
+	{
+		///
+		// Init local storage.
+		///
+		const selector = this.settings.sectionRuleCompare
+		const comparisons = theObjectRules[selector]
+		const value = (theKey !== null)
+			? theContainer[theKey]
+			: theContainer
+
+		///
+		// Assert comparisons section is an array.
+		///
+		if(!Validator.IsArray(comparisons)) {
+			throw new Error(
+				`Invalid rule section in ${selector}.`
+			)                                                           // ==>
+		}
+
+		///
+		// Evaluate comparisons.
+		///
+		let status = true
+		comparisons.forEach( (rule) =>
 		{
 			///
-			// Require one among set.
+			// Assert rule.
 			///
-			selector = module.context.configuration.selectionDescriptorsOne
-			if(required.hasOwnProperty(selector)) {
-				if(!Validator.IsArray(required[selector])) {
-					throw new Error(
-						`Invalid rule section in ${selector}.`
-					)                                                   // ==>
-				}
-				const intersection = required[selector].filter(item => properties.includes(item))
-				if(intersection.length !== 1) {
-					return false                                        // ==>
-				}
+			const operand = (item) =>
+				Validator.IsString(item) ||
+				(Validator.IsArray(item) && item.length > 0 && item.every(Validator.IsString))
+			if(!Validator.IsObject(rule) ||
+			   !operand(rule.left) ||
+			   !Validator.operators.includes(rule.operator) ||
+			   (rule.hasOwnProperty('right') === rule.hasOwnProperty('value')) ||
+			   (rule.hasOwnProperty('right') && !operand(rule.right)) ||
+			   (rule.hasOwnProperty('value') && !(Validator.IsNumber(rule.value) || Validator.IsString(rule.value)))) {
+				throw new Error(
+					`Invalid rule section in ${selector}.`
+				)                                                       // ==>
 			}
 
 			///
-			// Require one or none among set.
+			// Resolve operands.
 			///
-			selector = module.context.configuration.selectionDescriptorsOneNone
-			if(required.hasOwnProperty(selector)) {
-				if(!Validator.IsArray(required[selector])) {
-					throw new Error(
-						`Invalid rule section in ${selector}.`
-					)                                                   // ==>
-				}
-				const intersection = required[selector].filter(item => properties.includes(item))
-				if(!(intersection.length === 0 || intersection.length === 1)) {
-					return false                                        // ==>
-				}
+			const left = Validator.RuleOperand(rule.left, value)
+			const right = (rule.hasOwnProperty('right'))
+				? Validator.RuleOperand(rule.right, value)
+				: rule.value
+
+			///
+			// Skip missing operands.
+			///
+			if(left === undefined || right === undefined) {
+				return                                                  // ==>
 			}
 
 			///
-			// Require one or more among set.
+			// Compare.
 			///
-			selector = module.context.configuration.selectionDescriptorsAny
-			if(required.hasOwnProperty(selector)) {
-				if(!Validator.IsArray(required[selector])) {
-					throw new Error(
-						`Invalid rule section in ${selector}.`
-					)                                                   // ==>
-				}
-				const intersection = required[selector].filter(item => properties.includes(item))
-				if(intersection.length === 0) {
-					return false                                        // ==>
-				}
+			const descriptors = [].concat(rule.left, rule.right || [])
+			const dates =
+				this.isDateDescriptor(rule.left) &&
+				(!rule.hasOwnProperty('right') || this.isDateDescriptor(rule.right))
+			const result = Validator.CompareValues(left, rule.operator, right, dates)
+			if(result !== true) {
+				status = false
+				theReasons.push(RequiredRules.Reason(
+					(result === null) ? 'kCOMPARISON_INVALID' : 'kCOMPARISON_FAILED',
+					selector, descriptors, descriptors,
+					{ ...rule, values: [ left, right ] }
+				))
 			}
+		})
+
+		return status                                                   // ==>
+
+	} // doValidateObjectRuleCompare()
+
+	/**
+	 * doValidateObjectRuleConditional
+	 *
+	 * This method will validate the provided object against the conditional
+	 * rules in the rules section of the current data kind.
+	 *
+	 * The conditional section is a list of rules with the following members:
+	 *
+	 * - `if`: A dictionary of descriptors and values: the condition is met if
+	 *         all the descriptors are in the object with the provided value.
+	 * - `then`: A rules section, with the same structure as the data kind
+	 *           rules section, that the object must respect when the
+	 *           condition is met.
+	 *
+	 * For example `{"if": {"_collection-method": "_method_wild"}, "then":
+	 * {"_required": {"_selection-descriptors_all": ["_geo"]}}}`.
+	 *
+	 * Each failed rule adds a `kCONDITIONAL_RULE` reason to the provided list,
+	 * with the `condition` and the `reasons` for which the object did not
+	 * respect the rules.
+	 *
+	 * The method will raise an exception if the section is invalid.
+	 *
+	 * The method will return `true` if valid, or `false` if not.
+	 *
+	 * @param theContainer {Object}: The object container.
+	 * @param theKey {String|Number|null}: The key to the value in the container.
+	 * @param theSection {Object}: Data or array term section.
+	 * @param theReportIndex {Number}: Container key for value, defaults to null.
+	 * @param theObjectRules {Object}: The current data kind rules section.
+	 * @param theObjectType {Object}: The current data kind object.
+	 * @param theReasons {Array}: Receives the failure reasons, defaults to an
+	 *                            empty array.
+	 *
+	 * @return {Boolean}: `true` if valid, `false` if not.
+	 */
+	doValidateObjectRuleConditional(
+		theContainer,
+		theKey,
+		theSection,
+		theReportIndex,
+		theObjectRules,
+		theObjectType,
+		theReasons = [])
+	{
+		///
+		// Init local storage.
+		///
+		const selector = this.settings.sectionRuleConditional
+		const conditionals = theObjectRules[selector]
+		const value = (theKey !== null)
+			? theContainer[theKey]
+			: theContainer
+
+		///
+		// Assert conditional section is an array.
+		///
+		if(!Validator.IsArray(conditionals)) {
+			throw new Error(
+				`Invalid rule section in ${selector}.`
+			)                                                           // ==>
+		}
 
+		///
+		// Evaluate conditional rules.
+		///
+		let status = true
+		conditionals.forEach( (rule) =>
+		{
 			///
-			// Require one or none from each set.
+			// Assert rule.
 			///
-			selector = module.context.configuration.selectionDescriptorsAnyOne
-			if(required.hasOwnProperty(selector)) {
-				if(!Validator.IsArray(required[selector])) {
-					throw new Error(
-						`Invalid rule section in ${theKey}.`
-					)                                                   // ==>
-				}
-				let status = true
-				required[selector].forEach( (choice) => {
-					if(!Validator.IsArray(choice)) {
-						throw new Error(
-							`Invalid rule section in ${theKey}.`
-						)                                               // ==>
-					}
-					const intersection = choice.filter(item => properties.includes(item))
-					if(intersection.length > 1) {
-						status = false
-						return true
-					}
-				})
+			if(!Validator.IsObject(rule) ||
+			   !Validator.IsObject(rule.if) ||
+			   !Validator.IsObject(rule.then)) {
+				throw new Error(
+					`Invalid rule section in ${selector}.`
+				)                                                       // ==>
 			}
 
 			///
-			// Require all from set.
+			// Check condition.
 			///
-			selector = module.context.configuration.selectionDescriptorsAll
-			if(required.hasOwnProperty(selector)) {
-				if(!Validator.IsArray(required[selector])) {
-					throw new Error(
-						`Invalid rule section in ${selector}.`
-					)                                                   // ==>
-				}
-				const intersection = required[selector].filter(item => properties.includes(item))
-				if(intersection.length !== required[selector].length) {
-					return false                                        // ==>
+			const condition = Object.entries(rule.if).every( ([descriptor, expected]) =>
+				value.hasOwnProperty(descriptor) && _.isEqual(value[descriptor], expected)
+			)
+
+			///
+			// Apply rules.
+			///
+			if(condition) {
+				const reasons = []
+				if(!this.doValidateObjectRule(
+					theContainer, theKey, theSection, theReportIndex,
+					{ ...theObjectType, [this.settings.sectionRule]: rule.then },
+					reasons
+				)) {
+					status = false
+					theReasons.push(RequiredRules.Reason(
+						'kCONDITIONAL_RULE', selector,
+						Object.keys(rule.if),
+						_.uniq(_.flatMap(reasons, (reason) => reason.offending)),
+						{ condition: rule.if, reasons: reasons }
+					))
 				}
 			}
+		})
+
+		return status                                                   // ==>
+
+	} // doValidateObjectRuleConditional()
+
+	/**
+	 * doValidateObjectRuleDefault
+	 *
+	 * This method will apply the default values in the rules section of the
+	 * current data kind to the provided object.
+	 *
+	 * The default values section is a dictionary in which the keys are the
+	 * descriptor global identifiers and the values their default values. If
+	 * the `fillDefaults` flag is set, each descriptor missing from the object
+	 * will be set to a copy of its default value, which will be logged in
+	 * the report changes; the value will then be validated with the other
+	 * object properties.
+	 *
+	 * The method expects the rule section to be there and to be an object, and
+	 * to contain the default values section: it will raise an exception if
+	 * the section is not an object.
+	 *
+	 * @param theContainer {Object}: The object container.
+	 * @param theKey {String|Number|null}: The key to the value in the container.
+	 * @param theSection {Object}: Data or array term section.
+	 * @param theReportIndex {Number}: Container key for value, defaults to null.
+	 * @param theObjectRules {Object}: The current data kind rules section.
+	 */
+	doValidateObjectRuleDefault(
+		theContainer,
+		theKey,
+		theSection,
+		theReportIndex,
+		theObjectRules)
+	{
+		///
+		// Init local storage.
+		///
+		const defaults = theObjectRules[this.settings.sectionRuleDefault]
+		const value = (theKey !== null)
+			? theContainer[theKey]
+			: theContainer
+
+		///
+		// Assert defaults section is an object.
+		///
+		if(!Validator.IsObject(defaults)) {
+			throw new Error(
+				`Invalid rule section in ${this.settings.sectionRuleDefault}.`
+			)                                                           // ==>
+		}
+
+		///
+		// Fill missing properties.
+		///
+		if(this.fillDefaults)
+		{
+			Object.keys(defaults).forEach( (property) => {
+				if(!value.hasOwnProperty(property))
+				{
+					///
+					// Set default value.
+					///
+					value[property] = _.cloneDeep(defaults[property])
+
+					///
+					// Log change.
+					///
+					this.traverse(property, property, () => {
+						this.logResolvedValues(
+							property, null, value[property], theReportIndex
+						)
 
-		} // Has required.
+						return this.setStatusReport(
+							'kDEFAULT_VALUE',
+							property, value[property], theReportIndex
+						)
+					})
+				}
+			})
 
-		return true                                                     // ==>
+		} // Fill defaults.
 
-	} // doValidateObjectRuleRequired()
+	} // doValidateObjectRuleDefault()
 
 	/**
-	 * doValidateObjectRuleBanned
-	 *
-	 * This method will validate the structure of the provided object against
-	 * the required properties in the rules section of the current data kind.
-	 *
-	 * The method will ensure that all required properties are in the object.
+	 * setObjectStructureReport
 	 *
-	 * The method expects the rule section to be there and to be an object, and
-	 * to contain the required properties section.
+	 * This method will set the status report of an object that does not
+	 * respect the rules of its data kinds.
 	 *
-	 * Note that any error triggered from this method will not set a status
-	 * report: this should be done by the caller.
+	 * If there is a single reason, that is, the descriptor has a single data
+	 * kind that failed a single rule, the report will have the status of the
+	 * failed rule and the `kind`, `rule`, `properties` and `offending`
+	 * members. Otherwise, the status will be `kINVALID_OBJECT_STRUCTURE` and
+	 * the `reasons` member will hold, for each failed rule of each data kind,
+	 * a report with the status of the rule and the above members.
 	 *
-	 * The method will return `true` if valid, or `false` if not.
-	 * The method exits on first false.
+	 * In all cases the report will have the `section` member with the data
+	 * section.
 	 *
-	 * @param theContainer {Object}: The object container.
 	 * @param theKey {String|Number|null}: The key to the value in the container.
+	 * @param theValue {Object}: The object.
 	 * @param theSection {Object}: Data or array term section.
 	 * @param theReportIndex {Number}: Container key for value, defaults to null.
-	 * @param theObjectRules {Object}: The current data kind rules section.
+	 * @param theReasons {Array}: The rejection reasons.
 	 *
-	 * @return {Boolean}: `true` if valid, `false` if not.
+	 * @return {Boolean}: Always `false`.
 	 */
-	doValidateObjectRuleBanned(
-		theContainer,
+	setObjectStructureReport(
 		theKey,
+		theValue,
 		theSection,
 		theReportIndex,
-		theObjectRules)
+		theReasons)
 	{
 		///
-		// Init local storage.
+		// Convert reasons, including those of conditional rules.
 		///
-		const banned = theObjectRules[module.context.configuration.sectionRuleBanned]
-		const value = (theKey !== null)
-			? theContainer[theKey]
-			: theContainer
+		const convert = ({ status, reasons, ...reason }) => {
+			return (reasons === undefined)
+				? reason
+				: { ...reason, reasons: reasons.map(report) }
+		}
+		const report = (reason) => {
+			return {
+				...new ValidationReport(reason.status, '', null, this.language),
+				...convert(reason)
+			}
+		}
 
 		///
-		// Handle banned.
+		// Handle single reason.
 		///
-		const properties = Object.keys(value)
-		if(Object.keys(banned).length > 0)
-		{
-			const intersection = banned.filter(item => properties.includes(item))
-			if(intersection.length > 0) {
-				return false                                            // ==>
-			}
+		if(theReasons.length === 1) {
+			return this.setStatusReport(
+				theReasons[0].status, theKey, theValue, theReportIndex,
+				{ "section": theSection, ...convert(theReasons[0]) }
+			)                                                           // ==>
+		}
 
-		} // Has banned.
+		///
+		// Handle multiple reasons.
+		///
+		const reasons = theReasons.map(report)
 
-		return true                                                     // ==>
+		return this.setStatusReport(
+			'kINVALID_OBJECT_STRUCTURE',
+			theKey, theValue, theReportIndex,
+			{ "section": theSection, "reasons": reasons }
+		)                                                               // ==>
 
-	} // doValidateObjectRuleBanned()
+	} // setObjectStructureReport()
 
 
 	/**
@@ -3089,12 +4239,12 @@ class Validator
 		///
 		// Check range.
 		///
-		if(theSection.hasOwnProperty(module.context.configuration.rangeNumber))
+		if(theSection.hasOwnProperty(this.settings.rangeNumber))
 		{
 			///
 			// Init local storage.
 			///
-			const range = theSection[module.context.configuration.rangeNumber]
+			const range = theSection[this.settings.rangeNumber]
 			const value = (theKey !== null)
 				? theContainer[theKey]
 				: theContainer
@@ -3104,8 +4254,8 @@ class Validator
 			///
 			if(Validator.IsObject(range))
 			{
-				if(range.hasOwnProperty(module.context.configuration.rangeNumberMinInclusive)) {
-					if(value < range[module.context.configuration.rangeNumberMinInclusive]) {
+				if(range.hasOwnProperty(this.settings.rangeNumberMinInclusive)) {
+					if(value < range[this.settings.rangeNumberMinInclusive]) {
 						return this.setStatusReport(
 								'kVALUE_LOW_RANGE',
 								theKey, value, theReportIndex,
@@ -3114,8 +4264,8 @@ class Validator
 					}
 				}
 
-				if(range.hasOwnProperty(module.context.configuration.rangeNumberMinExclusive)) {
-					if(value <= range[module.context.configuration.rangeNumberMinExclusive]) {
+				if(range.hasOwnProperty(this.settings.rangeNumberMinExclusive)) {
+					if(value <= range[this.settings.rangeNumberMinExclusive]) {
 						return this.setStatusReport(
 							'kVALUE_LOW_RANGE',
 							theKey, value, theReportIndex,
@@ -3124,8 +4274,8 @@ class Validator
 					}
 				}
 
-				if(range.hasOwnProperty(module.context.configuration.rangeNumberMaxInclusive)) {
-					if(value > range[module.context.configuration.rangeNumberMaxInclusive]) {
+				if(range.hasOwnProperty(this.settings.rangeNumberMaxInclusive)) {
+					if(value > range[this.settings.rangeNumberMaxInclusive]) {
 						return this.setStatusReport(
 							'kVALUE_HIGH_RANGE',
 							theKey, value, theReportIndex,
@@ -3134,8 +4284,8 @@ class Validator
 					}
 				}
 
-				if(range.hasOwnProperty(module.context.configuration.rangeNumberMaxExclusive)) {
-					if(value >= range[module.context.configuration.rangeNumberMaxExclusive]) {
+				if(range.hasOwnProperty(this.settings.rangeNumberMaxExclusive)) {
+					if(value >= range[this.settings.rangeNumberMaxExclusive]) {
 						return this.setStatusReport(
 							'kVALUE_HIGH_RANGE',
 							theKey, value, theReportIndex,
@@ -3185,12 +4335,12 @@ class Validator
 		///
 		// Check range.
 		///
-		if(theSection.hasOwnProperty(module.context.configuration.rangeString))
+		if(theSection.hasOwnProperty(this.settings.rangeString))
 		{
 			///
 			// Init local storage.
 			///
-			const range = theSection[module.context.configuration.rangeString]
+			const range = theSection[this.settings.rangeString]
 			const value = (theKey !== null)
 				? theContainer[theKey]
 				: theContainer
@@ -3200,8 +4350,8 @@ class Validator
 			///
 			if(Validator.IsObject(range))
 			{
-				if(range.hasOwnProperty(module.context.configuration.rangeStringMinInclusive)) {
-					if(value < range[module.context.configuration.rangeStringMinInclusive]) {
+				if(range.hasOwnProperty(this.settings.rangeStringMinInclusive)) {
+					if(value < range[this.settings.rangeStringMinInclusive]) {
 						return this.setStatusReport(
 							'kVALUE_LOW_RANGE',
 							theKey, value, theReportIndex,
@@ -3210,8 +4360,8 @@ class Validator
 					}
 				}
 
-				if(range.hasOwnProperty(module.context.configuration.rangeStringMinExclusive)) {
-					if(value <= range[module.context.configuration.rangeStringMinExclusive]) {
+				if(range.hasOwnProperty(this.settings.rangeStringMinExclusive)) {
+					if(value <= range[this.settings.rangeStringMinExclusive]) {
 						return this.setStatusReport(
 							'kVALUE_LOW_RANGE',
 							theKey, value, theReportIndex,
@@ -3220,8 +4370,8 @@ class Validator
 					}
 				}
 
-				if(range.hasOwnProperty(module.context.configuration.rangeStringMaxInclusive)) {
-					if(value > range[module.context.configuration.rangeStringMaxInclusive]) {
+				if(range.hasOwnProperty(this.settings.rangeStringMaxInclusive)) {
+					if(value > range[this.settings.rangeStringMaxInclusive]) {
 						return this.setStatusReport(
 							'kVALUE_HIGH_RANGE',
 							theKey, value, theReportIndex,
@@ -3230,8 +4380,8 @@ class Validator
 					}
 				}
 
-				if(range.hasOwnProperty(module.context.configuration.rangeStringMaxExclusive)) {
-					if(value >= range[module.context.configuration.rangeStringMaxExclusive]) {
+				if(range.hasOwnProperty(this.settings.rangeStringMaxExclusive)) {
+					if(value >= range[this.settings.rangeStringMaxExclusive]) {
 						return this.setStatusReport(
 							'kVALUE_HIGH_RANGE',
 							theKey, value, theReportIndex,
@@ -3263,6 +4413,16 @@ class Validator
 	 * that is the case, it will validate the value range. If that is not the
 	 * case, the method will return true.
 	 *
+	 * Both the value and the range bounds may be partial dates, which are
+	 * compared as intervals, see the Dates class: the whole value interval
+	 * must be within range. This means that the value cannot start before an
+	 * inclusive minimum, must start after the end of an exclusive minimum,
+	 * cannot end after an inclusive maximum and must end before the start of
+	 * an exclusive maximum. For instance, `2023` is within the inclusive
+	 * `202301`..`2023` range, but not within the `20230601` inclusive minimum.
+	 *
+	 * Range bounds that are not valid dates raise an exception.
+	 *
 	 * The method will return `true` if there were no errors, or `false`.
 	 *
 	 * @param theContainer {Object}: The value container.
@@ -3281,12 +4441,12 @@ class Validator
 		///
 		// Check range.
 		///
-		if(theSection.hasOwnProperty(module.context.configuration.rangeDate))
+		if(theSection.hasOwnProperty(this.settings.rangeDate))
 		{
 			///
 			// Init local storage.
 			///
-			const range = theSection[module.context.configuration.rangeDate]
+			const range = theSection[this.settings.rangeDate]
 			const value = (theKey !== null)
 				? theContainer[theKey]
 				: theContainer
@@ -3296,18 +4456,32 @@ class Validator
 			///
 			if(Validator.IsObject(range))
 			{
-				if(range.hasOwnProperty(module.context.configuration.rangeDateMinInclusive)) {
-					if(value < range[module.context.configuration.rangeDateMinInclusive]) {
+				///
+				// Init intervals.
+				///
+				const [ start, end ] = Dates.Interval(value)
+				const bound = (theBound) => {
+					const date = range[theBound]
+					if(!Validator.IsString(date) || Dates.Check(date) !== null) {
+						throw new Error(
+							`The date range bound ${theBound} is not a valid date, in ${theKey}.`
+						)                                               // ==>
+					}
+					return Dates.Interval(date)                         // ==>
+				}
+
+				if(range.hasOwnProperty(this.settings.rangeDateMinInclusive)) {
+					if(start < bound(this.settings.rangeDateMinInclusive)[0]) {
 						return this.setStatusReport(
 							'kVALUE_LOW_RANGE',
 							theKey, value, theReportIndex,
 							{ "section": range }
-						)                                           // ==>
+						)                                               // ==>
 					}
 				}
 
-				if(range.hasOwnProperty(module.context.configuration.rangeDateMinExclusive)) {
-					if(value <= range[module.context.configuration.rangeDateMinExclusive]) {
+				if(range.hasOwnProperty(this.settings.rangeDateMinExclusive)) {
+					if(start <= bound(this.settings.rangeDateMinExclusive)[1]) {
 						return this.setStatusReport(
 							'kVALUE_LOW_RANGE',
 							theKey, value, theReportIndex,
@@ -3316,8 +4490,8 @@ class Validator
 					}
 				}
 
-				if(range.hasOwnProperty(module.context.configuration.rangeDateMaxInclusive)) {
-					if(value > range[module.context.configuration.rangeDateMaxInclusive]) {
+				if(range.hasOwnProperty(this.settings.rangeDateMaxInclusive)) {
+					if(end > bound(this.settings.rangeDateMaxInclusive)[1]) {
 						return this.setStatusReport(
 							'kVALUE_HIGH_RANGE',
 							theKey, value, theReportIndex,
@@ -3326,8 +4500,8 @@ class Validator
 					}
 				}
 
-				if(range.hasOwnProperty(module.context.configuration.rangeDateMaxExclusive)) {
-					if(value >= range[module.context.configuration.rangeDateMaxExclusive]) {
+				if(range.hasOwnProperty(this.settings.rangeDateMaxExclusive)) {
+					if(end >= bound(this.settings.rangeDateMaxExclusive)[0]) {
 						return this.setStatusReport(
 							'kVALUE_HIGH_RANGE',
 							theKey, value, theReportIndex,
@@ -3377,12 +4551,12 @@ class Validator
 		///
 		// Check if elements are checked.
 		///
-		if(theSection.hasOwnProperty(module.context.configuration.arrayElements))
+		if(theSection.hasOwnProperty(this.settings.arrayElements))
 		{
 			///
 			// Check elements count.
 			///
-			const elements = theSection[module.context.configuration.arrayElements]
+			const elements = theSection[this.settings.arrayElements]
 			if(Validator.IsObject(elements))
 			{
 				///
@@ -3395,8 +4569,8 @@ class Validator
 				///
 				// Minimum elements.
 				///
-				if(elements.hasOwnProperty(module.context.configuration.arrayMinElements)
-					&& value.length < elements[module.context.configuration.arrayMinElements])
+				if(elements.hasOwnProperty(this.settings.arrayMinElements)
+					&& value.length < elements[this.settings.arrayMinElements])
 				{
 					return this.setStatusReport(
 						'kARRAY_HAS_TOO_FEW_ELEMENTS',
@@ -3409,8 +4583,8 @@ class Validator
 				///
 				// Maximum elements.
 				///
-				if(elements.hasOwnProperty(module.context.configuration.arrayMaxElements)
-					&& value.length > elements[module.context.configuration.arrayMaxElements])
+				if(elements.hasOwnProperty(this.settings.arrayMaxElements)
+					&& value.length > elements[this.settings.arrayMaxElements])
 				{
 					return this.setStatusReport(
 						'kARRAY_HAS_TOO_MANY_ELEMENTS',
@@ -3462,12 +4636,12 @@ class Validator
 		///
 		// Check regular expression.
 		///
-		if(theSection.hasOwnProperty(module.context.configuration.regularExpression))
+		if(theSection.hasOwnProperty(this.settings.regularExpression))
 		{
 			//
 			// Instantiate regular expression.
 			//
-			const regexpstr = theSection[module.context.configuration.regularExpression]
+			const regexpstr = theSection[this.settings.regularExpression]
 			const regexp = new RegExp(regexpstr)
 
 			//
@@ -3500,6 +4674,16 @@ class Validator
 	 *
 	 * This method can be used to set a status report.
 	 *
+	 * Error reports receive the location of the offending value, see
+	 * `locationPointer()` and `locationDescriptors()`.
+	 *
+	 * Statuses listed in the `warnings` option get the `warning` severity:
+	 * warnings and informational statuses do not replace the current report,
+	 * they are added to its `notices` list, see `addNotice()`.
+	 *
+	 * In exhaustive mode error reports do not replace the current report, they
+	 * are appended to its `errors` list, see `addErrorReport()`.
+	 *
 	 * @param theStatus {String}: The status code, defaults to idle.
 	 * @param theDescriptor {String}: The descriptor global identifier, defaults
 	 *                                to empty string.
@@ -3508,7 +4692,8 @@ class Validator
 	 * @param theCustomFields {Object}: Key/value dictionary to add to the
 	 *                                  report, defaults to empty object.
 	 *
-	 * @return {Boolean}: `true`, if the status code is `0`, `false` if not.
+	 * @return {Boolean}: `true`, if the status code is `0` or the status is
+	 *                    not an error, `false` if not.
 	 */
 	setStatusReport(
 		theStatus = 'kOK',
@@ -3525,7 +4710,8 @@ class Validator
 				theStatus,
 				theDescriptor,
 				theValue,
-				this.language
+				this.language,
+				(this.warnings.includes(theStatus)) ? 'warning' : null
 			)
 
 		///
@@ -3535,18 +4721,343 @@ class Validator
 			report[key] = value
 		})
 
+		///
+		// Add error location.
+		///
+		if(report.status.code !== 0) {
+			report.pointer = this.locationPointer()
+			report.descriptors = this.locationDescriptors()
+		}
+
+		///
+		// Collect warnings and informations.
+		///
+		if(report.status.code !== 0 && report.status.severity !== 'error') {
+			return this.addNotice(report, theReportIndex)               // ==>
+		}
+
+		///
+		// Collect errors in exhaustive mode.
+		///
+		if(this.exhaustive && report.status.code !== 0) {
+			return this.addErrorReport(report, theReportIndex)          // ==>
+		}
+
 		///
 		// Store report.
 		///
+		this.storeReport(report, theReportIndex)
+
+		return (report.status.code === 0)                               // ==>
+
+	} // setStatusReport()
+
+	/**
+	 * storeReport
+	 *
+	 * This method will replace the current report with the provided one,
+	 * keeping the logged changes, patch operations and notices of the
+	 * replaced report: these describe updates already applied to the value,
+	 * which remain whatever the outcome of the validation.
+	 *
+	 * @param theReport {ValidationReport}: The new report.
+	 * @param theReportIndex {Number}: Report index, defaults to null.
+	 */
+	storeReport(theReport, theReportIndex = null)
+	{
+		///
+		// Keep current report logs.
+		///
+		const current = (theReportIndex !== null)
+			? this.report[theReportIndex]
+			: this.report
+		if(current !== undefined) {
+			[ 'changes', 'patch', 'notices' ].forEach( (member) => {
+				if(current.hasOwnProperty(member)) {
+					theReport[member] = current[member]
+				}
+			})
+		}
+
+		///
+		// Replace report.
+		///
 		if(theReportIndex !== null) {
-			this.report[theReportIndex] = report
+			this.report[theReportIndex] = theReport
 		} else {
-			this.report = report
+			this.report = theReport
 		}
 
-		return (report.status.code === 0)                               // ==>
+	} // storeReport()
 
-	} // setStatusReport()
+	/**
+	 * setGeoJSONReport
+	 *
+	 * This method will set the status report of a GeoJSON object failure,
+	 * locating the offending member: the path, relative to the object, is
+	 * added to the current location, see `traverse()`.
+	 *
+	 * @param theStatus {String}: The status code.
+	 * @param theKey {String|Number|null}: The key to the value in the container.
+	 * @param thePath {Array}: The offending member path.
+	 * @param theValue {*}: The offending member value.
+	 * @param theReportIndex {Number}: Report index, defaults to null.
+	 * @param theCustomFields {Object}: Key/value dictionary to add to the
+	 *                                  report, defaults to empty object.
+	 *
+	 * @return {Boolean}: `true`, if the status code is `0` or the status is
+	 *                    not an error, `false` if not.
+	 */
+	setGeoJSONReport(
+		theStatus,
+		theKey,
+		thePath,
+		theValue,
+		theReportIndex = null,
+		theCustomFields = {})
+	{
+		const report = thePath.reduceRight(
+			(next, token) => () => this.traverse(token, null, next),
+			() => this.setStatusReport(
+				theStatus, theKey, theValue, theReportIndex, theCustomFields
+			)
+		)
+
+		return report()                                                 // ==>
+
+	} // setGeoJSONReport()
+
+	/**
+	 * setModifiedStatus
+	 *
+	 * This method will set the `kMODIFIED_VALUE` status in the reports whose
+	 * status is idle and which logged changes, to signal that the validated
+	 * value was updated: it is called once validation is complete.
+	 *
+	 * In `dry-run` mode nothing is updated, so the status is left idle: the
+	 * proposed changes are only found in the `changes` and `patch` members.
+	 */
+	setModifiedStatus()
+	{
+		if(this.mode === 'dry-run') {
+			return                                                      // ==>
+		}
+
+		const reports = (Validator.IsArray(this.report))
+			? this.report
+			: [ this.report ]
+
+		reports.forEach( (report) => {
+			if(report !== undefined &&
+			   report.status.code === 0 &&
+			   report.hasOwnProperty('changes')) {
+				report.status = new ValidationReport(
+					'kMODIFIED_VALUE', '', null, this.language
+				).status
+			}
+		})
+
+	} // setModifiedStatus()
+
+	/**
+	 * addErrorReport
+	 *
+	 * This method is used in exhaustive mode to add an error report to the
+	 * current report.
+	 *
+	 * The first error replaces the idle report, see `storeReport()`, and the
+	 * report receives the `errors` member, a list holding a copy of the
+	 * error; the following errors are appended to the list, until the
+	 * `maxErrors` limit is reached.
+	 *
+	 * @param theReport {ValidationReport}: The error report.
+	 * @param theReportIndex {Number}: Report index, defaults to null.
+	 *
+	 * @return {Boolean}: Always `false`.
+	 */
+	addErrorReport(theReport, theReportIndex = null)
+	{
+		///
+		// Get current report.
+		///
+		const current = (theReportIndex !== null)
+			? this.report[theReportIndex]
+			: this.report
+
+		///
+		// Handle first error.
+		///
+		if(current === undefined || !current.hasOwnProperty('errors'))
+		{
+			theReport.errors = [ { ...theReport } ]
+			this.storeReport(theReport, theReportIndex)
+		}
+
+		///
+		// Append error.
+		///
+		else if(this.maxErrors === 0 || current.errors.length < this.maxErrors) {
+			current.errors.push({ ...theReport })
+		}
+
+		return false                                                    // ==>
+
+	} // addErrorReport()
+
+	/**
+	 * addNotice
+	 *
+	 * This method will add the provided warning or informational report to
+	 * the `notices` list of the current report.
+	 *
+	 * @param theReport {ValidationReport}: The notice report.
+	 * @param theReportIndex {Number}: Report index, defaults to null.
+	 *
+	 * @return {Boolean}: Always `true`.
+	 */
+	addNotice(theReport, theReportIndex = null)
+	{
+		const current = (theReportIndex !== null)
+			? this.report[theReportIndex]
+			: this.report
+
+		if(current.hasOwnProperty('notices')) {
+			current.notices.push(theReport)
+		} else {
+			current.notices = [ theReport ]
+		}
+
+		return true                                                     // ==>
+
+	} // addNotice()
+
+	/**
+	 * hasNotices
+	 *
+	 * This method will return `true` if the current report, or any of the
+	 * current reports, has notices with at least the provided severity.
+	 *
+	 * @param theThreshold {String}: The severity threshold.
+	 *
+	 * @return {Boolean}: `true` if there are such notices.
+	 */
+	hasNotices(theThreshold)
+	{
+		const reports = (Array.isArray(this.report))
+			? this.report
+			: [ this.report ]
+
+		return reports.some( (report) =>
+			report.hasOwnProperty('notices') &&
+			report.notices.some( (notice) =>
+				ValidationReport.IsSeverity(notice.status.severity, theThreshold)
+			)
+		)                                                               // ==>
+
+	} // hasNotices()
+
+	/**
+	 * continueValidation
+	 *
+	 * This method should be called after an error, to know whether the
+	 * validation of the current value should continue: this is the case only
+	 * in exhaustive mode, if the `maxErrors` limit was not reached.
+	 *
+	 * @param theReportIndex {Number}: Report index, defaults to null.
+	 *
+	 * @return {Boolean}: `true` to continue, `false` to stop.
+	 */
+	continueValidation(theReportIndex = null)
+	{
+		if(!this.exhaustive) {
+			return false                                                // ==>
+		}
+
+		if(this.maxErrors === 0) {
+			return true                                                 // ==>
+		}
+
+		const current = (theReportIndex !== null)
+			? this.report[theReportIndex]
+			: this.report
+
+		return (
+			!current.hasOwnProperty('errors') ||
+			current.errors.length < this.maxErrors
+		)                                                               // ==>
+
+	} // continueValidation()
+
+	/**
+	 * traverse
+	 *
+	 * This method will add the provided step to the current location, call
+	 * the provided function and restore the location, returning the function
+	 * result.
+	 *
+	 * The step is the key of the value in its container, which becomes a
+	 * reference token of the location pointer, and the eventual descriptor
+	 * of the value: provide `null` for the key if the step should not appear
+	 * in the pointer and `null` for the descriptor if the value is an element
+	 * of a container.
+	 *
+	 * @param theToken {String|Number|null}: The value key in its container.
+	 * @param theDescriptor {String|null}: The value descriptor global identifier.
+	 * @param theCallback {Function}: The validation function.
+	 *
+	 * @return {Boolean}: The function result.
+	 */
+	traverse(theToken, theDescriptor, theCallback)
+	{
+		this.location.push({ token: theToken, descriptor: theDescriptor })
+		const status = theCallback()
+		this.location.pop()
+
+		return status                                                   // ==>
+
+	} // traverse()
+
+	/**
+	 * locationPointer
+	 *
+	 * This method will return the current location as an RFC 6901 JSON
+	 * Pointer, relative to the validated value: when validating a list of
+	 * objects or zipped values the pointer is relative to the element
+	 * corresponding to the report, and an empty string is the value itself.
+	 *
+	 * Note that errors on dictionary keys point to the dictionary entry.
+	 *
+	 * @return {String}: The JSON Pointer.
+	 */
+	locationPointer()
+	{
+		return this.location
+			.filter( (step) => step.token !== null )
+			.map( (step) =>
+				'/' + String(step.token)
+					.replace(/~/g, '~0')
+					.replace(/\//g, '~1')
+			)
+			.join('')                                                   // ==>
+
+	} // locationPointer()
+
+	/**
+	 * locationDescriptors
+	 *
+	 * This method will return the list of descriptor global identifiers
+	 * traversed to reach the current location, from the outermost to the
+	 * innermost one.
+	 *
+	 * @return {[String]}: The descriptors chain.
+	 */
+	locationDescriptors()
+	{
+		return this.location
+			.filter( (step) => step.descriptor !== null )
+			.map( (step) => step.descriptor )                           // ==>
+
+	} // locationDescriptors()
 
 	/**
 	 * logResolvedValues
@@ -3565,6 +5076,11 @@ class Validator
 	 * combination between descriptor and value, and the value is the log
 	 * entry.
 	 *
+	 * Each change is also recorded, at the current location, as an RFC 6902
+	 * operation in the `patch` member of the report, see `addPatch()`: a
+	 * missing old value, `null`, records an `add` operation, the others a
+	 * `replace` operation.
+	 *
 	 * @param theDescriptor {String}: The descriptor global identifier.
 	 * @param theOldValue  {String|Number|Object|Array}:
 	 * @param theNewValue {String|Number|Object|Array}:
@@ -3584,10 +5100,10 @@ class Validator
 		///
 		// Create log key.
 		///
-		if(Validator.IsObject(theOldValue)) {
-			hash = crypto.md5(theDescriptor + "\t" + JSON.stringify(theNewValue))
+		if(Validator.IsObject(theOldValue) || typeof theNewValue === 'object') {
+			hash = Environment.MD5(theDescriptor + "\t" + JSON.stringify(theNewValue))
 		} else {
-			hash = crypto.md5(theDescriptor + "\t" + theNewValue.toString())
+			hash = Environment.MD5(theDescriptor + "\t" + theNewValue.toString())
 		}
 
 		///
@@ -3599,6 +5115,18 @@ class Validator
 			"resolved": theNewValue
 		}
 
+		///
+		// Record patch operation.
+		///
+		this.addPatch(
+			{
+				"op": (theOldValue === null) ? 'add' : 'replace',
+				"path": this.locationPointer(),
+				"value": _.cloneDeep(theNewValue)
+			},
+			theReportIndex
+		)
+
 		///
 		// Set in report.
 		///
@@ -3624,6 +5152,32 @@ class Validator
 
 	} // logResolvedValues()
 
+	/**
+	 * addPatch
+	 *
+	 * This method will append the provided RFC 6902 JSON Patch operation to
+	 * the `patch` member of the current report: the list of operations that,
+	 * applied in order to the validated value, yield the corrected value.
+	 * Operation paths are relative to the validated value, like the report
+	 * `pointer`.
+	 *
+	 * @param theOperation {Object}: The JSON Patch operation.
+	 * @param theReportIndex {Number}: Report index, defaults to null.
+	 */
+	addPatch(theOperation, theReportIndex = null)
+	{
+		const report = (theReportIndex !== null)
+			? this.report[theReportIndex]
+			: this.report
+
+		if(report.hasOwnProperty('patch')) {
+			report.patch.push(theOperation)
+		} else {
+			report.patch = [ theOperation ]
+		}
+
+	} // addPatch()
+
 
 	/**
 	 * STATIC UTILITY METHODS
@@ -3708,13 +5262,14 @@ class Validator
 	 * Note that this method expects the cache to be on.
 	 * @param theTerm {Object}: The value to test.
 	 * @param theEnum {String}: Optional enumeration type.
+	 * @param theSettings {Object}: The service settings.
 	 * @return {Boolean}: `true` if object, `false` if not.
 	 */
-	static IsEnum(theTerm, theEnum = '')
+	static IsEnum(theTerm, theEnum = '', theSettings = Environment.Settings())
 	{
-		if(theTerm.hasOwnProperty(module.context.configuration.sectionPath)) {
+		if(theTerm.hasOwnProperty(theSettings.sectionPath)) {
 			if(theEnum.length > 0) {
-				return theTerm[module.context.configuration.sectionPath]
+				return theTerm[theSettings.sectionPath]
 					.contains(theEnum)								// ==>
 			}
 		}
@@ -3729,12 +5284,13 @@ class Validator
 	 * Note that this method expects the cache to be on.
 	 * @param theTerm {Object}: The value to test.
 	 * @param theEnum {String}: Optional enumeration type.
+	 * @param theSettings {Object}: The service settings.
 	 * @return {Boolean}: `true` if object, `false` if not.
 	 */
-	static IsStruct(theTerm, theEnum = '')
+	static IsStruct(theTerm, theEnum = '', theSettings = Environment.Settings())
 	{
 		return theTerm.hasOwnProperty(
-			module.context.configuration.sectionRule
+			theSettings.sectionRule
 		)															// ==>
 
 	} // Validator::IsStruct()
@@ -3744,16 +5300,97 @@ class Validator
 	 * The method will return `true` if the provided term is a descriptor.
 	 * Note that this method expects the cache to be on.
 	 * @param theTerm {Object}: The value to test.
+	 * @param theSettings {Object}: The service settings.
 	 * @return {Boolean}: `true` if object, `false` if not.
 	 */
-	static IsDescriptor(theTerm)
+	static IsDescriptor(theTerm, theSettings = Environment.Settings())
 	{
 		return theTerm.hasOwnProperty(
-			module.context.configuration.sectionData
+			theSettings.sectionData
 		)															// ==>
 
 	} // Validator::IsDescriptor()
 
+	/**
+	 * RuleOperand
+	 * The method will return the value of a comparison rule operand: the
+	 * value of the descriptor, or the sum of the values of the descriptors
+	 * list; `undefined` if none of the descriptors is in the object.
+	 * @param theOperand {String|Array}: Descriptor or descriptors list.
+	 * @param theObject {Object}: The object.
+	 * @return {*}: The operand value, or `undefined`.
+	 */
+	static RuleOperand(theOperand, theObject)
+	{
+		if(!Validator.IsArray(theOperand)) {
+			return theObject[theOperand]                                // ==>
+		}
+
+		const values = theOperand
+			.filter( (descriptor) => theObject.hasOwnProperty(descriptor) )
+			.map( (descriptor) => theObject[descriptor] )
+		if(values.length === 0) {
+			return undefined                                            // ==>
+		}
+		if(!values.every(Validator.IsNumber)) {
+			return values                                               // ==>
+		}
+
+		return values.reduce( (sum, value) => sum + value, 0 )          // ==>
+
+	} // Validator::RuleOperand()
+
+	/**
+	 * CompareValues
+	 * The method will compare the provided values with the provided operator,
+	 * numbers are considered equal within a tolerance for rounding errors.
+	 * If the values are dates, and both are valid, they are compared as
+	 * intervals, see `Dates.Compare()`.
+	 * @param theLeft {*}: The left value.
+	 * @param theOperator {String}: The comparison operator.
+	 * @param theRight {*}: The right value.
+	 * @param isDate {Boolean}: The values are string dates, defaults to false.
+	 * @return {Boolean|null}: The comparison result, or `null` if the values
+	 *                         are not both numbers or both strings.
+	 */
+	static CompareValues(theLeft, theOperator, theRight, isDate = false)
+	{
+		let order
+		if(isDate &&
+		   Validator.IsString(theLeft) && Dates.Check(theLeft) === null &&
+		   Validator.IsString(theRight) && Dates.Check(theRight) === null) {
+			return Dates.Compare(theLeft, theOperator, theRight)        // ==>
+		} else if(Validator.IsNumber(theLeft) && Validator.IsNumber(theRight)) {
+			const tolerance = 1e-9 * Math.max(1, Math.abs(theLeft), Math.abs(theRight))
+			order = (Math.abs(theLeft - theRight) <= tolerance)
+				? 0
+				: Math.sign(theLeft - theRight)
+		} else if(Validator.IsString(theLeft) && Validator.IsString(theRight)) {
+			order = (theLeft === theRight) ? 0 : ((theLeft < theRight) ? -1 : 1)
+		} else {
+			return null                                                 // ==>
+		}
+
+		switch(theOperator) {
+			case '==': return (order === 0)                             // ==>
+			case '!=': return (order !== 0)                             // ==>
+			case '<':  return (order < 0)                               // ==>
+			case '<=': return (order <= 0)                              // ==>
+			case '>':  return (order > 0)                               // ==>
+			case '>=': return (order >= 0)                              // ==>
+		}
+
+		return null                                                     // ==>
+
+	} // Validator::CompareValues()
+
+	/**
+	 * Static members.
+	 *
+	 * The comparison rule operators.
+	 */
+	static operators = [ '==', '!=', '<', '<=', '>', '>=' ]
+
 } // class: Validator
 
 module.exports = Validator
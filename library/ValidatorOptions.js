@@ -0,0 +1,321 @@
+'use strict'
+
+///
+// Modules.
+///
+const TermsCache = require('./TermsCache')
+const ValidationReport = require('./ValidationReport')
+
+/**
+ * ValidatorOptions
+ *
+ * This class implements the options of the Validator class: it holds the
+ * default value of each option, the registry of named option presets and the
+ * method that checks and resolves the options provided by the caller.
+ *
+ * Options are provided as a key/value dictionary, the following names are
+ * accepted:
+ *
+ * - `preset`: The name of a registered preset: its options will be used as
+ *             the base, the other provided options override them. Defaults to
+ *             `null`, no preset.
+ * - `term`: The global identifier of the value descriptor, if omitted, the
+ *           value must be an object or an array of objects. Defaults to an
+ *           empty string.
+ * - `zip`: Match the descriptor with each element of the value, which must be
+ *          an array. Defaults to `false`.
+ * - `useCache`: Cache resolved terms. Defaults to `true`.
+ * - `cacheMissing`: Cache also terms that could not be resolved. Defaults to
+ *                   `false`.
+ * - `onlyTerms`: Expect all object properties to be descriptors. Defaults to
+ *                `false`.
+ * - `dataType`: Require the data type in all descriptors. Defaults to
+ *               `false`.
+ * - `resolve`: Resolve enumeration codes and timestamps. Defaults to `false`.
+ * - `fillDefaults`: Set missing object properties to the default values
+ *                   declared in the data kind rules. Defaults to `false`.
+ * - `normalizeDates`: Convert recognized free-form dates, such as `2023-05-17`
+ *                     or `May 2023`, to the `YYYY`, `YYYYMM` or `YYYYMMDD`
+ *                     formats. Defaults to `false`.
+ * - `dateOrder`: The day and month order of ambiguous numeric dates being
+ *                normalized, `dmy` or `mdy`. Defaults to `null`, ambiguous
+ *                dates are rejected.
+ * - `requireOffset`: Reject timestamp strings without explicit time zone
+ *                    offset. Defaults to `false`.
+ * - `geoWinding`: Require GeoJSON polygon exterior rings to be
+ *                 counterclockwise and holes clockwise. Defaults to `false`.
+ * - `mode`: What corrections change: `in-place`, the provided value,
+ *           `copy`, a deep copy returned in the validator `corrected`
+ *           member, or `dry-run`, nothing. Defaults to `in-place`.
+ * - `defaultNamespace`: Allow the term namespace to be the default namespace.
+ *                       Defaults to `false`.
+ * - `resolveCode`: The term code section field used to resolve enumeration
+ *                  codes. Defaults to `null`, the `localIdentifier` setting.
+ * - `language`: The report messages language. Defaults to `null`, the
+ *               `language` setting.
+ * - `exhaustive`: Check all properties, array elements and dictionary
+ *                 entries and report all errors, rather than stopping at the
+ *                 first one. Defaults to `false`.
+ * - `maxErrors`: In exhaustive mode, stop checking a value once this number
+ *                of errors was reported. Defaults to `0`, no limit.
+ * - `warnings`: The list of status code constants to report as warnings
+ *               rather than errors, for instance `kUNKNOWN_PROPERTY`, which
+ *               also reports unknown properties when `onlyTerms` is off, or
+ *               the informational `kRESOLVED_ENUM_CODE`,
+ *               `kCONVERTED_TIMESTAMP` and `kNORMALIZED_DATE`. Defaults to an
+ *               empty list.
+ * - `cache`: The TermsCache object used to access the data dictionary.
+ *            Defaults to `null`, the service database.
+ *
+ * The following presets are registered by default:
+ *
+ * - `strict-import`: For loading data: all object properties must be
+ *                    descriptors, all descriptors must have a data type and
+ *                    no value is resolved.
+ * - `lenient-curation`: For checking data being edited: properties that are
+ *                       not descriptors are ignored, the data type is optional,
+ *                       enumeration codes and timestamps are resolved and all
+ *                       errors are reported.
+ *
+ * Unknown option names, invalid option values and unknown presets raise an
+ * exception.
+ */
+class ValidatorOptions
+{
+	/**
+	 * Static members.
+	 *
+	 * Here we store the option defaults and the presets.
+	 */
+	static defaults =
+	{
+		preset: null,
+		term: '',
+		zip: false,
+		useCache: true,
+		cacheMissing: false,
+		onlyTerms: false,
+		dataType: false,
+		resolve: false,
+		fillDefaults: false,
+		normalizeDates: false,
+		dateOrder: null,
+		requireOffset: false,
+		geoWinding: false,
+		mode: 'in-place',
+		defaultNamespace: false,
+		resolveCode: null,
+		language: null,
+		exhaustive: false,
+		maxErrors: 0,
+		warnings: [],
+		cache: null
+	}
+
+	static presets =
+	{
+		"strict-import": {
+			onlyTerms: true,
+			dataType: true,
+			resolve: false
+		},
+		"lenient-curation": {
+			onlyTerms: false,
+			dataType: false,
+			resolve: true,
+			exhaustive: true
+		}
+	}
+
+
+	/**
+	 * STATIC OPTIONS METHODS
+	 */
+
+
+	/**
+	 * Resolve
+	 *
+	 * Use this method to check the provided options and return the full set
+	 * of options: the defaults, overridden by the eventual preset, overridden
+	 * by the provided options.
+	 *
+	 * The method will raise an exception if an option name is unknown, if an
+	 * option value has the wrong type or if the preset is not registered.
+	 *
+	 * @param theOptions {Object}: The options, defaults to an empty object.
+	 *
+	 * @return {Object}: The resolved options.
+	 */
+	static Resolve(theOptions = {})
+	{
+		///
+		// Check options.
+		///
+		ValidatorOptions.Check(theOptions)
+
+		///
+		// Apply preset.
+		///
+		const preset = (theOptions.hasOwnProperty('preset'))
+			? ValidatorOptions.Preset(theOptions.preset)
+			: {}
+
+		return {
+			...ValidatorOptions.defaults,
+			...preset,
+			...theOptions
+		}                                                               // ==>
+
+	} // ValidatorOptions::Resolve()
+
+	/**
+	 * Check
+	 *
+	 * Use this method to check the names and values of the provided options,
+	 * the method will raise an exception on the first invalid option.
+	 *
+	 * @param theOptions {Object}: The options.
+	 */
+	static Check(theOptions)
+	{
+		if(theOptions === null || typeof theOptions !== 'object' || Array.isArray(theOptions)) {
+			throw new Error(
+				"Validator options must be provided as an object."
+			)                                                           // ==>
+		}
+
+		Object.entries(theOptions).forEach( ([name, value]) =>
+		{
+			///
+			// Check name.
+			///
+			if(!ValidatorOptions.defaults.hasOwnProperty(name)) {
+				throw new Error(
+					`Unknown validator option: [${name}], expecting one of ${Object.keys(ValidatorOptions.defaults).join(', ')}.`
+				)                                                       // ==>
+			}
+
+			///
+			// Check value.
+			///
+			let valid
+			switch(name)
+			{
+				case 'preset':
+				case 'resolveCode':
+				case 'language':
+					valid = (value === null || typeof value === 'string')
+					break
+
+				case 'term':
+					valid = (typeof value === 'string')
+					break
+
+				case 'cache':
+					valid = (value === null || value instanceof TermsCache)
+					break
+
+				case 'mode':
+					valid = ['in-place', 'copy', 'dry-run'].includes(value)
+					break
+
+				case 'dateOrder':
+					valid = (value === null || ['dmy', 'mdy'].includes(value))
+					break
+
+				case 'maxErrors':
+					valid = (Number.isInteger(value) && value >= 0)
+					break
+
+				case 'warnings':
+					valid = (
+						Array.isArray(value) &&
+						value.every( (code) =>
+							code !== 'kOK' && ValidationReport.IsStatus(code)
+						)
+					)
+					break
+
+				default:
+					valid = (typeof value === 'boolean')
+					break
+			}
+
+			if(!valid) {
+				throw new Error(
+					`Invalid value for validator option [${name}]: ${JSON.stringify(value)}.`
+				)                                                       // ==>
+			}
+		})
+
+	} // ValidatorOptions::Check()
+
+	/**
+	 * Preset
+	 *
+	 * Use this method to retrieve a copy of the options of the provided
+	 * preset, the method will raise an exception if the preset is not
+	 * registered. A `null` preset name returns an empty object.
+	 *
+	 * @param theName {String|null}: The preset name.
+	 *
+	 * @return {Object}: The preset options.
+	 */
+	static Preset(theName)
+	{
+		if(theName === null) {
+			return {}                                                   // ==>
+		}
+
+		if(!ValidatorOptions.presets.hasOwnProperty(theName)) {
+			throw new Error(
+				`Unknown validator preset: [${theName}].`
+			)                                                           // ==>
+		}
+
+		return { ...ValidatorOptions.presets[theName] }                 // ==>
+
+	} // ValidatorOptions::Preset()
+
+	/**
+	 * SavePreset
+	 *
+	 * Use this method to register, or replace, a named preset. The options are
+	 * checked, they cannot reference another preset or a TermsCache object.
+	 *
+	 * @param theName {String}: The preset name.
+	 * @param theOptions {Object}: The preset options.
+	 */
+	static SavePreset(theName, theOptions)
+	{
+		///
+		// Check options.
+		///
+		ValidatorOptions.Check(theOptions)
+		if(theOptions.hasOwnProperty('preset') || theOptions.hasOwnProperty('cache')) {
+			throw new Error(
+				"Validator presets cannot include the preset and cache options."
+			)                                                           // ==>
+		}
+
+		ValidatorOptions.presets[theName] = { ...theOptions }
+
+	} // ValidatorOptions::SavePreset()
+
+	/**
+	 * Presets
+	 *
+	 * Use this method to retrieve the names of the registered presets.
+	 *
+	 * @return {[String]}: The list of preset names.
+	 */
+	static Presets()
+	{
+		return Object.keys(ValidatorOptions.presets)                    // ==>
+
+	} // ValidatorOptions::Presets()
+
+} // class: ValidatorOptions
+
+module.exports = ValidatorOptions
@@ -1,4 +1,25 @@
 'use strict';
 const { context } = require('@arangodb/locals');
+const TermsCache = require('./library/TermsCache');
 
 context.use('/test', require('./routes/test'), 'test');
+context.use('/cache', require('./routes/cache'), 'cache');
+context.use('/dictionary', require('./routes/dictionary'), 'dictionary');
+
+// The warm-up runs in every V8 context: shared cache backends, such as the
+// collection backend, are only loaded by the first context to find them empty.
+// A failed warm-up must not prevent the service from mounting, the cache is
+// then filled on demand.
+if (context.configuration.cacheWarmUp) {
+  try {
+    const cache = new TermsCache();
+    if (cache.regions.terms.stats().entries > 0) {
+      console.debug('Terms cache warm-up skipped: the cache is already populated.');
+    } else {
+      const report = cache.warmUp(context.configuration.cacheWarmUpEnums);
+      console.info(`Terms cache warm-up: ${report.terms} terms loaded in ${report.elapsed} ms.`);
+    }
+  } catch (error) {
+    console.warn(`Terms cache warm-up failed: ${error.message}`);
+  }
+}
@@ -0,0 +1,286 @@
+'use strict'
+
+///
+// Modules.
+///
+const dd = require('dedent')
+const joi = require('joi')
+const createRouter = require('@arangodb/foxx/router')
+
+///
+// Classes.
+///
+const TermsCache = require('../library/TermsCache')
+
+
+///
+// Router.
+///
+const router = createRouter()
+module.exports = router
+router.tag('cache')
+
+
+/**
+ * Cache administration.
+ *
+ * With the default `memory` cache backend each V8 context of each coordinator
+ * has its own cache, so these handlers only act on, and report about, the
+ * cache of the context serving the request: the other contexts keep their
+ * entries until these expire, or until the revision check flushes them, see
+ * `TermsCache.checkRevisions()`. With the `collection` backend the cache is
+ * shared, only the counters are per context.
+ */
+
+
+/**
+ * Invalidate list of terms.
+ */
+router.post(
+    'invalidateTerms',
+    function (req, res){
+
+        const cache = new TermsCache()
+
+        res.send({ removed: cache.invalidateTerms(req.body) })          // ==>
+
+    }, 'invalidateTerms')
+    .summary('Invalidate terms')
+    .description(dd`
+        Removes the provided terms from the cache, the next request will read
+        them from the database. With the memory cache backend, only the cache
+        of the V8 context serving the request is affected.
+    `)
+    .body(
+        joi.array().items(joi.string()),
+        "List of term global identifiers"
+    )
+    .response(
+        joi.object({ removed: joi.number() }),
+        'Number of removed cache entries.'
+    )
+
+/**
+ * Invalidate enumeration.
+ */
+router.post(
+    'invalidateEnumeration',
+    function (req, res){
+
+        const cache = new TermsCache()
+        const type = req.queryParams.type
+
+        res.send({ removed: cache.invalidateEnumeration(type) })        // ==>
+
+    }, 'invalidateEnumeration')
+    .summary('Invalidate enumeration')
+    .description(dd`
+        Removes from the cache all terms belonging to the provided enumeration
+        type, including the type itself. With the memory cache backend, only
+        the cache of the V8 context serving the request is affected.
+    `)
+    .queryParam(
+        'type',
+        joi.string().required(),
+        "Enumeration type global identifier"
+    )
+    .response(
+        joi.object({ removed: joi.number() }),
+        'Number of removed cache entries.'
+    )
+
+/**
+ * Invalidate cache.
+ */
+router.post(
+    'invalidateAll',
+    function (req, res){
+
+        const cache = new TermsCache()
+
+        res.send({ removed: cache.invalidateAll() })                    // ==>
+
+    }, 'invalidateAll')
+    .summary('Invalidate cache')
+    .description(dd`
+        Removes all entries from the cache. With the memory cache backend, only
+        the cache of the V8 context serving the request is flushed.
+    `)
+    .response(
+        joi.object({ removed: joi.number() }),
+        'Number of removed cache entries.'
+    )
+
+/**
+ * Warm up cache.
+ */
+router.post(
+    'warmUp',
+    function (req, res){
+
+        const cache = new TermsCache()
+
+        res.send(cache.warmUp(req.queryParams.enums))                   // ==>
+
+    }, 'warmUp')
+    .summary('Warm up cache')
+    .description(dd`
+        Preloads all descriptors and object kinds in the cache and, if
+        requested, all enumeration elements. With the memory cache backend,
+        only the cache of the V8 context serving the request is loaded.
+    `)
+    .queryParam(
+        'enums',
+        joi.boolean().default(false),
+        "Load also enumeration elements"
+    )
+    .response(
+        joi.object({
+            terms: joi.number(),
+            descriptors: joi.number(),
+            structures: joi.number(),
+            enumerations: joi.number(),
+            evictions: joi.number(),
+            entries: joi.number(),
+            elapsed: joi.number()
+        }),
+        'Number of loaded terms by type, cache entries and elapsed milliseconds.'
+    )
+
+/**
+ * Cache statistics.
+ */
+router.get(
+    'statistics',
+    function (req, res){
+
+        const cache = new TermsCache()
+
+        res.send(cache.cacheStatistics())                               // ==>
+
+    }, 'statistics')
+    .summary('Cache statistics')
+    .description(dd`
+        Returns the size, limits and counters of each cache region, and the
+        hits, negative hits, misses, database queries and query time of each
+        method. Counters refer to the V8 context serving the request and, with
+        the memory cache backend, so do the region sizes: successive requests
+        may be served by different contexts.
+    `)
+    .response(
+        joi.object({
+            regions: joi.object(),
+            methods: joi.object()
+        }),
+        'Cache region statistics and usage counters by method.'
+    )
+
+/**
+ * Reset cache statistics.
+ */
+router.post(
+    'resetStatistics',
+    function (req, res){
+
+        const cache = new TermsCache()
+        cache.resetStatistics()
+
+        res.send(cache.cacheStatistics())                               // ==>
+
+    }, 'resetStatistics')
+    .summary('Reset cache statistics')
+    .description(dd`
+        Resets all cache counters, the cache contents are kept. Only the
+        counters of the V8 context serving the request are reset.
+    `)
+    .response(
+        joi.object({
+            regions: joi.object(),
+            methods: joi.object()
+        }),
+        'Cache region statistics and usage counters by method.'
+    )
+
+/**
+ * List cached keys.
+ */
+router.get(
+    'keys',
+    function (req, res){
+
+        const cache = new TermsCache()
+        const keys = cache.cacheKeys(
+            req.queryParams.region,
+            req.queryParams.prefix,
+            req.queryParams.limit
+        )
+
+        res.send({ count: keys.length, keys: keys })                    // ==>
+
+    }, 'keys')
+    .summary('List cached keys')
+    .description(dd`
+        Returns the list of keys cached in the provided region, from the least
+        to the most recently used. With the memory cache backend, these are the
+        keys cached by the V8 context serving the request.
+    `)
+    .queryParam(
+        'region',
+        joi.string().valid('terms', 'documents', 'enums', 'collections').default('terms'),
+        "Cache region"
+    )
+    .queryParam(
+        'prefix',
+        joi.string().allow('').default(''),
+        "Only return keys starting with this string"
+    )
+    .queryParam(
+        'limit',
+        joi.number().integer().min(0).default(1000),
+        "Maximum number of keys, 0 for all"
+    )
+    .response(
+        joi.object({
+            count: joi.number(),
+            keys: joi.array().items(joi.string())
+        }),
+        'Number of returned keys and list of keys.'
+    )
+
+/**
+ * Get cache entry.
+ */
+router.get(
+    'key/:key',
+    function (req, res){
+
+        const cache = new TermsCache()
+        const entry = cache.cacheEntry(req.queryParams.region, req.pathParams.key)
+        if(entry === false) {
+            res.throw(404, 'The key is not cached.')                    // ==>
+        }
+
+        res.send(entry)                                                 // ==>
+
+    }, 'key')
+    .summary('Get cache entry')
+    .description(dd`
+        Returns the cached value, its approximate size and its expiration time,
+        without affecting the cache usage order. With the memory cache backend,
+        this is the entry cached by the V8 context serving the request.
+    `)
+    .pathParam('key', joi.string().required(), "Cache key")
+    .queryParam(
+        'region',
+        joi.string().valid('terms', 'documents', 'enums', 'collections').default('terms'),
+        "Cache region"
+    )
+    .response(
+        joi.object({
+            key: joi.string(),
+            value: joi.any(),
+            bytes: joi.number(),
+            expires: joi.number()
+        }),
+        'Cache entry.'
+    )
@@ -0,0 +1,326 @@
+'use strict'
+
+///
+// Modules.
+///
+const dd = require('dedent')
+const joi = require('joi')
+const {db, errors} = require('@arangodb')
+const createRouter = require('@arangodb/foxx/router')
+
+///
+// Classes.
+///
+const TermsCache = require('../library/TermsCache')
+
+///
+// Collections.
+///
+const collection_terms = db._collection(module.context.configuration.collectionTerm)
+const collection_edges = db._collection(module.context.configuration.collectionEdge)
+
+///
+// Constants.
+///
+const ARANGO_NOT_FOUND = errors.ERROR_ARANGO_DOCUMENT_NOT_FOUND.code
+
+
+///
+// Router.
+///
+const router = createRouter()
+module.exports = router
+router.tag('dictionary')
+
+
+/**
+ * Write operations on terms and edges.
+ *
+ * All handlers follow the same pattern: the collection revisions are read
+ * before writing, the write is performed, the affected cache entries are
+ * evicted and the revision of the write is recorded, so that the cache does
+ * not need to be flushed, see `TermsCache.syncRevisions()`.
+ *
+ * Removals do not return the resulting collection revision, so they only
+ * evict the affected entries and let the next revision check flush the cache.
+ *
+ * Changing a term evicts the term; changing an edge evicts its `_from` term,
+ * since the cached term record includes the edge `_path`.
+ */
+
+
+/**
+ * Insert term.
+ */
+router.post(
+    'term',
+    function (req, res){
+
+        const cache = new TermsCache()
+        const revisions = cache.collectionRevisions()
+
+        const meta = collection_terms.insert(req.body)
+        cache.invalidateTerm(meta._key)
+        cache.syncRevisions(revisions, { terms: meta._rev })
+
+        res.send(meta)                                                  // ==>
+
+    }, 'insertTerm')
+    .summary('Insert term')
+    .description(dd`Inserts a term and evicts it from the cache.`)
+    .body(joi.object().required(), "Term record")
+    .response(
+        joi.object(),
+        'Inserted document metadata.'
+    )
+
+/**
+ * Update term.
+ */
+router.patch(
+    'term/:key',
+    function (req, res){
+
+        const cache = new TermsCache()
+        const revisions = cache.collectionRevisions()
+        const key = req.pathParams.key
+
+        try {
+            const meta = collection_terms.update(key, req.body)
+            cache.invalidateTerm(key)
+            cache.syncRevisions(revisions, { terms: meta._rev })
+
+            res.send(meta)                                              // ==>
+
+        } catch (error) {
+            if(!error.isArangoError || error.errorNum !== ARANGO_NOT_FOUND) {
+                throw error                                             // ==>
+            }
+            res.throw(404, 'The term does not exist.', error)           // ==>
+        }
+
+    }, 'updateTerm')
+    .summary('Update term')
+    .description(dd`Updates a term and evicts it from the cache.`)
+    .pathParam('key', joi.string().required(), "Term global identifier")
+    .body(joi.object().required(), "Term properties to update")
+    .response(
+        joi.object(),
+        'Updated document metadata.'
+    )
+
+/**
+ * Replace term.
+ */
+router.put(
+    'term/:key',
+    function (req, res){
+
+        const cache = new TermsCache()
+        const revisions = cache.collectionRevisions()
+        const key = req.pathParams.key
+
+        try {
+            const meta = collection_terms.replace(key, req.body)
+            cache.invalidateTerm(key)
+            cache.syncRevisions(revisions, { terms: meta._rev })
+
+            res.send(meta)                                              // ==>
+
+        } catch (error) {
+            if(!error.isArangoError || error.errorNum !== ARANGO_NOT_FOUND) {
+                throw error                                             // ==>
+            }
+            res.throw(404, 'The term does not exist.', error)           // ==>
+        }
+
+    }, 'replaceTerm')
+    .summary('Replace term')
+    .description(dd`Replaces a term and evicts it from the cache.`)
+    .pathParam('key', joi.string().required(), "Term global identifier")
+    .body(joi.object().required(), "Term record")
+    .response(
+        joi.object(),
+        'Replaced document metadata.'
+    )
+
+/**
+ * Remove term.
+ */
+router.delete(
+    'term/:key',
+    function (req, res){
+
+        const cache = new TermsCache()
+        const key = req.pathParams.key
+
+        try {
+            const meta = collection_terms.remove(key)
+            cache.invalidateTerm(key)
+
+            res.send(meta)                                              // ==>
+
+        } catch (error) {
+            if(!error.isArangoError || error.errorNum !== ARANGO_NOT_FOUND) {
+                throw error                                             // ==>
+            }
+            res.throw(404, 'The term does not exist.', error)           // ==>
+        }
+
+    }, 'removeTerm')
+    .summary('Remove term')
+    .description(dd`Removes a term and evicts it from the cache.`)
+    .pathParam('key', joi.string().required(), "Term global identifier")
+    .response(
+        joi.object(),
+        'Removed document metadata.'
+    )
+
+/**
+ * Insert edge.
+ */
+router.post(
+    'edge',
+    function (req, res){
+
+        const cache = new TermsCache()
+        const revisions = cache.collectionRevisions()
+
+        const meta = collection_edges.insert(req.body)
+        cache.invalidateEdge({ ...req.body, _id: meta._id })
+        cache.syncRevisions(revisions, { edges: meta._rev })
+
+        res.send(meta)                                                  // ==>
+
+    }, 'insertEdge')
+    .summary('Insert edge')
+    .description(dd`Inserts an edge and evicts its origin term from the cache.`)
+    .body(
+        joi.object({
+            _from: joi.string().required(),
+            _to: joi.string().required()
+        }).unknown(true).required(),
+        "Edge record"
+    )
+    .response(
+        joi.object(),
+        'Inserted document metadata.'
+    )
+
+/**
+ * Update edge.
+ */
+router.patch(
+    'edge/:key',
+    function (req, res){
+
+        const cache = new TermsCache()
+        const revisions = cache.collectionRevisions()
+        const key = req.pathParams.key
+
+        try {
+            const meta = collection_edges.update(
+                key, req.body, { returnOld: true, returnNew: true }
+            )
+            cache.invalidateEdge(meta.old)
+            cache.invalidateEdge(meta.new)
+            cache.syncRevisions(revisions, { edges: meta._rev })
+
+            res.send({ _id: meta._id, _key: meta._key, _rev: meta._rev, _oldRev: meta._oldRev })
+
+        } catch (error) {
+            if(!error.isArangoError || error.errorNum !== ARANGO_NOT_FOUND) {
+                throw error                                             // ==>
+            }
+            res.throw(404, 'The edge does not exist.', error)           // ==>
+        }
+
+    }, 'updateEdge')
+    .summary('Update edge')
+    .description(dd`
+        Updates an edge and evicts its previous and current origin terms from
+        the cache.
+    `)
+    .pathParam('key', joi.string().required(), "Edge key")
+    .body(joi.object().required(), "Edge properties to update")
+    .response(
+        joi.object(),
+        'Updated document metadata.'
+    )
+
+/**
+ * Replace edge.
+ */
+router.put(
+    'edge/:key',
+    function (req, res){
+
+        const cache = new TermsCache()
+        const revisions = cache.collectionRevisions()
+        const key = req.pathParams.key
+
+        try {
+            const meta = collection_edges.replace(key, req.body, { returnOld: true })
+            cache.invalidateEdge(meta.old)
+            cache.invalidateEdge({ ...req.body, _id: meta._id })
+            cache.syncRevisions(revisions, { edges: meta._rev })
+
+            res.send({ _id: meta._id, _key: meta._key, _rev: meta._rev, _oldRev: meta._oldRev })
+
+        } catch (error) {
+            if(!error.isArangoError || error.errorNum !== ARANGO_NOT_FOUND) {
+                throw error                                             // ==>
+            }
+            res.throw(404, 'The edge does not exist.', error)           // ==>
+        }
+
+    }, 'replaceEdge')
+    .summary('Replace edge')
+    .description(dd`
+        Replaces an edge and evicts its previous and current origin terms from
+        the cache.
+    `)
+    .pathParam('key', joi.string().required(), "Edge key")
+    .body(
+        joi.object({
+            _from: joi.string().required(),
+            _to: joi.string().required()
+        }).unknown(true).required(),
+        "Edge record"
+    )
+    .response(
+        joi.object(),
+        'Replaced document metadata.'
+    )
+
+/**
+ * Remove edge.
+ */
+router.delete(
+    'edge/:key',
+    function (req, res){
+
+        const cache = new TermsCache()
+        const key = req.pathParams.key
+
+        try {
+            const meta = collection_edges.remove(key, { returnOld: true })
+            cache.invalidateEdge(meta.old)
+
+            res.send({ _id: meta._id, _key: meta._key, _rev: meta._rev })
+
+        } catch (error) {
+            if(!error.isArangoError || error.errorNum !== ARANGO_NOT_FOUND) {
+                throw error                                             // ==>
+            }
+            res.throw(404, 'The edge does not exist.', error)           // ==>
+        }
+
+    }, 'removeEdge')
+    .summary('Remove edge')
+    .description(dd`Removes an edge and evicts its origin term from the cache.`)
+    .pathParam('key', joi.string().required(), "Edge key")
+    .response(
+        joi.object(),
+        'Removed document metadata.'
+    )
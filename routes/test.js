@@ -13,6 +13,7 @@ const createRouter = require('@arangodb/foxx/router')
 const ValidationReport = require('../library/ValidationReport')
 const TermsCache = require('../library/TermsCache')
 const Validator = require('../library/Validator')
+const ValidatorOptions = require('../library/ValidatorOptions')
 
 
 ///
@@ -22,6 +23,62 @@ const router = createRouter()
 module.exports = router
 router.tag('test')
 
+///
+// Validator options from query parameters.
+// Omitted parameters are not set, so that the preset or the defaults apply.
+///
+function ValidatorOptionsFromQuery(theQuery)
+{
+    const options = {
+        preset: theQuery.preset,
+        term: theQuery.descriptor,
+        zip: theQuery.doZip,
+        useCache: theQuery.doCache,
+        cacheMissing: theQuery.doMissing,
+        onlyTerms: theQuery.doOnlyTerms,
+        dataType: theQuery.doDataType,
+        resolve: theQuery.doResolve,
+        fillDefaults: theQuery.fillDefaults,
+        normalizeDates: theQuery.normalizeDates,
+        dateOrder: theQuery.dateOrder,
+        requireOffset: theQuery.requireOffset,
+        geoWinding: theQuery.geoWinding,
+        mode: theQuery.mode,
+        defaultNamespace: theQuery.useDefNamespace,
+        resolveCode: theQuery.resolveCode,
+        exhaustive: theQuery.exhaustive,
+        maxErrors: theQuery.maxErrors,
+        warnings: (theQuery.warnings === undefined)
+            ? undefined
+            : theQuery.warnings.split(',')
+    }
+    Object.keys(options).forEach( (key) => {
+        if(options[key] === undefined) {
+            delete options[key]
+        }
+    })
+
+    return options                                                      // ==>
+
+} // ValidatorOptionsFromQuery()
+
+///
+// Validator from query parameters.
+// Invalid options, such as an unknown preset, are client errors.
+///
+function ValidatorFromQuery(theQuery, theResponse)
+{
+    const options = ValidatorOptionsFromQuery(theQuery)
+    try {
+        ValidatorOptions.Resolve(options)
+    } catch (error) {
+        theResponse.throw(400, error.message, error)                    // ==>
+    }
+
+    return new Validator(options)                                       // ==>
+
+} // ValidatorFromQuery()
+
 
 // /**
 //  * Test TermsCache::getTerm()
@@ -127,20 +184,22 @@ router.get(
     )
 
 /**
- * Test TermsCache::QueryEnumTermByCode()
+ * Test TermsCache::queryEnumTermByCode()
  */
 router.get(
-    'QueryEnumTermByCode',
+    'queryEnumTermByCode',
     function (req, res){
 
+        const cache = new TermsCache()
+
         const field = req.queryParams.field
         const code = req.queryParams.code
         const type = req.queryParams.type
 
-        res.send(TermsCache.QueryEnumTermByCode(field, code, type))
+        res.send(cache.queryEnumTermByCode(field, code, type))
 
-    }, 'QueryEnumTermByCode')
-    .summary('Test QueryEnumTermByCode()')
+    }, 'queryEnumTermByCode')
+    .summary('Test queryEnumTermByCode()')
     .description(dd`Retrieve enumeration term global identifier given local identifier and enumeration path.`)
     .queryParam(
         'field',
@@ -213,70 +272,109 @@ router.post(
 router.post(
     'validator',
     function (req, res){
-        const validator =
-            new Validator(
-                req.body,
-                req.queryParams.descriptor,
-                req.queryParams.doZip,
-                req.queryParams.doCache,
-                req.queryParams.doMissing,
-                req.queryParams.doOnlyTerms,
-                req.queryParams.doDataType,
-                req.queryParams.doResolve,
-                req.queryParams.useDefNamespace,
-                req.queryParams.resolveCode
-            )
+        const validator = ValidatorFromQuery(req.queryParams, res)
+        validator.setValue(req.body, req.queryParams.descriptor || '')
 
         res.send(validator)
 
     }, 'Validator::constructor()')
     .summary('Test Validator::constructor()')
     .description(dd`Test the Validator class constructor.`)
+    .queryParam(
+        'preset',
+        joi.string(),
+        "Validator options preset, overridden by the provided flags"
+    )
     .queryParam(
         'descriptor',
-        joi.string().default(''),
+        joi.string(),
         "Descriptor global identifier"
     )
     .queryParam(
         'doZip',
-        joi.boolean().default(false),
+        joi.boolean(),
         "Associate descriptor to array of values"
     )
     .queryParam(
         'doCache',
-        joi.boolean().default(true),
+        joi.boolean(),
         "Cache resolved terms"
     )
     .queryParam(
         'doMissing',
-        joi.boolean().default(false),
+        joi.boolean(),
         "Cache unresolved terms"
     )
     .queryParam(
         'doOnlyTerms',
-        joi.boolean().default(false),
+        joi.boolean(),
         "All properties must be terms"
     )
     .queryParam(
         'doDataType',
-        joi.boolean().default(false),
+        joi.boolean(),
         "All descriptors must have the data type"
     )
     .queryParam(
         'doResolve',
-        joi.boolean().default(false),
+        joi.boolean(),
         "Try resolving enumeration codes"
     )
+    .queryParam(
+        'fillDefaults',
+        joi.boolean(),
+        "Set missing properties to their data kind default values"
+    )
+    .queryParam(
+        'normalizeDates',
+        joi.boolean(),
+        "Convert recognized free-form dates to YYYY, YYYYMM or YYYYMMDD"
+    )
+    .queryParam(
+        'dateOrder',
+        joi.string().valid('dmy', 'mdy'),
+        "Day and month order of ambiguous dates being normalized"
+    )
+    .queryParam(
+        'requireOffset',
+        joi.boolean(),
+        "Reject timestamp strings without time zone offset"
+    )
+    .queryParam(
+        'geoWinding',
+        joi.boolean(),
+        "Require GeoJSON exterior rings counterclockwise and holes clockwise"
+    )
+    .queryParam(
+        'mode',
+        joi.string().valid('in-place', 'copy', 'dry-run'),
+        "Correct the value in place, return a corrected copy or only validate"
+    )
     .queryParam(
         'useDefNamespace',
-        joi.boolean().default(false),
+        joi.boolean(),
         "Use default namespace"
     )
     .queryParam(
         'resolveCode',
-        joi.string().default("_lid"),
+        joi.string(),
         "Code section property for resolving"
     )
+    .queryParam(
+        'exhaustive',
+        joi.boolean(),
+        "Collect all errors instead of stopping at the first"
+    )
+    .queryParam(
+        'maxErrors',
+        joi.number().integer().min(0),
+        "Maximum number of errors per value in exhaustive mode, 0 for no limit"
+    )
+    .queryParam(
+        'warnings',
+        joi.string(),
+        "Comma separated status codes to report as warnings"
+    )
     .body(joi.alternatives().try(
         joi.array(),
         joi.object(),
@@ -296,21 +394,11 @@ router.post(
     'validate',
     function (req, res){
 
-        const validator =
-            new Validator(
-                req.body,
-                req.queryParams.descriptor,
-                req.queryParams.doZip,
-                req.queryParams.doCache,
-                req.queryParams.doMissing,
-                req.queryParams.doOnlyTerms,
-                req.queryParams.doDataType,
-                req.queryParams.doResolve,
-                req.queryParams.useDefNamespace,
-                req.queryParams.resolveCode
-            )
-
-        const status = validator.validate()
+        const validator = ValidatorFromQuery(req.queryParams, res)
+
+        const status = validator.validate(
+            req.body, null, null, req.queryParams.threshold || 'error'
+        )
 
         // res.send({
         //     "status": status,
@@ -321,51 +409,106 @@ router.post(
     }, 'Validator::validate()')
     .summary('Test Validator::validate()')
     .description(dd`Test the validate() method.`)
+    .queryParam(
+        'preset',
+        joi.string(),
+        "Validator options preset, overridden by the provided flags"
+    )
     .queryParam(
         'descriptor',
-        joi.string().default(''),
+        joi.string(),
         "Descriptor global identifier"
     )
     .queryParam(
         'doZip',
-        joi.boolean().default(false),
+        joi.boolean(),
         "Associate descriptor to array of values"
     )
     .queryParam(
         'doCache',
-        joi.boolean().default(true),
+        joi.boolean(),
         "Cache resolved terms"
     )
     .queryParam(
         'doMissing',
-        joi.boolean().default(false),
+        joi.boolean(),
         "Cache unresolved terms"
     )
     .queryParam(
         'doOnlyTerms',
-        joi.boolean().default(false),
+        joi.boolean(),
         "All properties must be terms"
     )
     .queryParam(
         'doDataType',
-        joi.boolean().default(false),
+        joi.boolean(),
         "All descriptors must have the data type"
     )
     .queryParam(
         'doResolve',
-        joi.boolean().default(false),
+        joi.boolean(),
         "Try resolving enumeration codes"
     )
+    .queryParam(
+        'fillDefaults',
+        joi.boolean(),
+        "Set missing properties to their data kind default values"
+    )
+    .queryParam(
+        'normalizeDates',
+        joi.boolean(),
+        "Convert recognized free-form dates to YYYY, YYYYMM or YYYYMMDD"
+    )
+    .queryParam(
+        'dateOrder',
+        joi.string().valid('dmy', 'mdy'),
+        "Day and month order of ambiguous dates being normalized"
+    )
+    .queryParam(
+        'requireOffset',
+        joi.boolean(),
+        "Reject timestamp strings without time zone offset"
+    )
+    .queryParam(
+        'geoWinding',
+        joi.boolean(),
+        "Require GeoJSON exterior rings counterclockwise and holes clockwise"
+    )
+    .queryParam(
+        'mode',
+        joi.string().valid('in-place', 'copy', 'dry-run'),
+        "Correct the value in place, return a corrected copy or only validate"
+    )
     .queryParam(
         'useDefNamespace',
-        joi.boolean().default(false),
+        joi.boolean(),
         "Use default namespace"
     )
     .queryParam(
         'resolveCode',
-        joi.string().default("_lid"),
+        joi.string(),
         "Code section property for resolving"
     )
+    .queryParam(
+        'exhaustive',
+        joi.boolean(),
+        "Collect all errors instead of stopping at the first"
+    )
+    .queryParam(
+        'maxErrors',
+        joi.number().integer().min(0),
+        "Maximum number of errors per value in exhaustive mode, 0 for no limit"
+    )
+    .queryParam(
+        'warnings',
+        joi.string(),
+        "Comma separated status codes to report as warnings"
+    )
+    .queryParam(
+        'threshold',
+        joi.string().valid('error', 'warning', 'info'),
+        "Lowest severity that makes the validation fail"
+    )
     .body(joi.alternatives().try(
         joi.array(),
         joi.object(),
@@ -21,3 +21,13 @@ for (const localName of edgeCollections) {
     console.debug(`collection ${qualifiedName} already exists. Leaving it untouched.`)
   }
 }
+
+if (context.configuration.cacheBackend === 'collection') {
+  const name = context.collectionName(context.configuration.collectionCache);
+  let collection = db._collection(name);
+  if (!collection) {
+    collection = db._createDocumentCollection(name);
+  }
+  collection.ensureIndex({ type: 'persistent', fields: ['region', 'accessed'] });
+  collection.ensureIndex({ type: 'ttl', fields: ['expiresAt'], expireAfter: 0 });
+}
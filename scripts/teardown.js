@@ -7,3 +7,7 @@ for (const localName of collections) {
   const qualifiedName = context.collectionName(localName);
   db._drop(qualifiedName);
 }
+
+if (context.configuration.cacheBackend === 'collection') {
+  db._drop(context.collectionName(context.configuration.collectionCache));
+}
@@ -0,0 +1,104 @@
+/*global describe, it, after */
+'use strict';
+const { expect } = require('chai');
+const RequiredRules = require('../library/RequiredRules');
+
+const properties = ['a', 'b', 'c'];
+
+function statuses(reasons) {
+  return reasons.map((reason) => reason.status);
+}
+
+describe('RequiredRules evaluators', function () {
+  it('One requires exactly one descriptor', function () {
+    expect(RequiredRules.One(['a', 'x'], properties, 'one')).to.deep.equal([]);
+    expect(statuses(RequiredRules.One(['x', 'y'], properties, 'one'))).to.deep.equal(['kMISSING_ONE_OF']);
+    const reasons = RequiredRules.One(['a', 'b'], properties, 'one');
+    expect(reasons).to.deep.equal([
+      { status: 'kTOO_MANY_ONE_OF', rule: 'one', properties: ['a', 'b'], offending: ['a', 'b'] }
+    ]);
+  });
+
+  it('OneNone allows at most one descriptor', function () {
+    expect(RequiredRules.OneNone(['x', 'y'], properties, 'oneNone')).to.deep.equal([]);
+    expect(RequiredRules.OneNone(['a', 'x'], properties, 'oneNone')).to.deep.equal([]);
+    expect(statuses(RequiredRules.OneNone(['a', 'b'], properties, 'oneNone'))).to.deep.equal(['kTOO_MANY_ONE_OF']);
+  });
+
+  it('Any requires at least one descriptor', function () {
+    expect(RequiredRules.Any(['a', 'b'], properties, 'any')).to.deep.equal([]);
+    expect(statuses(RequiredRules.Any(['x'], properties, 'any'))).to.deep.equal(['kMISSING_ONE_OF']);
+  });
+
+  it('AnyOne allows at most one descriptor of each list', function () {
+    expect(RequiredRules.AnyOne([['a', 'x'], ['b']], properties, 'anyOne')).to.deep.equal([]);
+    const reasons = RequiredRules.AnyOne([['a', 'b'], ['x'], ['b', 'c']], properties, 'anyOne');
+    expect(statuses(reasons)).to.deep.equal(['kTOO_MANY_ONE_OF', 'kTOO_MANY_ONE_OF']);
+    expect(reasons[1].offending).to.deep.equal(['b', 'c']);
+  });
+
+  it('All requires all descriptors', function () {
+    expect(RequiredRules.All(['a', 'b'], properties, 'all')).to.deep.equal([]);
+    const reasons = RequiredRules.All(['a', 'x', 'y'], properties, 'all');
+    expect(statuses(reasons)).to.deep.equal(['kMISSING_ALL_OF']);
+    expect(reasons[0].offending).to.deep.equal(['x', 'y']);
+  });
+
+  it('Exactly requires the provided number of descriptors', function () {
+    const rule = { count: 2, descriptors: ['a', 'b', 'x'] };
+    expect(RequiredRules.Exactly(rule, properties, 'exactly')).to.deep.equal([]);
+    const reasons = RequiredRules.Exactly({ ...rule, count: 1 }, properties, 'exactly');
+    expect(statuses(reasons)).to.deep.equal(['kNOT_EXACTLY_OF']);
+    expect(reasons[0].count).to.equal(1);
+  });
+
+  it('AtMost limits the number of descriptors', function () {
+    const rule = { count: 2, descriptors: ['a', 'b', 'c'] };
+    expect(RequiredRules.AtMost({ ...rule, count: 3 }, properties, 'atMost')).to.deep.equal([]);
+    expect(statuses(RequiredRules.AtMost(rule, properties, 'atMost'))).to.deep.equal(['kTOO_MANY_OF']);
+  });
+
+  it('IfThen requires dependents of present descriptors', function () {
+    expect(RequiredRules.IfThen({ a: ['b'], x: ['y'] }, properties, 'ifThen')).to.deep.equal([]);
+    const reasons = RequiredRules.IfThen({ a: ['b', 'y'] }, properties, 'ifThen');
+    expect(statuses(reasons)).to.deep.equal(['kMISSING_DEPENDENT']);
+    expect(reasons[0].condition).to.equal('a');
+    expect(reasons[0].offending).to.deep.equal(['y']);
+  });
+
+  it('rejects invalid rules', function () {
+    expect(() => RequiredRules.One('a', properties, 'one')).to.throw(/Invalid rule section in one/);
+    expect(() => RequiredRules.AnyOne(['a'], properties, 'anyOne')).to.throw(/Invalid rule section/);
+    expect(() => RequiredRules.AtMost({ descriptors: ['a'] }, properties, 'atMost')).to.throw(/Invalid rule section/);
+    expect(() => RequiredRules.IfThen({ a: 'b' }, properties, 'ifThen')).to.throw(/Invalid rule section/);
+  });
+});
+
+describe('RequiredRules.Evaluate', function () {
+  const settings = {
+    selectionDescriptorsOne: '_one',
+    selectionDescriptorsAll: '_all'
+  };
+
+  after(function () {
+    delete RequiredRules.registered._none;
+  });
+
+  it('evaluates all rules by selector and ignores unknown selectors', function () {
+    const reasons = RequiredRules.Evaluate(
+      { _one: ['x'], _all: ['a', 'y'], _unknown: ['z'] }, properties, settings
+    );
+    expect(reasons.map((reason) => reason.rule)).to.deep.equal(['_one', '_all']);
+  });
+
+  it('uses registered evaluators', function () {
+    RequiredRules.Register('_none', (rule, props, selector) =>
+      rule.filter((item) => props.includes(item)).map((item) =>
+        RequiredRules.Reason('kBANNED_PROPERTY', selector, rule, [item])
+      )
+    );
+    const reasons = RequiredRules.Evaluate({ _none: ['a', 'x'] }, properties, settings);
+    expect(statuses(reasons)).to.deep.equal(['kBANNED_PROPERTY']);
+    expect(() => RequiredRules.Register('_bad', null)).to.throw(/Invalid evaluator/);
+  });
+});
@@ -0,0 +1,698 @@
+/*global describe, it */
+'use strict';
+const { expect } = require('chai');
+const MemorySource = require('../library/MemorySource');
+const TermsCache = require('../library/TermsCache');
+const Validator = require('../library/Validator');
+
+const terms = [
+  { _key: 'name', _data: { _scalar: { _type: '_type_string' } } },
+  { _key: 'age', _data: { _scalar: { _type: '_type_integer' } } },
+  { _key: 'color', _data: { _scalar: { _type: '_type_string_enum', _kind: ['colors'] } } },
+  { _key: 'colors', _code: { _lid: 'colors' } },
+  { _key: 'colors_red', _code: { _lid: 'red' } },
+  { _key: 'scores', _data: { _array: { _scalar: { _type: '_type_integer' } } } },
+  { _key: 'sample', _data: { _scalar: { _type: '_type_object' } } },
+  { _key: 'person', _data: { _scalar: { _type: '_type_object', _kind: ['person_kind'] } } },
+  {
+    _key: 'person_kind',
+    _rule: {
+      _required: { '_selection-descriptors_all': ['name'] },
+      '_default-value': { age: 18, scores: [] }
+    }
+  },
+  { _key: 'pet', _data: { _scalar: { _type: '_type_object', _kind: ['person_kind', 'pet_kind'] } } },
+  { _key: 'pet_kind', _rule: { _banned: ['age'] } },
+  { _key: 'entry', _data: { _scalar: { _type: '_type_object', _kind: ['entry_kind'] } } },
+  { _key: 'entry_kind', _rule: { _required: { '_selection-descriptors_one-none-of': [['name', 'age']] } } },
+  { _key: 'sampling', _data: { _scalar: { _type: '_type_object', _kind: ['sampling_kind'] } } },
+  {
+    _key: 'sampling_kind',
+    _rule: {
+      _compare: [
+        { left: 'end', operator: '>=', right: 'start' },
+        { left: ['pct_a', 'pct_b'], operator: '==', value: 100 }
+      ],
+      _conditional: [
+        { if: { method: 'wild' }, then: { _required: { '_selection-descriptors_all': ['geo'] } } }
+      ]
+    }
+  },
+  { _key: 'opened', _data: { _scalar: { _type: '_type_string_date' } } },
+  { _key: 'closed', _data: { _scalar: { _type: '_type_string_date' } } },
+  { _key: 'season', _data: { _scalar: { _type: '_type_object', _kind: ['season_kind'] } } },
+  {
+    _key: 'season_kind',
+    _rule: {
+      _compare: [
+        { left: 'closed', operator: '>=', right: 'opened' },
+        { left: 'opened', operator: '>=', value: '2020' }
+      ]
+    }
+  },
+  { _key: 'address', _data: { _scalar: { _type: '_type_struct', _kind: ['address_kind'] } } },
+  { _key: 'address_kind', _rule: { _closed: true, _required: { '_selection-descriptors_all': ['name'] } } },
+  { _key: 'tint', _data: { _scalar: { _type: '_type_struct', _kind: ['colors'] } } },
+  { _key: 'location', _data: { _scalar: { _type: '_type_object_geojson' } } },
+  { _key: 'site', _data: { _scalar: { _type: '_type_object_geojson', _kind: ['Feature', 'Point'] } } },
+  {
+    _key: 'country_xyz',
+    _rule: { _geometry: { type: 'Polygon', coordinates: [[[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]]] } }
+  },
+  {
+    _key: 'station',
+    _data: { _scalar: { _type: '_type_object_geojson', '_geo-within': 'country_xyz', '_geo-max-vertices': 5 } }
+  },
+  {
+    _key: 'plot',
+    _data: {
+      _scalar: {
+        _type: '_type_object_geojson',
+        '_geo-bbox': [0, 0, 2, 2],
+        '_geo-max-area': 2e10,
+        '_geo-max-distance': { center: [0.5, 0.5], distance: 100000 }
+      }
+    }
+  },
+  { _key: 'parcel', _data: { _scalar: { _type: '_type_object_geojson', '_geo-within': 'regions/north' } } },
+  { _key: 'trail', _data: { _scalar: { _type: '_type_object_geojson', '_geo-within': 'regions/twin' } } },
+  { _key: 'born', _data: { _scalar: { _type: '_type_string_date' } } },
+  { _key: 'created', _data: { _scalar: { _type: '_type_number_timestamp' } } },
+  { _key: 'logged', _data: { _scalar: { _type: '_type_number_timestamp', '_timestamp-unit': 's', '_timestamp-zone': '+02:00' } } },
+  { _key: 'stamped', _data: { _scalar: { _type: '_type_number_timestamp', '_timestamp-unit': 'ms', '_timestamp-zone': 'offset' } } },
+  {
+    _key: 'collected',
+    _data: {
+      _scalar: {
+        _type: '_type_string_date',
+        '_valid-range_date': { '_min-range-inclusive_date': '2022', '_max-range-exclusive_date': '2024' }
+      }
+    }
+  },
+  {
+    _key: 'surveyed',
+    _data: {
+      _scalar: {
+        _type: '_type_string_date',
+        '_valid-range_date': { '_min-range-exclusive_date': '202212', '_max-range-inclusive_date': '20230615' }
+      }
+    }
+  }
+];
+const edges = [
+  {
+    _key: 'colors_red',
+    _from: 'terms/colors_red',
+    _to: 'terms/colors',
+    _predicate: '_predicate_enum-of',
+    _path: ['terms/colors']
+  }
+];
+
+function validate(value, resolve = false) {
+  const cache = new TermsCache(new MemorySource({ terms, edges }));
+  const validator = new Validator({ resolve, cache });
+  validator.validate(value);
+  return validator.report;
+}
+
+describe('MemorySource', function () {
+  it('returns partial term records with the enumeration path', function () {
+    const source = new MemorySource({ terms, edges });
+    expect(source.queryTerms(['colors_red', 'missing'])).to.deep.equal([
+      { _key: 'colors_red', _path: ['colors'] }
+    ]);
+  });
+
+  it('resolves enumeration codes', function () {
+    const source = new MemorySource({ terms, edges });
+    expect(source.queryEnumIdentifiers('_lid', 'red', 'colors')).to.deep.equal(['colors_red']);
+    expect(source.queryEnumIdentifiers('_lid', 'red', 'name')).to.deep.equal([]);
+  });
+});
+
+describe('Validator with a MemorySource', function () {
+  it('accepts valid values', function () {
+    expect(validate({ name: 'x', age: 3, color: 'colors_red' }).status.code).to.equal(0);
+  });
+
+  it('rejects invalid values', function () {
+    expect(validate({ age: 1.5 }).status.code).to.not.equal(0);
+  });
+
+  it('resolves enumeration codes', function () {
+    const report = validate({ color: 'red' }, true);
+    expect(report.status.code).to.equal(1);
+    expect(Object.values(report.changes)[0].resolved).to.equal('colors_red');
+  });
+
+  it('caches unresolved enumeration codes', function () {
+    const source = new MemorySource({ terms, edges });
+    const query = source.queryEnumIdentifiers.bind(source);
+    let queries = 0;
+    source.queryEnumIdentifiers = (...args) => { queries += 1; return query(...args); };
+    const validator = new Validator({ resolve: true, cache: new TermsCache(source) });
+    expect(validator.validate([{ color: 'blue' }, { color: 'blue' }])).to.equal(false);
+    expect(queries).to.equal(1);
+  });
+});
+
+describe('Validator options', function () {
+  const cache = new TermsCache(new MemorySource({ terms, edges }));
+
+  it('rejects unknown options and invalid values', function () {
+    expect(() => new Validator({ doResolve: true, cache })).to.throw(/Unknown validator option/);
+    expect(() => new Validator({ resolve: 'yes', cache })).to.throw(/Invalid value/);
+    expect(() => new Validator({ preset: 'missing', cache })).to.throw(/Unknown validator preset/);
+  });
+
+  it('applies presets and overrides', function () {
+    const strict = new Validator({ preset: 'strict-import', cache });
+    expect(strict.expectTerms).to.equal(true);
+    expect(strict.resolve).to.equal(false);
+    const lenient = new Validator({ preset: 'lenient-curation', resolve: false, cache });
+    expect(lenient.expectTerms).to.equal(false);
+    expect(lenient.resolve).to.equal(false);
+  });
+
+  it('reuses one validator for many values', function () {
+    const validator = new Validator({ term: 'age', cache });
+    expect(validator.validate(3)).to.equal(true);
+    expect(validator.validate('three')).to.equal(false);
+    expect(validator.validate({ name: 'x' }, '')).to.equal(true);
+    expect(validator.validate(4)).to.equal(true);
+    expect(validator.report.status.code).to.equal(0);
+  });
+
+  it('uses the language of a validate() call only for that call', function () {
+    const validator = new Validator({ term: 'age', cache });
+    const language = validator.language;
+    expect(validator.validate('three', null, 'iso_639_3_ita')).to.equal(false);
+    expect(validator.language).to.equal(language);
+    expect(() => validator.validate(3, 'missing', 'iso_639_3_ita')).to.throw();
+    expect(validator.language).to.equal(language);
+  });
+});
+
+describe('Validator exhaustive mode', function () {
+  const cache = new TermsCache(new MemorySource({ terms, edges }));
+  const value = { name: 1, age: 1.5, color: 'blue' };
+
+  it('stops at the first error by default', function () {
+    const validator = new Validator({ cache });
+    expect(validator.validate({ ...value })).to.equal(false);
+    expect(validator.report).to.not.have.property('errors');
+  });
+
+  it('collects all errors', function () {
+    const validator = new Validator({ exhaustive: true, cache });
+    expect(validator.validate({ ...value })).to.equal(false);
+    expect(validator.report.errors).to.have.lengthOf(3);
+    expect(validator.report.status).to.deep.equal(validator.report.errors[0].status);
+  });
+
+  it('limits the number of errors per value', function () {
+    const validator = new Validator({ exhaustive: true, maxErrors: 2, cache });
+    expect(validator.validate([{ ...value }, { ...value, name: 'x' }])).to.equal(false);
+    expect(validator.report[0].errors).to.have.lengthOf(2);
+    expect(validator.report[1].errors).to.have.lengthOf(2);
+  });
+});
+
+describe('Validator error location', function () {
+  const cache = new TermsCache(new MemorySource({ terms, edges }));
+
+  it('reports the JSON Pointer and descriptors of the offending value', function () {
+    const validator = new Validator({ cache });
+    expect(validator.validate({ name: 'x', age: 'three' })).to.equal(false);
+    expect(validator.report.pointer).to.equal('/age');
+    expect(validator.report.descriptors).to.deep.equal(['age']);
+  });
+
+  it('locates values nested in objects and arrays', function () {
+    const validator = new Validator({ cache });
+    expect(validator.validate({ sample: { 'a/b': 1, scores: [1, 'x'] } })).to.equal(false);
+    expect(validator.report.pointer).to.equal('/sample/scores/1');
+    expect(validator.report.descriptors).to.deep.equal(['sample', 'scores']);
+  });
+
+  it('points to the value itself when the descriptor is provided', function () {
+    const validator = new Validator({ term: 'age', cache });
+    expect(validator.validate('three')).to.equal(false);
+    expect(validator.report.pointer).to.equal('');
+    expect(validator.report.descriptors).to.deep.equal(['age']);
+  });
+
+  it('locates each error in exhaustive mode', function () {
+    const validator = new Validator({ exhaustive: true, cache });
+    expect(validator.validate([{ name: 1 }, { age: 1.5 }])).to.equal(false);
+    expect(validator.report[0].errors[0].pointer).to.equal('/name');
+    expect(validator.report[1].errors[0].pointer).to.equal('/age');
+  });
+});
+
+describe('Validator severity levels', function () {
+  const cache = new TermsCache(new MemorySource({ terms, edges }));
+
+  it('rejects unknown status codes in the warnings option', function () {
+    expect(() => new Validator({ warnings: ['kMISSING'], cache })).to.throw(/Invalid value/);
+  });
+
+  it('reports resolved enumerations as information', function () {
+    const validator = new Validator({ resolve: true, cache });
+    expect(validator.validate({ color: 'red' })).to.equal(true);
+    expect(validator.report.notices[0].status.severity).to.equal('info');
+    expect(validator.report.notices[0].pointer).to.equal('/color');
+    expect(validator.validate({ color: 'red' }, null, null, 'info')).to.equal(false);
+  });
+
+  it('reports downgraded checks as warnings', function () {
+    const validator = new Validator({ warnings: ['kUNKNOWN_PROPERTY'], cache });
+    expect(validator.validate({ name: 'x', other: 1 })).to.equal(true);
+    expect(validator.report.status.code).to.equal(0);
+    expect(validator.report.notices).to.have.lengthOf(1);
+    expect(validator.report.notices[0].status.severity).to.equal('warning');
+    expect(validator.validate({ name: 'x', other: 1 }, null, null, 'warning')).to.equal(false);
+    expect(validator.validate({ name: 'x' }, null, null, 'warning')).to.equal(true);
+  });
+});
+
+describe('Validator default values', function () {
+  const cache = new TermsCache(new MemorySource({ terms, edges }));
+
+  it('leaves objects unchanged by default', function () {
+    const value = { person: { name: 'x' } };
+    expect(new Validator({ cache }).validate(value)).to.equal(true);
+    expect(value.person).to.deep.equal({ name: 'x' });
+  });
+
+  it('fills and logs missing properties', function () {
+    const validator = new Validator({ fillDefaults: true, cache });
+    const value = { person: { name: 'x', age: 40 } };
+    expect(validator.validate(value)).to.equal(true);
+    expect(value.person).to.deep.equal({ name: 'x', age: 40, scores: [] });
+    expect(Object.values(validator.report.changes)[0].field).to.equal('scores');
+    expect(validator.report.notices[0].pointer).to.equal('/person/scores');
+  });
+
+  it('does not fill objects that fail the rules', function () {
+    const validator = new Validator({ fillDefaults: true, cache });
+    const value = { person: { age: 40 } };
+    expect(validator.validate(value)).to.equal(false);
+    expect(value.person).to.deep.equal({ age: 40 });
+  });
+});
+
+describe('Validator object structure reasons', function () {
+  const cache = new TermsCache(new MemorySource({ terms, edges }));
+
+  it('reports the failed rule of a single data kind', function () {
+    const validator = new Validator({ cache });
+    expect(validator.validate({ person: { age: 3 } })).to.equal(false);
+    expect(validator.report.status.code).to.equal(46);
+    expect(validator.report.kind).to.equal('person_kind');
+    expect(validator.report.rule).to.equal('_selection-descriptors_all');
+    expect(validator.report.properties).to.deep.equal(['name']);
+    expect(validator.report.offending).to.deep.equal(['name']);
+  });
+
+  it('reports why each data kind was rejected', function () {
+    const validator = new Validator({ cache });
+    expect(validator.validate({ pet: { age: 3 } })).to.equal(false);
+    expect(validator.report.status.code).to.equal(34);
+    const reasons = validator.report.reasons;
+    expect(reasons.map((reason) => reason.kind)).to.deep.equal(['person_kind', 'pet_kind']);
+    expect(reasons.map((reason) => reason.status.code)).to.deep.equal([46, 47]);
+    expect(reasons[1].offending).to.deep.equal(['age']);
+  });
+});
+
+describe('Validator required rules', function () {
+  const cache = new TermsCache(new MemorySource({ terms, edges }));
+
+  it('enforces the one or none of each set rule', function () {
+    const validator = new Validator({ cache });
+    expect(validator.validate({ entry: { name: 'x' } })).to.equal(true);
+    expect(validator.validate({ entry: { name: 'x', age: 3 } })).to.equal(false);
+    expect(validator.report.status.code).to.equal(45);
+    expect(validator.report.offending).to.deep.equal(['name', 'age']);
+  });
+});
+
+describe('Validator conditional and comparison rules', function () {
+  const cache = new TermsCache(new MemorySource({ terms, edges }));
+  const validator = new Validator({ cache });
+
+  it('accepts objects respecting the rules', function () {
+    const sampling = { start: '20230101', end: '20230517', pct_a: 33.3, pct_b: 66.7, method: 'wild', geo: {} };
+    expect(validator.validate({ sampling })).to.equal(true);
+    expect(validator.validate({ sampling: { method: 'farm' } })).to.equal(true);
+  });
+
+  it('compares property values', function () {
+    expect(validator.validate({ sampling: { start: '20230517', end: '20230101' } })).to.equal(false);
+    expect(validator.report.status.code).to.equal(52);
+    expect(validator.report.values).to.deep.equal(['20230101', '20230517']);
+    expect(validator.validate({ sampling: { pct_a: 30, pct_b: 60 } })).to.equal(false);
+    expect(validator.report.values).to.deep.equal([90, 100]);
+    expect(validator.validate({ sampling: { start: 20230517, end: '20230101' } })).to.equal(false);
+    expect(validator.report.status.code).to.equal(53);
+  });
+
+  it('compares partial dates as intervals', function () {
+    expect(validator.validate({ season: { opened: '202306', closed: '2023' } })).to.equal(true);
+    expect(validator.validate({ season: { opened: '2023', closed: '20230101' } })).to.equal(true);
+    expect(validator.validate({ season: { opened: '202306', closed: '2022' } })).to.equal(false);
+    expect(validator.report.status.code).to.equal(52);
+    expect(validator.validate({ season: { opened: '201912' } })).to.equal(false);
+    expect(validator.report.status.code).to.equal(52);
+  });
+
+  it('applies the rules of met conditions', function () {
+    expect(validator.validate({ sampling: { method: 'wild' } })).to.equal(false);
+    expect(validator.report.status.code).to.equal(51);
+    expect(validator.report.condition).to.deep.equal({ method: 'wild' });
+    expect(validator.report.offending).to.deep.equal(['geo']);
+    expect(validator.report.reasons[0].status.code).to.equal(46);
+  });
+});
+
+describe('Validator structures', function () {
+  const cache = new TermsCache(new MemorySource({ terms, edges }));
+  const validator = new Validator({ cache });
+
+  it('validates the structure properties', function () {
+    expect(validator.validate({ address: { name: 'x', scores: [1, 2] } })).to.equal(true);
+    expect(validator.validate({ address: { name: 'x', scores: [1, 'two'] } })).to.equal(false);
+    expect(validator.report.pointer).to.equal('/address/scores/1');
+  });
+
+  it('enforces the data kind rules', function () {
+    expect(validator.validate({ address: { scores: [] } })).to.equal(false);
+    expect(validator.report.status.code).to.equal(46);
+  });
+
+  it('rejects unknown properties of closed structures', function () {
+    expect(validator.validate({ address: { name: 'x', street: 'y' } })).to.equal(false);
+    expect(validator.report.status.code).to.equal(32);
+    expect(validator.report.pointer).to.equal('/address/street');
+  });
+
+  it('requires structure definitions as data kinds', function () {
+    expect(validator.validate({ tint: {} })).to.equal(false);
+    expect(validator.report.status.code).to.equal(20);
+  });
+});
+
+describe('Validator GeoJSON', function () {
+  const cache = new TermsCache(new MemorySource({ terms, edges }));
+  const validator = new Validator({ cache });
+  const square = [[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]];
+
+  it('validates all object types', function () {
+    const feature = { type: 'Feature', geometry: { type: 'Point', coordinates: [12.5, 41.9] }, properties: null };
+    expect(validator.validate({ location: { type: 'Polygon', coordinates: [square] } })).to.equal(true);
+    expect(validator.validate({ location: { type: 'FeatureCollection', features: [feature] } })).to.equal(true);
+    expect(validator.validate({
+      location: { type: 'GeometryCollection', geometries: [{ type: 'LineString', coordinates: [[0, 0], [1, 1]] }] }
+    })).to.equal(true);
+  });
+
+  it('locates invalid positions', function () {
+    expect(validator.validate({ location: { type: 'MultiPoint', coordinates: [[0, 0], [0]] } })).to.equal(false);
+    expect(validator.report.status.code).to.equal(56);
+    expect(validator.report.pointer).to.equal('/location/coordinates/1');
+    expect(validator.validate({ location: { type: 'Point', coordinates: [190, 0] } })).to.equal(false);
+    expect(validator.report.status.code).to.equal(57);
+    expect(validator.report.pointer).to.equal('/location/coordinates/0');
+  });
+
+  it('checks linear rings', function () {
+    expect(validator.validate({ location: { type: 'Polygon', coordinates: [square.slice(0, 4)] } })).to.equal(false);
+    expect(validator.report.status.code).to.equal(61);
+    expect(validator.validate({ location: { type: 'Polygon', coordinates: [[[0, 0], [1, 1], [0, 0]]] } })).to.equal(false);
+    expect(validator.report.status.code).to.equal(60);
+  });
+
+  it('checks the winding order on demand', function () {
+    const clockwise = { type: 'Polygon', coordinates: [square.slice().reverse()] };
+    expect(validator.validate({ location: clockwise })).to.equal(true);
+    const strict = new Validator({ cache, geoWinding: true });
+    expect(strict.validate({ location: clockwise })).to.equal(false);
+    expect(strict.report.status.code).to.equal(62);
+  });
+
+  it('restricts the types to the data kinds', function () {
+    const feature = { type: 'Feature', geometry: { type: 'Polygon', coordinates: [square] }, properties: {} };
+    expect(validator.validate({ site: { ...feature, geometry: { type: 'Point', coordinates: [0, 0] } } })).to.equal(true);
+    expect(validator.validate({ site: feature })).to.equal(false);
+    expect(validator.report.status.code).to.equal(55);
+    expect(validator.report.pointer).to.equal('/site/geometry/type');
+  });
+});
+
+describe('Validator geospatial constraints', function () {
+  const documents = [
+    { _id: 'regions/north', _geometry: { type: 'Polygon', coordinates: [[[0, 50], [5, 50], [5, 55], [0, 55], [0, 50]]] } },
+    {
+      _id: 'regions/twin',
+      _geometry: {
+        type: 'MultiPolygon',
+        coordinates: [[], [[[0, 0], [5, 0], [5, 5], [0, 5], [0, 0]]], [[[5, 0], [10, 0], [10, 5], [5, 5], [5, 0]]]]
+      }
+    }
+  ];
+  const cache = new TermsCache(new MemorySource({ terms, edges, documents }));
+  const validator = new Validator({ cache });
+  const point = (lon, lat) => ({ type: 'Point', coordinates: [lon, lat] });
+
+  it('checks containment in a term polygon', function () {
+    expect(validator.validate({ station: point(5, 5) })).to.equal(true);
+    expect(validator.validate({ station: point(12, 5) })).to.equal(false);
+    expect(validator.report.status.code).to.equal(71);
+    expect(validator.report.pointer).to.equal('/station/coordinates');
+    const line = { type: 'LineString', coordinates: [[1, 1], [12, 1], [9, 2]] };
+    expect(validator.validate({ station: line })).to.equal(false);
+    expect(validator.report.pointer).to.equal('/station/coordinates/1');
+  });
+
+  it('checks containment in a document polygon', function () {
+    expect(validator.validate({ parcel: point(2, 52) })).to.equal(true);
+    expect(validator.validate({ parcel: point(2, 5) })).to.equal(false);
+    expect(validator.report.status.code).to.equal(71);
+  });
+
+  it('ignores empty container polygons', function () {
+    expect(validator.validate({ trail: point(2, 2) })).to.equal(true);
+    expect(validator.validate({ trail: point(2, 8) })).to.equal(false);
+    expect(validator.report.status.code).to.equal(71);
+  });
+
+  it('checks containment in the union of adjacent polygons', function () {
+    expect(validator.validate({ trail: { type: 'LineString', coordinates: [[1, 1], [9, 1]] } })).to.equal(true);
+    expect(validator.validate({ trail: { type: 'LineString', coordinates: [[1, 4], [9, 4], [4, 6], [1, 4]] } })).to.equal(false);
+    expect(validator.report.status.code).to.equal(71);
+  });
+
+  it('limits the number of vertices', function () {
+    const ring = [[1, 1], [2, 1], [2, 2], [1.5, 2.5], [1, 2], [1, 1]];
+    expect(validator.validate({ station: { type: 'Polygon', coordinates: [ring] } })).to.equal(false);
+    expect(validator.report.status.code).to.equal(68);
+    expect(validator.report.vertices).to.equal(6);
+  });
+
+  it('checks the bounding box, area and distance', function () {
+    const square = (size) => ({ type: 'Polygon', coordinates: [[[0, 0], [size, 0], [size, size], [0, size], [0, 0]]] });
+    expect(validator.validate({ plot: square(1) })).to.equal(true);
+    expect(validator.validate({ plot: point(3, 1) })).to.equal(false);
+    expect(validator.report.status.code).to.equal(67);
+    expect(validator.report.pointer).to.equal('/plot/coordinates');
+    expect(validator.validate({ plot: square(2) })).to.equal(false);
+    expect(validator.report.status.code).to.equal(69);
+    expect(validator.report.area).to.be.closeTo(4.92e10, 1e8);
+    expect(validator.validate({ plot: { type: 'MultiPoint', coordinates: [[1, 1], [2, 2]] } })).to.equal(false);
+    expect(validator.report.status.code).to.equal(70);
+    expect(validator.report.pointer).to.equal('/plot/coordinates/1');
+    expect(validator.report.distance).to.be.closeTo(235700, 1000);
+  });
+});
+
+describe('Validator dates', function () {
+  const cache = new TermsCache(new MemorySource({ terms, edges }));
+  const validator = new Validator({ cache });
+
+  it('validates calendar dates', function () {
+    expect(validator.validate({ born: '20240229' })).to.equal(true);
+    expect(validator.validate({ born: '1990-2024' })).to.equal(true);
+    expect(validator.validate({ born: '20231399' })).to.equal(false);
+    expect(validator.report.status.code).to.equal(72);
+    expect(validator.validate({ born: '20230229' })).to.equal(false);
+    expect(validator.report.status.code).to.equal(72);
+    expect(validator.validate({ born: '2024-1990' })).to.equal(false);
+    expect(validator.report.status.code).to.equal(73);
+    expect(validator.validate({ born: '2023-05' })).to.equal(false);
+    expect(validator.report.status.code).to.equal(33);
+  });
+
+  it('compares partial dates as intervals', function () {
+    expect(validator.validate({ surveyed: '2023' })).to.equal(false);
+    expect(validator.report.status.code).to.equal(13);
+    expect(validator.validate({ surveyed: '202306' })).to.equal(false);
+    expect(validator.validate({ surveyed: '202301' })).to.equal(true);
+    expect(validator.validate({ surveyed: '20230615' })).to.equal(true);
+    expect(validator.validate({ surveyed: '20221231' })).to.equal(false);
+    expect(validator.report.status.code).to.equal(12);
+    expect(validator.validate({ collected: '2022-2023' })).to.equal(true);
+    expect(validator.validate({ collected: '2023-2024' })).to.equal(false);
+    expect(validator.report.status.code).to.equal(13);
+  });
+});
+
+describe('Validator date normalization', function () {
+  const cache = new TermsCache(new MemorySource({ terms, edges }));
+  const validator = new Validator({ cache, normalizeDates: true });
+
+  it('normalizes recognized formats', function () {
+    const value = { born: '2023-05-17', collected: 'May 2023', surveyed: '2023-W20-3' };
+    expect(validator.validate(value)).to.equal(true);
+    expect(value).to.deep.equal({ born: '20230517', collected: '202305', surveyed: '20230517' });
+    expect(Object.values(validator.report.changes).map((change) => change.resolved)).to.have.members(['20230517', '202305', '20230517']);
+    expect(validator.report.notices.map((notice) => notice.status.code)).to.deep.equal([74, 74, 74]);
+  });
+
+  it('rejects ambiguous day and month orders', function () {
+    expect(validator.validate({ born: '05/06/2023' })).to.equal(false);
+    expect(validator.report.status.code).to.equal(75);
+    expect(validator.report.candidates).to.deep.equal(['20230605', '20230506']);
+    expect(validator.validate({ born: '17/05/2023' })).to.equal(true);
+    const value = { born: '05/06/2023' };
+    expect(new Validator({ cache, normalizeDates: true, dateOrder: 'mdy' }).validate(value)).to.equal(true);
+    expect(value.born).to.equal('20230506');
+  });
+
+  it('is opt-in', function () {
+    expect(new Validator({ cache }).validate({ born: '2023-05-17' })).to.equal(false);
+    expect(validator.validate({ born: '31/02/2023' })).to.equal(false);
+    expect(validator.report.status.code).to.equal(72);
+  });
+
+  it('rejects ISO weeks that are not within a month', function () {
+    const value = { born: '2023-W20' };
+    expect(validator.validate(value)).to.equal(true);
+    expect(value.born).to.equal('202305');
+    expect(validator.validate({ born: '2023-W22' })).to.equal(false);
+    expect(validator.report.status.code).to.equal(78);
+    expect(validator.validate({ born: '2020W53' })).to.equal(false);
+    expect(validator.report.status.code).to.equal(78);
+  });
+});
+
+describe('Validator timestamps', function () {
+  const cache = new TermsCache(new MemorySource({ terms, edges }));
+  const validator = new Validator({ cache });
+
+  it('converts strings independently of the server time zone', function () {
+    const value = { created: '2023-05-17T10:30:00+02:00', logged: '2023-05-17T10:30:00' };
+    expect(validator.validate(value)).to.equal(true);
+    expect(value).to.deep.equal({ created: 1684312200000, logged: 1684312200 });
+    expect(validator.report.status.code).to.equal(1);
+    expect(validator.validate({ created: 'May 17, 2023' })).to.equal(false);
+    expect(validator.report.status.code).to.equal(14);
+  });
+
+  it('rejects strings without offset on demand', function () {
+    expect(validator.validate({ stamped: '2023-05-17T10:30:00' })).to.equal(false);
+    expect(validator.report.status.code).to.equal(76);
+    expect(validator.validate({ stamped: '2023-05-17T08:30:00Z' })).to.equal(true);
+    expect(new Validator({ cache, requireOffset: true }).validate({ created: '2023-05-17' })).to.equal(false);
+  });
+
+  it('checks the declared unit', function () {
+    expect(validator.validate({ logged: 1684312200 })).to.equal(true);
+    expect(validator.report.status.code).to.equal(0);
+    expect(validator.validate({ logged: 1684312200000 })).to.equal(false);
+    expect(validator.report.status.code).to.equal(77);
+    expect(validator.validate({ stamped: 1684312200 })).to.equal(false);
+    expect(validator.report.status.code).to.equal(77);
+  });
+});
+
+describe('Validator modes', function () {
+  const cache = new TermsCache(new MemorySource({ terms, edges }));
+  const input = () => ({ color: 'red', created: '2023-05-17T08:30:00Z', person: { name: 'x' } });
+  const options = { cache, resolve: true, fillDefaults: true };
+
+  function applyPatch(document, patch) {
+    const result = JSON.parse(JSON.stringify(document));
+    const locate = (path) => {
+      const tokens = path.split('/').slice(1).map((token) => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+      const last = tokens.pop();
+      return [tokens.reduce((node, token) => node[token], result), last];
+    };
+    patch.forEach((operation) => {
+      const value = (operation.op === 'move')
+        ? (([parent, key]) => { const moved = parent[key]; delete parent[key]; return moved; })(locate(operation.from))
+        : operation.value;
+      const [parent, key] = locate(operation.path);
+      parent[key] = value;
+    });
+    return result;
+  }
+
+  it('leaves the value untouched in dry-run mode', function () {
+    const value = input();
+    const validator = new Validator({ ...options, mode: 'dry-run' });
+    expect(validator.validate(value)).to.equal(true);
+    expect(value).to.deep.equal(input());
+    expect(validator.corrected).to.equal(null);
+    expect(validator.report.status.code).to.equal(0);
+    expect(validator.report.patch).to.deep.equal([
+      { op: 'replace', path: '/color', value: 'colors_red' },
+      { op: 'replace', path: '/created', value: 1684312200000 },
+      { op: 'add', path: '/person/age', value: 18 },
+      { op: 'add', path: '/person/scores', value: [] }
+    ]);
+  });
+
+  it('returns a corrected copy matching the patch', function () {
+    const value = input();
+    const validator = new Validator({ ...options, mode: 'copy' });
+    expect(validator.validate(value)).to.equal(true);
+    expect(value).to.deep.equal(input());
+    expect(validator.corrected.color).to.equal('colors_red');
+    expect(validator.report.status.code).to.equal(1);
+    expect(applyPatch(value, validator.report.patch)).to.deep.equal(validator.corrected);
+  });
+
+  it('keeps the patch of corrections followed by an error', function () {
+    const value = { color: 'red', age: 1.5 };
+    const inPlace = new Validator({ cache, resolve: true });
+    expect(inPlace.validate(value)).to.equal(false);
+    expect(value).to.deep.equal({ color: 'colors_red', age: 1.5 });
+    expect(inPlace.report.pointer).to.equal('/age');
+    expect(inPlace.report.patch).to.deep.equal([{ op: 'replace', path: '/color', value: 'colors_red' }]);
+    expect(Object.values(inPlace.report.changes)[0].resolved).to.equal('colors_red');
+
+    const copy = new Validator({ cache, resolve: true, mode: 'copy' });
+    expect(copy.validate({ color: 'red', age: 1.5 })).to.equal(false);
+    expect(copy.corrected).to.deep.equal({ color: 'colors_red', age: 1.5 });
+    expect(applyPatch({ color: 'red', age: 1.5 }, copy.report.patch)).to.deep.equal(copy.corrected);
+  });
+
+  it('keeps the patch of the first error in exhaustive mode', function () {
+    const validator = new Validator({ cache, resolve: true, resolveCode: '_lid', exhaustive: true });
+    expect(validator.validate({ color: 'red', age: 1.5 })).to.equal(false);
+    expect(Object.values(validator.report.changes)[0].resolved).to.equal('colors_red');
+    expect(validator.report.patch).to.deep.equal([{ op: 'replace', path: '/color', value: 'colors_red' }]);
+    expect(validator.report.errors).to.have.lengthOf(1);
+  });
+
+  it('patches zipped values in place', function () {
+    const value = ['2023-05-17T08:30:00Z', 1684312200000];
+    const validator = new Validator({ cache, term: 'created', zip: true });
+    expect(validator.validate(value)).to.equal(true);
+    expect(value).to.deep.equal([1684312200000, 1684312200000]);
+    expect(validator.report[0].patch).to.deep.equal([{ op: 'replace', path: '', value: 1684312200000 }]);
+    expect(validator.report[1]).to.not.have.property('patch');
+  });
+});